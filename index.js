@@ -3,89 +3,69 @@
  * Clean implementation with CPA/TCPA primary detection
  *
  * Architecture:
- * - Event-driven: subscribes to OTHER vessels' position changes only
+ * - Event-driven: subscribes to other vessels' position changes and own vessel motion
+ * - Periodic sweep re-evaluates targets with dead-reckoned positions
  * - Direct data access: uses app.getPath() to fetch vessel data on demand
  * - Bounded state: tracks up to 1000 vessels with automatic cleanup
- * - CPA/TCPA as primary collision detection
+ * - CPA/TCPA as primary collision detection (straight-line or curvilinear with rate of turn)
  * - Geometric zones as fallback for vessels without course/speed
  * - Proper hysteresis to prevent alarm flapping
  * - Testable pure functions
  */
 
-module.exports = function (app) {
-const plugin = {};
+const fs = require('fs');
+const path = require('path');
 
-plugin.id = 'signalk-cpa-tcpa-plugin';
-plugin.name = 'CPA/TCPA Collision Detector';
-plugin.description = 'SignalK plugin for CPA/TCPA collision detection of AIS vessels';
+// ============================================================================
+// GEODESY (module level, shared with the replay tool)
+// ============================================================================
 
-plugin.schema = {
-	title: plugin.name,
-	type: 'object',
-	properties: {
-		safePassingDistanceMeters: {
-			type: 'number',
-			title: 'Safe passing distance (meters)',
-			description: 'Minimum CPA distance to trigger collision alarm',
-			default: 500
-		},
-		alarmHysteresisMeters: {
-			type: 'number',
-			title: 'Alarm hysteresis (meters)',
-			description: 'Additional distance for alarm-off threshold (prevents flapping)',
-			default: 200
-		},
-		timeWindowMinutes: {
-			type: 'number',
-			title: 'Time window for collision prediction (minutes)',
-			description: 'How far ahead to predict collisions',
-			default: 10
-		},
-		rangeNauticalMiles: {
-			type: 'number',
-			title: 'Detection range (nautical miles)',
-			description: 'Vessels beyond this range are ignored. Set based on your typical cruising area.',
-			default: 10
-		},
-		timeouts: {
-			type: 'object',
-			title: 'Data freshness timeouts',
-			properties: {
-				PosFreshBefore: {
-					type: 'number',
-					title: 'Maximum data age (seconds)',
-					description: 'AIS data older than this is considered stale',
-					default: 600
-				}
-			}
-		},
-		debug: {
-			type: 'object',
-			title: 'Debug options',
-			properties: {
-				enabled: {
-					type: 'boolean',
-					title: 'Enable verbose debug logging',
-					description: 'Log detailed information about collision detection',
-					default: false
-				},
-				logInterval: {
-					type: 'number',
-					title: 'Status log interval (seconds)',
-					description: 'How often to log status summary (0 = disabled)',
-					default: 60
-				},
-				logVesselDetails: {
-					type: 'boolean',
-					title: 'Log vessel details',
-					description: 'Include position/course/speed in debug output',
-					default: false
-				}
-			}
-		}
-	}
+const GEO = {
+	// WGS84 mean radius in meters (differs from simple 6371km approximation)
+	MEAN_RADIUS_M: 6371008.8,
+	// Angular conversion
+	ANGLE_TO_RAD: Math.PI / 180,
+	TO_DEGREES: 180 / Math.PI,
+	// Unit conversions
+	KNOTS_TO_MPS: 0.5144,
+	NM_TO_METERS: 1852
 };
 
+/**
+ * Calculate distance using Haversine formula (accurate, all distances)
+ */
+function haversineDistance(from, to) {
+	if (!from || !to ||
+		typeof from.latitude !== 'number' || typeof from.longitude !== 'number' ||
+		typeof to.latitude !== 'number' || typeof to.longitude !== 'number') {
+		return NaN;
+	}
+
+	const lat1Rad = from.latitude * GEO.ANGLE_TO_RAD;
+	const lat2Rad = to.latitude * GEO.ANGLE_TO_RAD;
+	const deltaLat = (to.latitude - from.latitude) * GEO.ANGLE_TO_RAD;
+	const deltaLon = (to.longitude - from.longitude) * GEO.ANGLE_TO_RAD;
+
+	const halfDeltaLatSin = Math.sin(deltaLat / 2);
+	const halfDeltaLonSin = Math.sin(deltaLon / 2);
+	const haversineA = halfDeltaLatSin * halfDeltaLatSin +
+			  Math.cos(lat1Rad) * Math.cos(lat2Rad) *
+			  halfDeltaLonSin * halfDeltaLonSin;
+	const angularDist = 2 * Math.atan2(Math.sqrt(haversineA), Math.sqrt(1 - haversineA));
+
+	return GEO.MEAN_RADIUS_M * angularDist;
+}
+
+/**
+ * Calculate distance between two positions using Haversine formula
+ */
+function calculateDistance(from, to) {
+	if (!from || !to) return null;
+
+	const dist = haversineDistance(from, to);
+	return isNaN(dist) ? null : dist;
+}
+
 // ============================================================================
 // DEBUG UTILITIES
 // ============================================================================
@@ -143,20 +123,9 @@ function formatTime(seconds) {
 }
 
 // ============================================================================
-// GEODETIC AND DETECTION PARAMETERS
+// DETECTION PARAMETERS
 // ============================================================================
 
-const GEO = {
-	// WGS84 mean radius in meters (differs from simple 6371km approximation)
-	MEAN_RADIUS_M: 6371008.8,
-	// Angular conversion
-	ANGLE_TO_RAD: Math.PI / 180,
-	TO_DEGREES: 180 / Math.PI,
-	// Unit conversions
-	KNOTS_TO_MPS: 0.5144,
-	NM_TO_METERS: 1852
-};
-
 const DETECTION = {
 	// CPA calculation threshold
 	RELATIVE_VELOCITY_FLOOR: 0.01,       // m/s minimum for valid CPA
@@ -167,50 +136,55 @@ const DETECTION = {
 	LAT_BOUND: 90,
 	LON_BOUND: 180,
 
+	// Curvilinear prediction
+	PREDICTION_STEP_SECONDS: 5,          // Sampling step when searching for minimum separation
+	MIN_RATE_OF_TURN: 0.0005,            // rad/s (~1.7°/min) below which tracks are treated as straight
+
+	// Uncertainty model
+	LOW_SPEED_REF_MPS: 1.0288,           // 2 knots: below this, COG uncertainty grows inversely with speed
+	PROBABILITY_HYSTERESIS: 0.1,         // Probability margin for the alarm-off threshold
+
+	// Derived motion from position history
+	TRACK_HISTORY_LENGTH: 20,            // Fixes kept per vessel
+	MIN_TRACK_SPAN_SECONDS: 5,           // Minimum time covered by the fixes used for an estimate
+
+	// Target tracking filter
+	FILTER_RESET_SECONDS: 300,           // Restart a target's filter after a gap this long
+	MAX_FILTER_VELOCITY_SIGMA: 1.0,      // m/s: filtered velocity used only once this certain
+
+	// COLREG encounter classification
+	HEAD_ON_SECTOR_DEGREES: 6,           // Each vessel within this of the other's bow: head-on (Rule 14)
+	ABAFT_BEAM_SECTOR_DEGREES: 112.5,    // More than 22.5° abaft the beam: overtaking (Rule 13)
+
+	// Velocity obstacles
+	SAFE_COURSE_STEP_DEGREES: 1,         // Own course sampling for forbidden course sectors
+	SAFE_SPEED_STEP_KNOTS: 0.1,          // Own speed sampling for safe speed ranges
+
+	// Encounter log
+	MAX_ENCOUNTER_TRACK_POINTS: 500,     // Per vessel and encounter; older points are thinned beyond this
+
 	// Resource management
 	VESSEL_TRACKING_LIMIT: 1000,
+	MIN_SWEEP_INTERVAL_SECONDS: 1,       // Each sweep evaluates every target in range
 	CLEANUP_FREQUENCY: 100               // Cleanup every N position checks
 };
 
+// AIS navigation states (navigation.state) of targets that are not under way
+const STATIONARY_NAVIGATION_STATES = ['anchored', 'moored', 'aground'];
+
+// SignalK notification states in increasing order of severity
+const ALERT_STATE_SEVERITY = {
+	normal: 0,
+	alert: 1,
+	warn: 2,
+	alarm: 3,
+	emergency: 4
+};
+
 // ============================================================================
 // PURE UTILITY FUNCTIONS (No side effects, testable)
 // ============================================================================
 
-/**
- * Calculate distance using Haversine formula (accurate, all distances)
- */
-function haversineDistance(from, to) {
-	if (!from || !to ||
-		typeof from.latitude !== 'number' || typeof from.longitude !== 'number' ||
-		typeof to.latitude !== 'number' || typeof to.longitude !== 'number') {
-		return NaN;
-	}
-
-	const lat1Rad = from.latitude * GEO.ANGLE_TO_RAD;
-	const lat2Rad = to.latitude * GEO.ANGLE_TO_RAD;
-	const deltaLat = (to.latitude - from.latitude) * GEO.ANGLE_TO_RAD;
-	const deltaLon = (to.longitude - from.longitude) * GEO.ANGLE_TO_RAD;
-
-	const halfDeltaLatSin = Math.sin(deltaLat / 2);
-	const halfDeltaLonSin = Math.sin(deltaLon / 2);
-	const haversineA = halfDeltaLatSin * halfDeltaLatSin +
-			  Math.cos(lat1Rad) * Math.cos(lat2Rad) *
-			  halfDeltaLonSin * halfDeltaLonSin;
-	const angularDist = 2 * Math.atan2(Math.sqrt(haversineA), Math.sqrt(1 - haversineA));
-
-	return GEO.MEAN_RADIUS_M * angularDist;
-}
-
-/**
- * Calculate distance between two positions using Haversine formula
- */
-function calculateDistance(from, to) {
-	if (!from || !to) return null;
-
-	const dist = haversineDistance(from, to);
-	return isNaN(dist) ? null : dist;
-}
-
 /**
  * Compute initial bearing (forward azimuth) from origin to destination
  * Uses spherical law of sines approach
@@ -243,6 +217,21 @@ function computeForwardAzimuth(origin, destination) {
 	return ((azimuthRad * GEO.TO_DEGREES) + 360) % 360;
 }
 
+/**
+ * Position of `to` relative to `from` in meters east (x) and north (y)
+ * Flat-earth approximation at the mean latitude, accurate at collision-avoidance ranges
+ */
+function relativePosition(from, to) {
+	const dLon = (to.longitude - from.longitude) * GEO.ANGLE_TO_RAD;
+	const dLat = (to.latitude - from.latitude) * GEO.ANGLE_TO_RAD;
+	const avgLat = (from.latitude + to.latitude) / 2 * GEO.ANGLE_TO_RAD;
+
+	return {
+		x: dLon * Math.cos(avgLat) * GEO.MEAN_RADIUS_M,
+		y: dLat * GEO.MEAN_RADIUS_M
+	};
+}
+
 /**
  * Calculate CPA (Closest Point of Approach) and TCPA (Time to CPA)
  * Returns: { cpaDistance, tcpaSeconds, diverging, relativeSpeed } or null
@@ -273,16 +262,8 @@ function calculateCPA(vessel1, vessel2) {
 	const relVelY = v2y - v1y;
 	const relSpeed = Math.sqrt(relVelX * relVelX + relVelY * relVelY);
 
-	// Calculate relative position (vessel2 relative to vessel1)
-	// Use proper signed deltas
-	const dLon = (vessel2.position.longitude - vessel1.position.longitude) * GEO.ANGLE_TO_RAD;
-	const dLat = (vessel2.position.latitude - vessel1.position.latitude) * GEO.ANGLE_TO_RAD;
-
-	const avgLat = (vessel1.position.latitude + vessel2.position.latitude) / 2 * GEO.ANGLE_TO_RAD;
-
-	// Convert to meters with proper signs
-	const relPosX = dLon * Math.cos(avgLat) * GEO.MEAN_RADIUS_M;
-	const relPosY = dLat * GEO.MEAN_RADIUS_M;
+	// Relative position (vessel2 relative to vessel1)
+	const { x: relPosX, y: relPosY } = relativePosition(vessel1.position, vessel2.position);
 
 	// Special case: vessels with same velocity
 	if (relSpeed < DETECTION.RELATIVE_VELOCITY_FLOOR) {
@@ -326,96 +307,2649 @@ function calculateCPA(vessel1, vessel2) {
 	};
 }
 
-// ============================================================================
-// DATA VALIDATION
-// ============================================================================
-
 /**
- * Validate vessel update data BEFORE applying
+ * Displacement (meters east, north) after t seconds on a track turning at a
+ * constant rate of turn (rad/s, positive to starboard); straight when rate is ~0
  */
-function validateVesselUpdate(vesselData, options) {
-	const errors = [];
+function turningDisplacement(course, speed, rateOfTurn, t) {
+	if (Math.abs(rateOfTurn) < 1e-9) {
+		return { x: speed * Math.sin(course) * t, y: speed * Math.cos(course) * t };
+	}
+	const radius = speed / rateOfTurn;
+	const courseAtT = course + rateOfTurn * t;
+	return {
+		x: radius * (Math.cos(course) - Math.cos(courseAtT)),
+		y: radius * (Math.sin(courseAtT) - Math.sin(course))
+	};
+}
 
-	// Position validation
-	if (vesselData.position) {
-		const lat = vesselData.position.latitude;
-		const lon = vesselData.position.longitude;
+/**
+ * Calculate CPA/TCPA along curved tracks using each vessel's rate of turn
+ * Propagates both tracks over the horizon and finds the minimum separation numerically
+ * Returns same shape as calculateCPA (plus model: 'curvilinear') or null
+ */
+function calculateCurvilinearCPA(vessel1, vessel2, horizonSeconds, stepSeconds = DETECTION.PREDICTION_STEP_SECONDS) {
+	// Same input requirements as the linear model
+	const linear = calculateCPA(vessel1, vessel2);
+	if (!linear) return null;
+
+	const rot1 = isFinite(vessel1.rateOfTurn) ? vessel1.rateOfTurn : 0;
+	const rot2 = isFinite(vessel2.rateOfTurn) ? vessel2.rateOfTurn : 0;
+
+	// Relative position (vessel2 relative to vessel1) in meters
+	const { x: relPosX, y: relPosY } = relativePosition(vessel1.position, vessel2.position);
+
+	const separationAt = (t) => {
+		const d1 = turningDisplacement(vessel1.course, vessel1.speed, rot1, t);
+		const d2 = turningDisplacement(vessel2.course, vessel2.speed, rot2, t);
+		const dx = relPosX + d2.x - d1.x;
+		const dy = relPosY + d2.y - d1.y;
+		return Math.sqrt(dx * dx + dy * dy);
+	};
 
-		// Verify coordinates exist and are numbers
-		if (typeof lat !== 'number' || isNaN(lat)) {
-			errors.push(`Invalid latitude: ${lat}`);
-		} else if (Math.abs(lat) > DETECTION.LAT_BOUND) {
-			errors.push(`Latitude out of bounds: ${lat}`);
-		}
-		if (typeof lon !== 'number' || isNaN(lon)) {
-			errors.push(`Invalid longitude: ${lon}`);
-		} else if (Math.abs(lon) > DETECTION.LON_BOUND) {
-			errors.push(`Longitude out of bounds: ${lon}`);
+	// Coarse scan for the sample with minimum separation
+	let bestT = 0;
+	let bestDist = separationAt(0);
+	for (let t = stepSeconds; t <= horizonSeconds; t += stepSeconds) {
+		const dist = separationAt(t);
+		if (dist < bestDist) {
+			bestDist = dist;
+			bestT = t;
 		}
 	}
 
-	// Speed validation
-	if (vesselData.speed !== undefined && vesselData.speed !== null) {
-		if (isNaN(vesselData.speed)) {
-			errors.push(`Invalid speed: NaN`);
-		} else if (vesselData.speed < 0) {
-			errors.push(`Negative speed: ${vesselData.speed}`);
+	// Refine around the best sample (ternary search on the bracketing interval)
+	let lo = Math.max(0, bestT - stepSeconds);
+	let hi = Math.min(horizonSeconds, bestT + stepSeconds);
+	for (let i = 0; i < 30; i++) {
+		const m1 = lo + (hi - lo) / 3;
+		const m2 = hi - (hi - lo) / 3;
+		if (separationAt(m1) < separationAt(m2)) {
+			hi = m2;
+		} else {
+			lo = m1;
 		}
 	}
+	const tcpaSeconds = (lo + hi) / 2;
+	const cpaDistance = Math.min(separationAt(tcpaSeconds), bestDist);
 
-	// Course validation (should be radians 0-2π)
-	if (vesselData.course !== undefined && vesselData.course !== null) {
-		if (isNaN(vesselData.course)) {
-			errors.push(`Invalid course: NaN`);
-		} else if (vesselData.course < 0 || vesselData.course > 2 * Math.PI) {
-			errors.push(`Course out of range: ${vesselData.course} radians`);
-		}
+	// Closest now and opening: diverging, as in the linear model
+	if (tcpaSeconds < 1 && separationAt(stepSeconds) >= separationAt(0)) {
+		return {
+			cpaDistance: Infinity,
+			tcpaSeconds: 0,
+			diverging: true,
+			relativeSpeed: linear.relativeSpeed,
+			parallelCourse: false,
+			model: 'curvilinear'
+		};
 	}
 
 	return {
-		valid: errors.length === 0,
-		errors: errors
+		cpaDistance: cpaDistance,
+		tcpaSeconds: tcpaSeconds,
+		diverging: false,
+		relativeSpeed: linear.relativeSpeed,
+		parallelCourse: false,
+		model: 'curvilinear'
 	};
 }
 
 /**
- * Detect position jumps (GPS glitches, data errors)
+ * Hull outline corners (meters east, north) around a reference point
+ * dimensions: { length, beam, fromBow, fromCenter } with fromCenter positive to starboard;
+ * the reference point is assumed amidships when offsets are unknown
+ * Returns a single point when the length is unknown
  */
-function detectPositionJump(vesselData, previousData) {
-	if (!previousData || !previousData.position || !previousData.timestamp) {
-		return { jumped: false };
-	}
+function hullOutline(x, y, heading, dimensions) {
+	const length = dimensions.length > 0 ? dimensions.length : 0;
+	if (length === 0) return [{ x: x, y: y }];
+
+	const beam = dimensions.beam > 0 ? dimensions.beam : 0;
+	const fromBow = isFinite(dimensions.fromBow) ? dimensions.fromBow : length / 2;
+	const fromCenter = isFinite(dimensions.fromCenter) ? dimensions.fromCenter : 0;
+
+	// Body frame offsets from the reference point: forward and starboard
+	const ahead = fromBow;
+	const astern = fromBow - length;
+	const starboard = beam / 2 - fromCenter;
+	const port = -beam / 2 - fromCenter;
+
+	const sinH = Math.sin(heading);
+	const cosH = Math.cos(heading);
+	const corner = (fwd, stbd) => ({
+		x: x + fwd * sinH + stbd * cosH,
+		y: y + fwd * cosH - stbd * sinH
+	});
+
+	return [corner(ahead, port), corner(ahead, starboard), corner(astern, starboard), corner(astern, port)];
+}
 
-	if (!vesselData.position || !vesselData.timestamp) {
-		return { jumped: false };
+/**
+ * Distance from point p to segment a-b
+ */
+function pointSegmentDistance(p, a, b) {
+	const abx = b.x - a.x;
+	const aby = b.y - a.y;
+	const lengthSq = abx * abx + aby * aby;
+	const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((p.x - a.x) * abx + (p.y - a.y) * aby) / lengthSq)) : 0;
+	const dx = p.x - (a.x + abx * t);
+	const dy = p.y - (a.y + aby * t);
+	return Math.sqrt(dx * dx + dy * dy);
+}
+
+/**
+ * Whether point p lies inside convex polygon (corners in consistent order)
+ */
+function pointInConvexPolygon(p, polygon) {
+	if (polygon.length < 3) return false;
+	let sign = 0;
+	for (let i = 0; i < polygon.length; i++) {
+		const a = polygon[i];
+		const b = polygon[(i + 1) % polygon.length];
+		const cross = (b.x - a.x) * (p.y - a.y) - (b.y - a.y) * (p.x - a.x);
+		if (cross !== 0) {
+			if (sign !== 0 && Math.sign(cross) !== sign) return false;
+			sign = Math.sign(cross);
+		}
 	}
+	return true;
+}
 
-	const distance = haversineDistance(previousData.position, vesselData.position);
-	if (isNaN(distance)) {
-		return { jumped: false }; // Can't calculate - assume no jump
+/**
+ * Minimum distance between two convex outlines (0 when overlapping)
+ * Outlines may be single points
+ */
+function outlineDistance(outlineA, outlineB) {
+	if (outlineA.some(p => pointInConvexPolygon(p, outlineB)) ||
+		outlineB.some(p => pointInConvexPolygon(p, outlineA))) {
+		return 0;
 	}
 
-	const timeDelta = (vesselData.timestamp - previousData.timestamp) / 1000; // seconds
+	const edges = (outline) => outline.length === 1
+		? [[outline[0], outline[0]]]
+		: outline.map((p, i) => [p, outline[(i + 1) % outline.length]]);
 
-	if (timeDelta <= 0) {
-		return { jumped: false }; // No time elapsed or clock issue
+	let min = Infinity;
+	for (const [a, b] of edges(outlineB)) {
+		for (const p of outlineA) min = Math.min(min, pointSegmentDistance(p, a, b));
+	}
+	for (const [a, b] of edges(outlineA)) {
+		for (const p of outlineB) min = Math.min(min, pointSegmentDistance(p, a, b));
+	}
+	// Crossing edges without contained corners
+	for (const [a, b] of edges(outlineA)) {
+		for (const [c, d] of edges(outlineB)) {
+			if (segmentsIntersect(a, b, c, d)) return 0;
+		}
 	}
+	return min;
+}
 
-	const impliedSpeed = distance / timeDelta;
-	const maxAllowedSpeed = DETECTION.MAX_VESSEL_SPEED_MPS * DETECTION.JUMP_SPEED_FACTOR;
+/**
+ * Whether segments a-b and c-d properly intersect
+ */
+function segmentsIntersect(a, b, c, d) {
+	const orient = (p, q, r) => Math.sign((q.x - p.x) * (r.y - p.y) - (q.y - p.y) * (r.x - p.x));
+	const o1 = orient(a, b, c);
+	const o2 = orient(a, b, d);
+	const o3 = orient(c, d, a);
+	const o4 = orient(c, d, b);
+	return o1 !== o2 && o3 !== o4 && o1 !== 0 && o2 !== 0 && o3 !== 0 && o4 !== 0;
+}
 
-	if (impliedSpeed > maxAllowedSpeed) {
+/**
+ * Calculate closest approach between hull outlines
+ * Hulls are placed from each vessel's reference point (AIS antenna), length, beam,
+ * offsets and heading (course when heading unknown), moved along the predicted tracks
+ * Returns { hullCpaDistance, hullTcpaSeconds } or null when no vessel has a known length
+ */
+function calculateHullCPA(vessel1, vessel2, horizonSeconds, useRateOfTurn = false, stepSeconds = DETECTION.PREDICTION_STEP_SECONDS) {
+	if (!(vessel1.length > 0) && !(vessel2.length > 0)) return null;
+	if (!calculateCPA(vessel1, vessel2)) return null;
+
+	const rot1 = useRateOfTurn && isFinite(vessel1.rateOfTurn) ? vessel1.rateOfTurn : 0;
+	const rot2 = useRateOfTurn && isFinite(vessel2.rateOfTurn) ? vessel2.rateOfTurn : 0;
+	const heading1 = isFinite(vessel1.heading) ? vessel1.heading : vessel1.course;
+	const heading2 = isFinite(vessel2.heading) ? vessel2.heading : vessel2.course;
+
+	const { x: relPosX, y: relPosY } = relativePosition(vessel1.position, vessel2.position);
+
+	const hullDistanceAt = (t) => {
+		const d1 = turningDisplacement(vessel1.course, vessel1.speed, rot1, t);
+		const d2 = turningDisplacement(vessel2.course, vessel2.speed, rot2, t);
+		const outline1 = hullOutline(d1.x, d1.y, heading1 + rot1 * t, vessel1);
+		const outline2 = hullOutline(relPosX + d2.x, relPosY + d2.y, heading2 + rot2 * t, vessel2);
+		return outlineDistance(outline1, outline2);
+	};
+
+	let bestT = 0;
+	let bestDist = hullDistanceAt(0);
+	for (let t = stepSeconds; t <= horizonSeconds; t += stepSeconds) {
+		const dist = hullDistanceAt(t);
+		if (dist < bestDist) {
+			bestDist = dist;
+			bestT = t;
+		}
+	}
+
+	let lo = Math.max(0, bestT - stepSeconds);
+	let hi = Math.min(horizonSeconds, bestT + stepSeconds);
+	for (let i = 0; i < 30 && bestDist > 0; i++) {
+		const m1 = lo + (hi - lo) / 3;
+		const m2 = hi - (hi - lo) / 3;
+		if (hullDistanceAt(m1) < hullDistanceAt(m2)) {
+			hi = m2;
+		} else {
+			lo = m1;
+		}
+	}
+	const refinedT = (lo + hi) / 2;
+	const refinedDist = hullDistanceAt(refinedT);
+
+	return refinedDist < bestDist
+		? { hullCpaDistance: refinedDist, hullTcpaSeconds: refinedT }
+		: { hullCpaDistance: bestDist, hullTcpaSeconds: bestT };
+}
+
+/**
+ * Standard normal random number (Box-Muller)
+ */
+function randomNormal(random) {
+	let u = 0;
+	while (u === 0) u = random();
+	const v = random();
+	return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Estimate probability that separation drops below safeDistanceMeters within horizonSeconds
+ * by sampling course, speed and position errors around calculateCPA
+ *
+ * params: { safeDistanceMeters, horizonSeconds, samples, sigmas1, sigmas2 }
+ * sigmas: { course (rad), speed (m/s), position (m) } per vessel; course error grows
+ * below LOW_SPEED_REF_MPS since COG from a slow GNSS track is unreliable
+ * random: uniform [0, 1) generator (injectable for deterministic tests)
+ * Returns probability in [0, 1] or null when CPA cannot be calculated
+ */
+function calculateCollisionProbability(vessel1, vessel2, params, random = Math.random) {
+	if (!calculateCPA(vessel1, vessel2)) return null;
+
+	const perturb = (vessel, sigmas) => {
+		const lowSpeedFactor = Math.max(1, DETECTION.LOW_SPEED_REF_MPS / Math.max(vessel.speed, 0.01));
+		const courseSigma = Math.min(Math.PI, sigmas.course * lowSpeedFactor);
+		const east = randomNormal(random) * sigmas.position;
+		const north = randomNormal(random) * sigmas.position;
+		const latRad = vessel.position.latitude * GEO.ANGLE_TO_RAD;
 		return {
-			jumped: true,
-			impliedSpeed: impliedSpeed,
-			maxAllowedSpeed: maxAllowedSpeed,
-			distance: distance,
-			timeDelta: timeDelta
+			position: {
+				latitude: vessel.position.latitude + north / GEO.MEAN_RADIUS_M * GEO.TO_DEGREES,
+				longitude: vessel.position.longitude + east / (GEO.MEAN_RADIUS_M * Math.cos(latRad)) * GEO.TO_DEGREES
+			},
+			course: vessel.course + randomNormal(random) * courseSigma,
+			speed: Math.max(0, vessel.speed + randomNormal(random) * sigmas.speed)
+		};
+	};
+
+	let hits = 0;
+	for (let i = 0; i < params.samples; i++) {
+		const result = calculateCPA(perturb(vessel1, params.sigmas1), perturb(vessel2, params.sigmas2));
+		if (!result || result.diverging) continue;
+		if (result.cpaDistance > params.safeDistanceMeters) continue;
+		if (result.tcpaSeconds > params.horizonSeconds && !result.parallelCourse) continue;
+		hits++;
+	}
+
+	return hits / params.samples;
+}
+
+/**
+ * Apply collision probability as the alarm criterion to an alert level index
+ * Levels of alarm severity and above require the probability to reach the threshold;
+ * reaching it raises the target to at least the first alarm-severity level
+ */
+function applyProbabilityCriterion(levelIndex, probability, threshold, levels) {
+	const alarmIndex = levels.findIndex(level => ALERT_STATE_SEVERITY[level.state] >= ALERT_STATE_SEVERITY.alarm);
+	if (alarmIndex < 0 || probability === null) return levelIndex;
+
+	return probability >= threshold
+		? Math.max(levelIndex, alarmIndex)
+		: Math.min(levelIndex, alarmIndex - 1);
+}
+
+/**
+ * Dead-reckon a position along course (radians) and speed (m/s) for a number of seconds
+ * Flat-earth approximation, accurate for the short projections used here
+ */
+function projectPosition(position, course, speed, seconds) {
+	const distance = speed * seconds;
+	const latRad = position.latitude * GEO.ANGLE_TO_RAD;
+
+	const dLat = distance * Math.cos(course) / GEO.MEAN_RADIUS_M;
+	const dLon = distance * Math.sin(course) / (GEO.MEAN_RADIUS_M * Math.cos(latRad));
+
+	return {
+		latitude: position.latitude + dLat * GEO.TO_DEGREES,
+		longitude: position.longitude + dLon * GEO.TO_DEGREES
+	};
+}
+
+/**
+ * Project a vessel's last report forward to the given time using its COG/SOG
+ * Vessels without course/speed, or with reports from the future, are returned unchanged
+ */
+function deadReckonVessel(vesselData, now) {
+	const ageSeconds = (now - vesselData.timestamp) / 1000;
+	const hasMotion = vesselData.course != null && !isNaN(vesselData.course) &&
+					  vesselData.speed != null && !isNaN(vesselData.speed);
+
+	if (!hasMotion || !(ageSeconds > 0)) {
+		return { ...vesselData, reportAgeSeconds: Math.max(0, ageSeconds || 0) };
+	}
+
+	return {
+		...vesselData,
+		reportedPosition: vesselData.position,
+		position: projectPosition(vesselData.position, vesselData.course, vesselData.speed, ageSeconds),
+		reportAgeSeconds: ageSeconds
+	};
+}
+
+/**
+ * Treat an anchored, moored or aground target as a zero-velocity object
+ * Its safe radius is the swinging circle: length plus anchor scope (anchored only)
+ * Returns the vessel unchanged when its navigation state is not stationary.
+ */
+function asStationaryTarget(vesselData, anchorScopeMeters) {
+	if (!STATIONARY_NAVIGATION_STATES.includes(vesselData.navigationState)) return vesselData;
+
+	const length = isFinite(vesselData.length) ? vesselData.length : 0;
+	return {
+		...vesselData,
+		course: 0,
+		speed: 0,
+		rateOfTurn: 0,
+		stationary: true,
+		swingRadius: length + (vesselData.navigationState === 'anchored' ? anchorScopeMeters : 0)
+	};
+}
+
+/**
+ * Closest approach to a circle of radius around the target instead of its position
+ * The approach reaches the circle before CPA when the relative track crosses it.
+ */
+function swingCircleApproach(cpaResult, radius) {
+	if (!(radius > 0) || cpaResult.diverging || !isFinite(cpaResult.tcpaSeconds)) {
+		return { ...cpaResult, cpaDistance: Math.max(0, cpaResult.cpaDistance - (radius || 0)) };
+	}
+
+	const entrySeconds = cpaResult.cpaDistance < radius && cpaResult.relativeSpeed > 0
+		? Math.sqrt(radius * radius - cpaResult.cpaDistance * cpaResult.cpaDistance) / cpaResult.relativeSpeed
+		: 0;
+
+	return {
+		...cpaResult,
+		cpaDistance: Math.max(0, cpaResult.cpaDistance - radius),
+		tcpaSeconds: Math.max(0, cpaResult.tcpaSeconds - entrySeconds)
+	};
+}
+
+/**
+ * CPA/TCPA if vessel1 changes to a trial course (radians) and speed (m/s) after a delay
+ * Both vessels hold their current course and speed until the manoeuvre, and an approach
+ * before it counts when it is the closer one. TCPA is from now.
+ * Returns calculateCPA's result, or null when CPA cannot be calculated
+ */
+function calculateTrialCPA(vessel1, vessel2, course, speed, delaySeconds = 0) {
+	const trialVessel = { ...vessel1, course: course, speed: speed };
+	if (!(delaySeconds > 0)) return calculateCPA(trialVessel, vessel2);
+
+	const before = calculateCPA(vessel1, vessel2);
+	if (!before) return null;
+	if (!before.diverging && before.tcpaSeconds <= delaySeconds) return before;
+
+	// Both vessels at the time of the manoeuvre
+	trialVessel.position = projectPosition(vessel1.position, vessel1.course, vessel1.speed, delaySeconds);
+	const target = { ...vessel2, position: projectPosition(vessel2.position, vessel2.course, vessel2.speed, delaySeconds) };
+	const after = calculateCPA(trialVessel, target);
+	if (!after) return null;
+
+	if (after.diverging) {
+		// Closing until the manoeuvre, opening after it
+		if (before.diverging) return before;
+		return {
+			...after,
+			cpaDistance: calculateDistance(trialVessel.position, target.position),
+			tcpaSeconds: delaySeconds,
+			diverging: false
+		};
+	}
+	// Opening until the manoeuvre: closest now unless the new track passes closer
+	if (before.diverging && after.cpaDistance >= calculateDistance(vessel1.position, vessel2.position)) {
+		return before;
+	}
+	return { ...after, tcpaSeconds: after.tcpaSeconds + delaySeconds };
+}
+
+// ============================================================================
+// ALERT LEVELS
+// ============================================================================
+
+/**
+ * Resolve configured alert levels into a ladder sorted by increasing severity
+ * Levels without limits inherit the safe passing distance and time window
+ */
+function resolveAlertLevels(configuredLevels, safePassingDistanceMeters, timeWindowMinutes) {
+	if (!Array.isArray(configuredLevels) || configuredLevels.length === 0) {
+		return [{
+			name: 'alarm',
+			state: 'alarm',
+			cpaMeters: safePassingDistanceMeters,
+			tcpaMinutes: timeWindowMinutes,
+			method: ['visual', 'sound']
+		}];
+	}
+
+	return configuredLevels
+		.map(level => ({
+			name: level.name,
+			state: level.state,
+			cpaMeters: level.cpaMeters ?? safePassingDistanceMeters,
+			tcpaMinutes: level.tcpaMinutes ?? timeWindowMinutes,
+			method: Array.isArray(level.method) ? level.method : ['visual']
+		}))
+		.sort((a, b) => ALERT_STATE_SEVERITY[a.state] - ALERT_STATE_SEVERITY[b.state]);
+}
+
+/**
+ * Alert levels with CPA limits scaled by cpaFactor and TCPA limits by tcpaFactor,
+ * e.g. for a target with its own safe passing distance and time window
+ */
+function scaleAlertLevels(levels, cpaFactor, tcpaFactor) {
+	return levels.map(level => ({
+		...level,
+		cpaMeters: level.cpaMeters * cpaFactor,
+		tcpaMinutes: level.tcpaMinutes * tcpaFactor
+	}));
+}
+
+/**
+ * Find the most severe alert level whose CPA and TCPA limits are met
+ * Margins widen the limits (alarm-off thresholds for hysteresis)
+ * Parallel courses never reach CPA, so only their (constant) separation counts
+ * Returns index into levels, or -1 when no level applies
+ */
+function classifyAlertLevel(cpaResult, levels, cpaMarginMeters = 0, tcpaMarginMinutes = 0) {
+	if (!cpaResult || cpaResult.diverging) return -1;
+
+	const tcpaMinutes = cpaResult.tcpaSeconds / 60;
+
+	for (let i = levels.length - 1; i >= 0; i--) {
+		const level = levels[i];
+		if (cpaResult.cpaDistance > level.cpaMeters + cpaMarginMeters) continue;
+		if (tcpaMinutes > level.tcpaMinutes + tcpaMarginMinutes && !cpaResult.parallelCourse) continue;
+		return i;
+	}
+
+	return -1;
+}
+
+/**
+ * Find the most severe alert level for a target with unknown motion
+ * Uses twice each level's CPA limit as a conservative proximity radius
+ * Returns index into levels, or -1 when no level applies
+ */
+function classifyProximityLevel(distance, levels, marginMeters = 0) {
+	if (distance === null || distance === undefined || isNaN(distance)) return -1;
+
+	for (let i = levels.length - 1; i >= 0; i--) {
+		if (distance < levels[i].cpaMeters * 2 + marginMeters) return i;
+	}
+
+	return -1;
+}
+
+// ============================================================================
+// GUARD ZONES
+// ============================================================================
+
+/**
+ * Resolve configured guard zones against the alert levels
+ * Each zone gets the index of its alert level (-1 when the level name is unknown);
+ * disabled zones and polygons with fewer than three vertices are dropped
+ */
+function resolveGuardZones(configuredZones, levels) {
+	if (!Array.isArray(configuredZones)) return [];
+
+	return configuredZones
+		.filter(zone => zone.enabled !== false)
+		.filter(zone => zone.type !== 'polygon' || (Array.isArray(zone.polygon) && zone.polygon.length >= 3))
+		.map(zone => ({
+			name: zone.name,
+			type: zone.type,
+			alertLevel: zone.alertLevel,
+			levelIndex: levels.findIndex(level => level.name === zone.alertLevel),
+			innerRadiusMeters: zone.innerRadiusMeters ?? 0,
+			outerRadiusMeters: zone.outerRadiusMeters,
+			startBearing: zone.startBearing ?? 0,
+			endBearing: zone.endBearing ?? 360,
+			polygon: zone.polygon
+		}));
+}
+
+/**
+ * Is a bearing (degrees) inside the sector swept clockwise from start to end?
+ */
+function bearingInSector(bearing, startBearing, endBearing) {
+	const width = ((endBearing - startBearing) % 360 + 360) % 360;
+	if (width === 0) return true; // full circle
+	const offset = ((bearing - startBearing) % 360 + 360) % 360;
+	return offset <= width;
+}
+
+/**
+ * Is a position inside a chart polygon? (ray casting on latitude/longitude)
+ */
+function pointInChartPolygon(position, polygon) {
+	let inside = false;
+	for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+		const a = polygon[i];
+		const b = polygon[j];
+		if ((a.latitude > position.latitude) !== (b.latitude > position.latitude) &&
+			position.longitude < (b.longitude - a.longitude) * (position.latitude - a.latitude) /
+				(b.latitude - a.latitude) + a.longitude) {
+			inside = !inside;
+		}
+	}
+	return inside;
+}
+
+/**
+ * Is a target inside a guard zone?
+ *
+ * range/bearing:  target range (meters) and true bearing (degrees) from own vessel
+ * ownHeading:     own heading in degrees (sectors are relative to the bow; null skips sectors)
+ * marginMeters:   widens ring and sector radii (alarm-off hysteresis)
+ */
+function targetInGuardZone(zone, range, bearing, ownHeading, targetPosition, marginMeters = 0) {
+	const inRadius = () => range >= zone.innerRadiusMeters - marginMeters &&
+		range <= zone.outerRadiusMeters + marginMeters;
+
+	switch (zone.type) {
+		case 'ring':
+			return inRadius();
+		case 'sector':
+			if (ownHeading === null || ownHeading === undefined || isNaN(ownHeading)) return false;
+			return inRadius() && bearingInSector(bearing - ownHeading, zone.startBearing, zone.endBearing);
+		case 'polygon':
+			return pointInChartPolygon(targetPosition, zone.polygon);
+		default:
+			return false;
+	}
+}
+
+/**
+ * Initial alarm state of a target: no level, nothing pending
+ */
+function createTargetAlarmState() {
+	return {
+		level: -1,          // Committed alert level index (-1 = no alert)
+		pending: null,      // Level waiting for debounce, or null
+		pendingCount: 0,    // Consecutive reports supporting a change in the same direction
+		pendingSince: null, // Time (ms) of the first of those reports
+		changedAt: null     // Time (ms) the committed level last changed
+	};
+}
+
+/**
+ * Advance a target's alarm state machine by one observation
+ *
+ * onLevel:   level reached with the alarm-on thresholds
+ * holdLevel: level still held with the wider alarm-off thresholds (>= onLevel)
+ * debounce:  { minConsecutiveReports, minDurationSeconds }
+ * newReport: false when re-evaluating the same target report (e.g. after an own
+ *            vessel update); such evaluations do not count as extra reports
+ *
+ * The target escalates when onLevel exceeds its level, stays while holdLevel
+ * still covers its level, and otherwise drops to holdLevel. Any change must be
+ * supported by minConsecutiveReports reports in the same direction spanning
+ * minDurationSeconds before it is committed. Returns a new state object.
+ */
+function advanceTargetAlarm(alarmState, onLevel, holdLevel, debounce, now, newReport = true) {
+	let desired;
+	if (onLevel > alarmState.level) {
+		desired = onLevel;
+	} else if (holdLevel >= alarmState.level) {
+		desired = alarmState.level;
+	} else {
+		desired = holdLevel;
+	}
+
+	if (desired === alarmState.level) {
+		return { ...alarmState, pending: null, pendingCount: 0, pendingSince: null };
+	}
+
+	// Reports in the same direction (up or down) keep counting, the latest level wins
+	const rising = desired > alarmState.level;
+	const continuing = alarmState.pending !== null && (alarmState.pending > alarmState.level) === rising;
+	const pendingCount = continuing ? alarmState.pendingCount + (newReport ? 1 : 0) : 1;
+	const pendingSince = continuing ? alarmState.pendingSince : now;
+
+	if (pendingCount >= debounce.minConsecutiveReports &&
+		now - pendingSince >= debounce.minDurationSeconds * 1000) {
+		return { level: desired, pending: null, pendingCount: 0, pendingSince: null, changedAt: now };
+	}
+
+	return { ...alarmState, pending: desired, pendingCount: pendingCount, pendingSince: pendingSince };
+}
+
+/**
+ * Decide whether an acknowledged target must alarm again
+ *
+ * acknowledgement: { acknowledgedAt, silencedUntil, levelIndex, cpaMeters, tcpaMinutes }
+ *                  snapshot taken when the operator acknowledged (silencedUntil null = until cleared)
+ * margins:         { cpaMeters, tcpaMinutes } worsening tolerated before re-arming
+ *
+ * TCPA is compared against the acknowledged TCPA counted down by the time elapsed
+ * since, so a target that simply keeps coming as predicted stays acknowledged.
+ * Returns the re-arm reason, or null while the acknowledgement holds.
+ */
+function checkAcknowledgementRearm(acknowledgement, levelIndex, cpaMeters, tcpaMinutes, margins, now) {
+	if (acknowledgement.silencedUntil !== null && now >= acknowledgement.silencedUntil) {
+		return 'silence expired';
+	}
+	if (levelIndex > acknowledgement.levelIndex) {
+		return 'alert level raised';
+	}
+	if (isFinite(cpaMeters) && isFinite(acknowledgement.cpaMeters) &&
+		cpaMeters < acknowledgement.cpaMeters - margins.cpaMeters) {
+		return 'CPA worsened';
+	}
+	if (isFinite(tcpaMinutes) && isFinite(acknowledgement.tcpaMinutes)) {
+		const expectedTcpa = acknowledgement.tcpaMinutes - (now - acknowledgement.acknowledgedAt) / 60000;
+		if (tcpaMinutes < expectedTcpa - margins.tcpaMinutes) {
+			return 'TCPA worsened';
+		}
+	}
+	return null;
+}
+
+// ============================================================================
+// TARGET OVERRIDES
+// ============================================================================
+
+/**
+ * Does a vessel name match a pattern with * and ? wildcards? (case-insensitive)
+ */
+function namePatternMatches(pattern, name) {
+	if (!pattern || typeof name !== 'string') return false;
+	const source = pattern.trim()
+		.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+		.replace(/\*/g, '.*')
+		.replace(/\?/g, '.');
+	return new RegExp(`^${source}$`, 'i').test(name.trim());
+}
+
+/**
+ * Resolve configured per-target overrides against the alert levels
+ *
+ * ignore: the target is not evaluated at all
+ * mute:   maxLevelIndex is the highest alert level the target can reach (-1 for 'none',
+ *         undefined for an unknown level name)
+ * custom: alert levels scaled to the target's own safe passing distance and time window
+ */
+function resolveTargetOverrides(configuredOverrides, levels, safePassingDistanceMeters, timeWindowMinutes) {
+	if (!Array.isArray(configuredOverrides)) return [];
+
+	return configuredOverrides.map(override => {
+		const resolved = {
+			mmsi: override.mmsi ? String(override.mmsi).trim() : null,
+			namePattern: override.namePattern || null,
+			action: override.action
 		};
+		if (override.action === 'mute') {
+			const maxAlertLevel = override.maxAlertLevel ?? 'none';
+			const index = levels.findIndex(level => level.name === maxAlertLevel);
+			resolved.maxAlertLevel = maxAlertLevel;
+			resolved.maxLevelIndex = maxAlertLevel === 'none' ? -1 : (index >= 0 ? index : undefined);
+		} else if (override.action === 'custom') {
+			resolved.safePassingDistanceMeters = override.safePassingDistanceMeters ?? safePassingDistanceMeters;
+			resolved.timeWindowMinutes = override.timeWindowMinutes ?? timeWindowMinutes;
+			resolved.alertLevels = scaleAlertLevels(levels,
+				resolved.safePassingDistanceMeters / safePassingDistanceMeters,
+				resolved.timeWindowMinutes / timeWindowMinutes);
+		}
+		return resolved;
+	});
+}
+
+/**
+ * Override of a target: the first matching its MMSI, otherwise the first whose name
+ * pattern matches its name (entries with an MMSI match by MMSI only), or null
+ */
+function findTargetOverride(overrides, mmsi, name) {
+	return overrides.find(override => override.mmsi && mmsi != null && override.mmsi === String(mmsi)) ||
+		overrides.find(override => !override.mmsi && namePatternMatches(override.namePattern, name)) ||
+		null;
+}
+
+// ============================================================================
+// SAFETY DOMAINS
+// ============================================================================
+
+/**
+ * Parse AIS ship type codes and ranges, e.g. '70-89, 30', into [min, max] pairs
+ * Returns null when the text is not a list of codes 0-99 and ranges
+ */
+function parseShipTypes(text) {
+	if (typeof text === 'number') text = String(text);
+	if (typeof text !== 'string' || text.trim() === '') return null;
+
+	const ranges = [];
+	for (const part of text.split(',')) {
+		const match = part.trim().match(/^(\d{1,2})(?:\s*-\s*(\d{1,2}))?$/);
+		if (!match) return null;
+		const min = Number(match[1]);
+		const max = match[2] !== undefined ? Number(match[2]) : min;
+		if (max < min) return null;
+		ranges.push([min, max]);
+	}
+	return ranges;
+}
+
+/**
+ * Resolve configured safety domain rules against the alert levels
+ * Each rule's alert levels are scaled to its safe passing distance and time window
+ * (the global ones when unset), and its domain factors default to a circle.
+ */
+function resolveSafetyDomains(configuredRules, levels, safePassingDistanceMeters, timeWindowMinutes) {
+	if (!Array.isArray(configuredRules)) return [];
+
+	return configuredRules
+		.map((rule, i) => {
+			const distance = rule.safePassingDistanceMeters ?? safePassingDistanceMeters;
+			const minutes = rule.timeWindowMinutes ?? timeWindowMinutes;
+			return {
+				name: rule.name || `rule ${i + 1}`,
+				enabled: rule.enabled !== false,
+				shipTypes: rule.shipTypes != null && rule.shipTypes !== '' ? parseShipTypes(rule.shipTypes) : null,
+				minLengthMeters: rule.minLengthMeters ?? null,
+				maxLengthMeters: rule.maxLengthMeters ?? null,
+				minSpeedKnots: rule.minSpeedKnots ?? null,
+				maxSpeedKnots: rule.maxSpeedKnots ?? null,
+				safePassingDistanceMeters: distance,
+				timeWindowMinutes: minutes,
+				alertLevels: scaleAlertLevels(levels, distance / safePassingDistanceMeters, minutes / timeWindowMinutes),
+				domain: {
+					ahead: rule.aheadFactor ?? 1,
+					astern: rule.asternFactor ?? 1,
+					beam: rule.beamFactor ?? 1
+				}
+			};
+		})
+		.filter(rule => rule.enabled);
+}
+
+/**
+ * First safety domain rule matching a target's AIS ship type, length (meters) and
+ * speed (knots), or null. A rule limiting ship type, length or speed never matches
+ * a target that does not report it.
+ */
+function findSafetyDomain(rules, shipType, lengthMeters, speedKnots) {
+	const within = (value, min, max) => (min === null && max === null) ||
+		(typeof value === 'number' && isFinite(value) && (min === null || value >= min) && (max === null || value <= max));
+
+	return rules.find(rule =>
+		(!rule.shipTypes || (typeof shipType === 'number' &&
+			rule.shipTypes.some(([min, max]) => shipType >= min && shipType <= max))) &&
+		within(lengthMeters, rule.minLengthMeters, rule.maxLengthMeters) &&
+		within(speedKnots, rule.minSpeedKnots, rule.maxSpeedKnots)) || null;
+}
+
+/**
+ * Is a ship domain stretched in any direction, rather than a circle?
+ */
+function isShapedDomain(domain) {
+	return !!domain && (domain.ahead !== 1 || domain.astern !== 1 || domain.beam !== 1);
+}
+
+/**
+ * Closest approach of own vessel's straight relative track to a ship domain around
+ * the target, oriented on its heading (Fujii/Goodwin style). Distances are divided by
+ * the domain's ahead, astern or beam factor in their direction, so alert levels judge
+ * the stretched domain as they would a circle.
+ *
+ * position:  own vessel relative to the target ({ x east, y north } meters)
+ * velocity:  own velocity relative to the target ({ x, y } m/s)
+ * heading:   target heading (radians)
+ * domain:    { ahead, astern, beam } factors
+ * clearance: meters the hulls reach beyond the positions toward each other (antenna CPA
+ *            minus hull-to-hull CPA), taken off the approach in its direction
+ *
+ * Returns { cpaDistance, tcpaSeconds } of that approach
+ */
+function shipDomainApproach(position, velocity, heading, domain, clearance = 0) {
+	// Target frame: along its heading (ahead positive) and across it (starboard positive)
+	const sin = Math.sin(heading);
+	const cos = Math.cos(heading);
+	const p = { along: position.x * sin + position.y * cos, across: (position.x * cos - position.y * sin) / domain.beam };
+	const v = { along: velocity.x * sin + velocity.y * cos, across: (velocity.x * cos - velocity.y * sin) / domain.beam };
+
+	// The track is scaled differently ahead of and abaft the beam: split it where it crosses
+	const crossing = v.along !== 0 ? -p.along / v.along : -1;
+	const bounds = crossing > 0 ? [0, crossing, Infinity] : [0, Infinity];
+
+	let best = null;
+	for (let i = 0; i < bounds.length - 1; i++) {
+		const [start, end] = [bounds[i], bounds[i + 1]];
+		const probe = end === Infinity ? start + 1 : (start + end) / 2;
+		const factor = p.along + v.along * probe >= 0 ? domain.ahead : domain.astern;
+
+		const pa = p.along / factor;
+		const va = v.along / factor;
+		const speedSquared = va * va + v.across * v.across;
+		const t = speedSquared > 0
+			? Math.min(end, Math.max(start, -(pa * va + p.across * v.across) / speedSquared))
+			: start;
+		const distance = Math.hypot(pa + va * t, p.across + v.across * t);
+		if (!best || distance < best.cpaDistance) {
+			best = { cpaDistance: distance, tcpaSeconds: t };
+		}
+	}
+
+	// Clearance scaled like the distance in the direction of the approach
+	if (clearance > 0 && best.cpaDistance > 0) {
+		const range = Math.hypot(position.x + velocity.x * best.tcpaSeconds, position.y + velocity.y * best.tcpaSeconds);
+		best.cpaDistance = Math.max(0, best.cpaDistance * (1 - clearance / range));
+	}
+	return best;
+}
+
+// ============================================================================
+// COLREG ENCOUNTERS
+// ============================================================================
+
+/**
+ * Angle of a bearing relative to a heading, degrees [0, 360) clockwise from the bow
+ */
+function relativeBearing(bearing, heading) {
+	return ((bearing - heading) % 360 + 360) % 360;
+}
+
+/**
+ * Classify an encounter by the steering and sailing rules (vessels in sight of one another)
+ *
+ * bearing:       true bearing of the target from own vessel (degrees)
+ * ownHeading:    own heading, or course when unknown (degrees)
+ * targetHeading: target heading, or course when unknown (degrees)
+ *
+ * The aspect is the relative bearing of own vessel seen from the target. Overtaking
+ * (Rule 13) takes precedence over head-on (Rule 14) and crossing (Rule 15).
+ * Returns { situation, responsibility, side, relativeBearing, aspect }, or null without headings
+ */
+function classifyColregEncounter(bearing, ownHeading, targetHeading) {
+	if (bearing == null || ownHeading == null || targetHeading == null ||
+		isNaN(bearing) || isNaN(ownHeading) || isNaN(targetHeading)) {
+		return null;
+	}
+
+	const targetBearing = relativeBearing(bearing, ownHeading);
+	const aspect = relativeBearing(bearing + 180, targetHeading);
+	const side = targetBearing < 180 ? 'starboard' : 'port';
+	const abaft = angle => angle > DETECTION.ABAFT_BEAM_SECTOR_DEGREES &&
+		angle < 360 - DETECTION.ABAFT_BEAM_SECTOR_DEGREES;
+	const ahead = angle => angle <= DETECTION.HEAD_ON_SECTOR_DEGREES ||
+		angle >= 360 - DETECTION.HEAD_ON_SECTOR_DEGREES;
+
+	const classification = { relativeBearing: targetBearing, aspect: aspect, side: side };
+	if (abaft(aspect) && !abaft(targetBearing)) {
+		return { situation: 'overtaking', responsibility: 'give-way', ...classification };
+	}
+	if (abaft(targetBearing) && !abaft(aspect)) {
+		return { situation: 'overtaken', responsibility: 'stand-on', ...classification };
+	}
+	if (ahead(targetBearing) && ahead(aspect)) {
+		// Both vessels give way, each altering course to starboard
+		return { situation: 'head-on', responsibility: 'give-way', ...classification };
+	}
+	return {
+		situation: 'crossing',
+		responsibility: side === 'starboard' ? 'give-way' : 'stand-on',
+		...classification
+	};
+}
+
+/**
+ * Short description of a COLREG classification and the action it implies
+ */
+function describeColregEncounter(colreg) {
+	switch (colreg.situation) {
+		case 'head-on':
+			return 'head-on, alter course to starboard';
+		case 'overtaking':
+			return 'overtaking, keep clear';
+		case 'overtaken':
+			return `being overtaken on ${colreg.side} side, stand on`;
+		default:
+			return `crossing from ${colreg.side}, ${colreg.responsibility === 'give-way' ? 'give way' : 'stand on'}`;
+	}
+}
+
+// ============================================================================
+// VELOCITY OBSTACLES
+// ============================================================================
+
+// Own vessel path carrying the safe courses and speeds
+const SAFE_MANOEUVRES_PATH = 'navigation.closestApproach.safeManoeuvres';
+
+/**
+ * Does own velocity (m/s east, north) keep a target outside its safe distance within the horizon?
+ * target: { x, y } position relative to own vessel (meters east, north), { vx, vy }
+ * its velocity (m/s) and safeDistance (meters)
+ * A target already inside its safe distance only allows velocities opening the range.
+ */
+function velocityClearsTarget(ownVx, ownVy, target, horizonSeconds) {
+	const relVelX = target.vx - ownVx;
+	const relVelY = target.vy - ownVy;
+	const closing = -(target.x * relVelX + target.y * relVelY);
+
+	if (Math.hypot(target.x, target.y) < target.safeDistance) return closing <= 0;
+	if (closing <= 0) return true;
+
+	// Closest approach, or the end of the horizon when that comes first
+	const t = Math.min(closing / (relVelX * relVelX + relVelY * relVelY), horizonSeconds);
+	return Math.hypot(target.x + relVelX * t, target.y + relVelY * t) >= target.safeDistance;
+}
+
+/**
+ * Own courses (at own speed) and speeds (on own course) that keep every target outside
+ * its safe distance within the horizon, sampled every courseStepDegrees and speedStep
+ *
+ * targets: [{ id, x, y, vx, vy, safeDistance }] as for velocityClearsTarget, optionally
+ *          with their own horizonSeconds
+ * own:     { course (radians), speed (m/s) }
+ * params:  { horizonSeconds, maxSpeed, speedStep (m/s), courseStepDegrees }
+ *
+ * Returns { ownVelocitySafe, forbiddenSectors: [{ startDegrees, endDegrees, targets }],
+ * safeSpeeds: [{ min, max }] }. Sectors run clockwise from start to end (both forbidden),
+ * a sector through north is reported as one; speeds are in m/s.
+ */
+function calculateVelocityObstacles(targets, own, params) {
+	const blockedBy = (course, speed) => targets
+		.filter(target => !velocityClearsTarget(speed * Math.sin(course), speed * Math.cos(course),
+			target, target.horizonSeconds ?? params.horizonSeconds))
+		.map(target => target.id);
+
+	const samples = [];
+	for (let degrees = 0; degrees < 360; degrees += params.courseStepDegrees) {
+		samples.push({ degrees: degrees, blocked: blockedBy(degrees * GEO.ANGLE_TO_RAD, own.speed) });
+	}
+
+	const sectors = [];
+	let sector = null;
+	for (const sample of samples) {
+		if (sample.blocked.length === 0) {
+			sector = null;
+			continue;
+		}
+		if (!sector) {
+			sector = { startDegrees: sample.degrees, endDegrees: sample.degrees, targets: new Set() };
+			sectors.push(sector);
+		}
+		sector.endDegrees = sample.degrees;
+		sample.blocked.forEach(id => sector.targets.add(id));
+	}
+	if (sectors.length > 1 && samples[0].blocked.length > 0 && samples[samples.length - 1].blocked.length > 0) {
+		const last = sectors.pop();
+		sectors[0].startDegrees = last.startDegrees;
+		last.targets.forEach(id => sectors[0].targets.add(id));
+	}
+
+	const safeSpeeds = [];
+	let range = null;
+	const speedSteps = Math.floor(params.maxSpeed / params.speedStep + 1e-9);
+	for (let i = 0; i <= speedSteps; i++) {
+		const speed = i * params.speedStep;
+		if (blockedBy(own.course, speed).length > 0) {
+			range = null;
+			continue;
+		}
+		if (!range) {
+			range = { min: speed, max: speed };
+			safeSpeeds.push(range);
+		}
+		range.max = speed;
+	}
+
+	return {
+		ownVelocitySafe: blockedBy(own.course, own.speed).length === 0,
+		forbiddenSectors: sectors.map(s => ({ ...s, targets: [...s.targets] })),
+		safeSpeeds: safeSpeeds
+	};
+}
+
+// ============================================================================
+// DATA VALIDATION
+// ============================================================================
+
+/**
+ * Validate vessel update data BEFORE applying
+ */
+function validateVesselUpdate(vesselData, options) {
+	const errors = [];
+
+	// Position validation
+	if (vesselData.position) {
+		const lat = vesselData.position.latitude;
+		const lon = vesselData.position.longitude;
+
+		// Verify coordinates exist and are numbers
+		if (typeof lat !== 'number' || isNaN(lat)) {
+			errors.push(`Invalid latitude: ${lat}`);
+		} else if (Math.abs(lat) > DETECTION.LAT_BOUND) {
+			errors.push(`Latitude out of bounds: ${lat}`);
+		}
+		if (typeof lon !== 'number' || isNaN(lon)) {
+			errors.push(`Invalid longitude: ${lon}`);
+		} else if (Math.abs(lon) > DETECTION.LON_BOUND) {
+			errors.push(`Longitude out of bounds: ${lon}`);
+		}
+	}
+
+	// Speed validation
+	if (vesselData.speed !== undefined && vesselData.speed !== null) {
+		if (isNaN(vesselData.speed)) {
+			errors.push(`Invalid speed: NaN`);
+		} else if (vesselData.speed < 0) {
+			errors.push(`Negative speed: ${vesselData.speed}`);
+		}
+	}
+
+	// Course validation (should be radians 0-2π)
+	if (vesselData.course !== undefined && vesselData.course !== null) {
+		if (isNaN(vesselData.course)) {
+			errors.push(`Invalid course: NaN`);
+		} else if (vesselData.course < 0 || vesselData.course > 2 * Math.PI) {
+			errors.push(`Course out of range: ${vesselData.course} radians`);
+		}
+	}
+
+	return {
+		valid: errors.length === 0,
+		errors: errors
+	};
+}
+
+/**
+ * Detect position jumps (GPS glitches, data errors)
+ */
+function detectPositionJump(vesselData, previousData) {
+	if (!previousData || !previousData.position || !previousData.timestamp) {
+		return { jumped: false };
+	}
+
+	if (!vesselData.position || !vesselData.timestamp) {
+		return { jumped: false };
+	}
+
+	const distance = haversineDistance(previousData.position, vesselData.position);
+	if (isNaN(distance)) {
+		return { jumped: false }; // Can't calculate - assume no jump
+	}
+
+	const timeDelta = (vesselData.timestamp - previousData.timestamp) / 1000; // seconds
+
+	if (timeDelta <= 0) {
+		return { jumped: false }; // No time elapsed or clock issue
+	}
+
+	const impliedSpeed = distance / timeDelta;
+	const maxAllowedSpeed = DETECTION.MAX_VESSEL_SPEED_MPS * DETECTION.JUMP_SPEED_FACTOR;
+
+	if (impliedSpeed > maxAllowedSpeed) {
+		return {
+			jumped: true,
+			impliedSpeed: impliedSpeed,
+			maxAllowedSpeed: maxAllowedSpeed,
+			distance: distance,
+			timeDelta: timeDelta
+		};
+	}
+
+	return { jumped: false };
+}
+
+/**
+ * Estimate course (radians) and speed (m/s) from a track of fixes
+ * Least-squares velocity fit over the fixes within windowSeconds of the latest one,
+ * which smooths position noise better than using only the first and last fix.
+ * Returns { course, speed, fixes, spanSeconds } or null with too few or too close fixes.
+ */
+function estimateMotionFromTrack(track, windowSeconds, minFixes = 2) {
+	if (!Array.isArray(track) || track.length < 2) return null;
+
+	const latest = track[track.length - 1];
+	const fixes = track.filter(fix => (latest.timestamp - fix.timestamp) / 1000 <= windowSeconds);
+	if (fixes.length < Math.max(2, minFixes)) return null;
+
+	const spanSeconds = (latest.timestamp - fixes[0].timestamp) / 1000;
+	if (spanSeconds < DETECTION.MIN_TRACK_SPAN_SECONDS) return null;
+
+	// Local east/north meters relative to the latest fix
+	const cosLat = Math.cos(latest.position.latitude * GEO.ANGLE_TO_RAD);
+	const points = fixes.map(fix => ({
+		t: (fix.timestamp - latest.timestamp) / 1000,
+		x: (fix.position.longitude - latest.position.longitude) * GEO.ANGLE_TO_RAD * GEO.MEAN_RADIUS_M * cosLat,
+		y: (fix.position.latitude - latest.position.latitude) * GEO.ANGLE_TO_RAD * GEO.MEAN_RADIUS_M
+	}));
+
+	const n = points.length;
+	const meanT = points.reduce((sum, p) => sum + p.t, 0) / n;
+	const meanX = points.reduce((sum, p) => sum + p.x, 0) / n;
+	const meanY = points.reduce((sum, p) => sum + p.y, 0) / n;
+	let varT = 0;
+	let covX = 0;
+	let covY = 0;
+	for (const p of points) {
+		varT += (p.t - meanT) * (p.t - meanT);
+		covX += (p.t - meanT) * (p.x - meanX);
+		covY += (p.t - meanT) * (p.y - meanY);
+	}
+	if (varT === 0) return null;
+
+	const vx = covX / varT;
+	const vy = covY / varT;
+	const course = (Math.atan2(vx, vy) + 2 * Math.PI) % (2 * Math.PI);
+
+	return {
+		course: course,
+		speed: Math.sqrt(vx * vx + vy * vy),
+		fixes: n,
+		spanSeconds: spanSeconds
+	};
+}
+
+// ============================================================================
+// TARGET TRACKING FILTER
+// ============================================================================
+
+/**
+ * Constant-velocity Kalman filter, one independent 2-state (position, velocity)
+ * filter per axis in local east/north meters around the first fix.
+ *
+ * fix:    { position, timestamp, course, speed } - course/speed may be missing
+ * params: { accelerationSigma (m/s^2), positionSigma (m), speedSigma (m/s), courseSigma (rad) }
+ */
+function createTrackFilter(fix, params) {
+	const velocity = velocityMeasurement(fix, params);
+	// Without COG/SOG the velocity is unknown until positions accumulate
+	const unknownVariance = DETECTION.MAX_VESSEL_SPEED_MPS * DETECTION.MAX_VESSEL_SPEED_MPS;
+	const axis = v => ({
+		p: 0,
+		v: velocity ? v : 0,
+		P: [params.positionSigma * params.positionSigma, 0, velocity ? velocity.variance : unknownVariance]
+	});
+
+	return {
+		origin: fix.position,
+		timestamp: fix.timestamp,
+		x: axis(velocity ? velocity.vx : 0),
+		y: axis(velocity ? velocity.vy : 0)
+	};
+}
+
+/**
+ * East/north velocity from COG/SOG with its per-axis variance, or null
+ * Course error matters less the slower the vessel: (speed * courseSigma)^2
+ */
+function velocityMeasurement(fix, params) {
+	if (fix.course == null || isNaN(fix.course) || fix.speed == null || isNaN(fix.speed)) return null;
+
+	return {
+		vx: fix.speed * Math.sin(fix.course),
+		vy: fix.speed * Math.cos(fix.course),
+		variance: params.speedSigma * params.speedSigma +
+			Math.pow(fix.speed * params.courseSigma, 2)
+	};
+}
+
+/**
+ * Predict one axis forward by dt seconds with white-acceleration process noise q
+ */
+function predictAxis(axis, dt, q) {
+	const [a, b, c] = axis.P;
+	return {
+		p: axis.p + axis.v * dt,
+		v: axis.v,
+		P: [
+			a + 2 * dt * b + dt * dt * c + q * Math.pow(dt, 4) / 4,
+			b + dt * c + q * Math.pow(dt, 3) / 2,
+			c + q * dt * dt
+		]
+	};
+}
+
+/**
+ * Scalar measurement update of one axis (measured: 'p' position or 'v' velocity)
+ */
+function updateAxis(axis, measured, z, r) {
+	const [a, b, c] = axis.P;
+	if (measured === 'p') {
+		const s = a + r;
+		const k0 = a / s;
+		const k1 = b / s;
+		const innovation = z - axis.p;
+		return {
+			p: axis.p + k0 * innovation,
+			v: axis.v + k1 * innovation,
+			P: [(1 - k0) * a, (1 - k0) * b, c - k1 * b]
+		};
+	}
+	const s = c + r;
+	const k0 = b / s;
+	const k1 = c / s;
+	const innovation = z - axis.v;
+	return {
+		p: axis.p + k0 * innovation,
+		v: axis.v + k1 * innovation,
+		P: [a - k0 * b, b - k0 * c, (1 - k1) * c]
+	};
+}
+
+/**
+ * Feed a new fix (position and, when available, COG/SOG) into a target's filter
+ * Returns a new filter; starts over without a previous filter or after a long gap.
+ */
+function updateTrackFilter(filter, fix, params) {
+	if (!filter || (fix.timestamp - filter.timestamp) / 1000 > DETECTION.FILTER_RESET_SECONDS) {
+		return createTrackFilter(fix, params);
+	}
+
+	const dt = (fix.timestamp - filter.timestamp) / 1000;
+	if (dt <= 0) return filter;
+
+	const q = params.accelerationSigma * params.accelerationSigma;
+	let x = predictAxis(filter.x, dt, q);
+	let y = predictAxis(filter.y, dt, q);
+
+	const cosLat = Math.cos(filter.origin.latitude * GEO.ANGLE_TO_RAD);
+	const r = params.positionSigma * params.positionSigma;
+	x = updateAxis(x, 'p', (fix.position.longitude - filter.origin.longitude) * GEO.ANGLE_TO_RAD * GEO.MEAN_RADIUS_M * cosLat, r);
+	y = updateAxis(y, 'p', (fix.position.latitude - filter.origin.latitude) * GEO.ANGLE_TO_RAD * GEO.MEAN_RADIUS_M, r);
+
+	const velocity = velocityMeasurement(fix, params);
+	if (velocity) {
+		x = updateAxis(x, 'v', velocity.vx, velocity.variance);
+		y = updateAxis(y, 'v', velocity.vy, velocity.variance);
+	}
+
+	return { origin: filter.origin, timestamp: fix.timestamp, x: x, y: y };
+}
+
+/**
+ * Smoothed course (radians), speed (m/s) and velocity standard deviation (m/s) of a filter
+ */
+function trackFilterMotion(filter) {
+	const vx = filter.x.v;
+	const vy = filter.y.v;
+	return {
+		course: (Math.atan2(vx, vy) + 2 * Math.PI) % (2 * Math.PI),
+		speed: Math.sqrt(vx * vx + vy * vy),
+		velocitySigma: Math.sqrt(Math.max(filter.x.P[2], filter.y.P[2]))
+	};
+}
+
+// ============================================================================
+// ENCOUNTER LOG
+// ============================================================================
+
+const ENCOUNTER_FILE_PATTERN = /^encounters-(\d{4}-\d{2}-\d{2})\.jsonl$/;
+
+/**
+ * Daily encounter log file name for a time (UTC date)
+ */
+function encounterFileName(time) {
+	return `encounters-${new Date(time).toISOString().slice(0, 10)}.jsonl`;
+}
+
+/**
+ * Start of the UTC day of an encounter log file, or null for other files
+ */
+function encounterFileDay(fileName) {
+	const match = ENCOUNTER_FILE_PATTERN.exec(fileName);
+	return match ? Date.parse(`${match[1]}T00:00:00Z`) : null;
+}
+
+/**
+ * Append a track point unless the previous one is less than minIntervalMs older
+ * Beyond MAX_ENCOUNTER_TRACK_POINTS every other point is dropped, so long
+ * encounters keep their whole track at a coarser resolution.
+ */
+function appendTrackPoint(track, point, minIntervalMs) {
+	const last = track[track.length - 1];
+	if (last && Date.parse(point.time) - Date.parse(last.time) < minIntervalMs) return track;
+
+	track.push(point);
+	if (track.length > DETECTION.MAX_ENCOUNTER_TRACK_POINTS) {
+		const newest = track[track.length - 1];
+		const thinned = track.filter((_, i) => i % 2 === 0);
+		if (thinned[thinned.length - 1] !== newest) thinned.push(newest);
+		track.splice(0, track.length, ...thinned);
+	}
+	return track;
+}
+
+/**
+ * Encounter log files to delete: older than retentionDays, then the oldest
+ * until the rest fit into maxBytes (never the newest, which is being written)
+ * files: [{ name, size }]
+ */
+function selectExpiredEncounterFiles(files, now, retentionDays, maxBytes) {
+	const logs = files
+		.map(file => ({ ...file, day: encounterFileDay(file.name) }))
+		.filter(file => file.day !== null)
+		.sort((a, b) => a.day - b.day);
+
+	const cutoff = now - retentionDays * 86400000;
+	const expired = [];
+	let total = logs.reduce((sum, file) => sum + file.size, 0);
+	logs.forEach((file, i) => {
+		// A file holds encounters that ended during its day
+		const tooOld = file.day + 86400000 <= cutoff;
+		if (tooOld || (total > maxBytes && i < logs.length - 1)) {
+			expired.push(file.name);
+			total -= file.size;
+		}
+	});
+	return expired;
+}
+
+/**
+ * Whether an encounter overlaps [from, to] (epoch ms, null = open) and matches mmsi
+ */
+function encounterMatchesQuery(encounter, query) {
+	const start = Date.parse(encounter.start);
+	const end = encounter.end ? Date.parse(encounter.end) : Infinity;
+	if (query.from != null && end < query.from) return false;
+	if (query.to != null && start > query.to) return false;
+	if (query.mmsi && String(encounter.mmsi) !== String(query.mmsi)) return false;
+	return true;
+}
+
+/**
+ * Create the encounter log: one JSON line per finished encounter in daily
+ * files under the plugin data directory, pruned by age and total size
+ */
+function createEncounterLog(app, options) {
+	const directory = app.getDataDirPath();
+	let lastFileName = null;
+	// Writes and pruning run one after another off the detection path
+	let pending = Promise.resolve();
+
+	/**
+	 * Queue file work after the pending writes, logging its errors
+	 */
+	function enqueue(task) {
+		pending = pending.then(task).catch(err => app.error(err.message));
+		return pending;
+	}
+
+	/**
+	 * Delete files beyond the retention limits
+	 */
+	async function deleteExpired() {
+		let files;
+		try {
+			const names = (await fs.promises.readdir(directory)).filter(name => ENCOUNTER_FILE_PATTERN.test(name));
+			files = await Promise.all(names.map(async name => ({
+				name: name,
+				size: (await fs.promises.stat(path.join(directory, name))).size
+			})));
+		} catch (err) {
+			app.error(`Failed to read encounter log directory: ${err.message}`);
+			return;
+		}
+
+		const expired = selectExpiredEncounterFiles(files, Date.now(),
+			options.retentionDays, options.maxSizeMegabytes * 1024 * 1024);
+		for (const name of expired) {
+			try {
+				await fs.promises.unlink(path.join(directory, name));
+				app.debug(`Deleted encounter log ${name}`);
+			} catch (err) {
+				app.error(`Failed to delete encounter log ${name}: ${err.message}`);
+			}
+		}
+	}
+
+	/**
+	 * Delete files beyond the retention limits in the background
+	 */
+	function prune() {
+		return enqueue(deleteExpired);
+	}
+
+	/**
+	 * Append a finished encounter in the background (pruning once per new day)
+	 */
+	function write(encounter) {
+		const fileName = encounterFileName(Date.parse(encounter.end));
+		const line = JSON.stringify(encounter) + '\n';
+		return enqueue(async () => {
+			try {
+				await fs.promises.appendFile(path.join(directory, fileName), line);
+			} catch (err) {
+				app.error(`Failed to write encounter log: ${err.message}`);
+				return;
+			}
+			if (fileName !== lastFileName) {
+				lastFileName = fileName;
+				await deleteExpired();
+			}
+		});
+	}
+
+	/**
+	 * Logged encounters matching { from, to, mmsi }, oldest first
+	 */
+	async function query(filter) {
+		// Include encounters still being written
+		await pending;
+
+		// Files are named by the day an encounter ended, so earlier days cannot match
+		const firstDay = filter.from != null ? encounterFileDay(encounterFileName(filter.from)) : -Infinity;
+		const names = (await fs.promises.readdir(directory))
+			.filter(name => encounterFileDay(name) !== null && encounterFileDay(name) >= firstDay)
+			.sort();
+
+		const encounters = [];
+		for (const name of names) {
+			const content = await fs.promises.readFile(path.join(directory, name), 'utf8');
+			for (const line of content.split('\n')) {
+				if (!line.trim()) continue;
+				try {
+					const encounter = JSON.parse(line);
+					if (encounterMatchesQuery(encounter, filter)) {
+						encounters.push(encounter);
+					}
+				} catch (_) {
+					// Skip a line truncated by a crash
+				}
+			}
+		}
+		return encounters.sort((a, b) => Date.parse(a.start) - Date.parse(b.start));
+	}
+
+	/**
+	 * Resolves once all queued writes and pruning have finished
+	 */
+	function flush() {
+		return pending;
+	}
+
+	return { write, prune, query, flush };
+}
+
+// ============================================================================
+// NMEA 0183 ALARM SENTENCES
+// ============================================================================
+
+const NMEA_MAX_SENTENCE_LENGTH = 80;   // Characters from '$' to the checksum, without CR LF
+const NMEA_MAX_ALERT_NUMBER = 999;     // ALR local alarm numbers and BAM alert instances 1-999
+const NMEA_ALC_ENTRIES_PER_SENTENCE = 4;
+
+// Alert level state -> BAM alert priority
+const BAM_PRIORITIES = {
+	emergency: 'E',
+	alarm: 'A',
+	warn: 'W',
+	alert: 'C'
+};
+
+/**
+ * XOR checksum of the characters between the start character and '*'
+ */
+function nmeaChecksum(body) {
+	let checksum = 0;
+	for (let i = 0; i < body.length; i++) {
+		checksum ^= body.charCodeAt(i);
+	}
+	return checksum.toString(16).toUpperCase().padStart(2, '0');
+}
+
+/**
+ * Build a sentence; a text last field is shortened to keep the sentence within 80 characters
+ */
+function formatNmeaSentence(talkerId, type, fields, text = null) {
+	let body = `${talkerId}${type},${fields.join(',')}`;
+	if (text !== null) {
+		// Reserved characters are not allowed in text fields
+		const clean = String(text).replace(/[\r\n$*,!\\^~]/g, ' ').trim();
+		body += ',' + clean.slice(0, Math.max(0, NMEA_MAX_SENTENCE_LENGTH - body.length - 5));
+	}
+	return `$${body}*${nmeaChecksum(body)}`;
+}
+
+/**
+ * hhmmss.ss (UTC) of a time
+ */
+function formatNmeaTime(time) {
+	const iso = new Date(time).toISOString();
+	return `${iso.slice(11, 13)}${iso.slice(14, 16)}${iso.slice(17, 19)}.${iso.slice(20, 22)}`;
+}
+
+/**
+ * ALR: alarm number, condition (active/cleared), acknowledge state and text
+ */
+function formatAlrSentence(talkerId, alert) {
+	return formatNmeaSentence(talkerId, 'ALR', [
+		formatNmeaTime(alert.time),
+		String(alert.number).padStart(3, '0'),
+		alert.active ? 'A' : 'V',
+		alert.acknowledged ? 'A' : 'V'
+	], alert.text);
+}
+
+/**
+ * IEC 61162-1 BAM ALF: title in the first, description in the second sentence
+ * alert: { time, priority, state, identifier, number, revision, title, text }
+ */
+function formatAlfSentences(talkerId, alert, messageId) {
+	return [
+		formatNmeaSentence(talkerId, 'ALF', [
+			2, 1, messageId, formatNmeaTime(alert.time), 'B', alert.priority, alert.state,
+			'', alert.identifier, alert.number, alert.revision, 0
+		], alert.title),
+		formatNmeaSentence(talkerId, 'ALF', [
+			2, 2, messageId, '', '', '', '', '', alert.identifier, alert.number, '', ''
+		], alert.text)
+	];
+}
+
+/**
+ * BAM ALC: cyclic list of active alerts, at most four per sentence
+ */
+function formatAlcSentences(talkerId, alerts, messageId) {
+	const groups = [];
+	for (let i = 0; i < alerts.length; i += NMEA_ALC_ENTRIES_PER_SENTENCE) {
+		groups.push(alerts.slice(i, i + NMEA_ALC_ENTRIES_PER_SENTENCE));
+	}
+	if (groups.length === 0) groups.push([]);
+
+	return groups.map((group, i) => formatNmeaSentence(talkerId, 'ALC', [
+		groups.length, i + 1, messageId, group.length,
+		...group.flatMap(alert => ['', alert.identifier, alert.number, alert.revision])
+	]));
+}
+
+/**
+ * Parse an incoming ACK (alarm number) or BAM ACN (identifier, instance, command)
+ * Returns null for other sentences and bad checksums.
+ */
+function parseAlertResponse(sentence) {
+	const match = /^[$!](\w{2})(ACK|ACN),([^*]*)\*([0-9A-Fa-f]{2})\s*$/.exec(sentence || '');
+	if (!match) return null;
+	if (nmeaChecksum(`${match[1]}${match[2]},${match[3]}`) !== match[4].toUpperCase()) return null;
+
+	const fields = match[3].split(',');
+	if (match[2] === 'ACK') {
+		const number = parseInt(fields[0], 10);
+		return isNaN(number) ? null : { type: 'ACK', number: number };
+	}
+	const identifier = parseInt(fields[2], 10);
+	const instance = parseInt(fields[3], 10);
+	if (isNaN(identifier) || isNaN(instance)) return null;
+	return { type: 'ACN', identifier: identifier, number: instance, command: fields[4] };
+}
+
+/**
+ * Stable alert numbers 1..maxNumber per vessel for alarm outputs
+ * A vessel keeps its number; when all are taken, the least recently raised
+ * vessel without an active alert (isActive false) gives up its number.
+ */
+function createAlertNumbers(maxNumber, isActive) {
+	const numbers = {};  // Number of each vessel, least recently raised first
+
+	return function numberFor(vesselId) {
+		let number = numbers[vesselId];
+		if (number === undefined) {
+			const used = new Set(Object.values(numbers));
+			number = 1;
+			while (used.has(number) && number <= maxNumber) number++;
+			if (number > maxNumber) {
+				const released = Object.keys(numbers).find(id => !isActive(id));
+				if (released === undefined) return null;
+				number = numbers[released];
+				delete numbers[released];
+			}
+		}
+		delete numbers[vesselId];
+		numbers[vesselId] = number;
+		return number;
+	};
+}
+
+/**
+ * Create the NMEA 0183 alarm output: ALR (and BAM ALF/ALC) sentences through
+ * nmea0183out for threats at or above minimumState, each target keeping its
+ * alarm number, and ACK/ACN responses passed to responses.acknowledge/silence
+ */
+function createNmeaAlarmOutput(app, options, responses) {
+	const alerts = {};   // Active alerts keyed by vessel ID
+	const alarmNumber = createAlertNumbers(NMEA_MAX_ALERT_NUMBER, vesselId => !!alerts[vesselId]);
+	let messageId = 0;
+	let repeatTimer = null;
+
+	function emit(sentence) {
+		app.emit('nmea0183out', sentence);
+	}
+
+	function nextMessageId() {
+		messageId = (messageId + 1) % 10;
+		return messageId;
+	}
+
+	function send(alert) {
+		emit(formatAlrSentence(options.talkerId, alert));
+		if (options.bam) {
+			formatAlfSentences(options.talkerId, alert, nextMessageId()).forEach(emit);
+		}
+	}
+
+	/**
+	 * Raise, update or clear the alert of a target after its notification changed
+	 * threat: current threat or null; text: notification message without level
+	 */
+	function updateTarget(vesselId, threat, text) {
+		const previous = alerts[vesselId];
+		const qualifies = threat &&
+			ALERT_STATE_SEVERITY[threat.alertState] >= ALERT_STATE_SEVERITY[options.minimumState];
+
+		if (!qualifies) {
+			if (previous) {
+				delete alerts[vesselId];
+				send({ ...previous, time: Date.now(), active: false, state: 'N', revision: previous.revision % 99 + 1 });
+			}
+			return;
+		}
+
+		const acknowledged = !!threat.acknowledged;
+		const alert = {
+			vesselId: vesselId,
+			number: previous ? previous.number : alarmNumber(vesselId),
+			identifier: options.alertIdentifier,
+			priority: BAM_PRIORITIES[threat.alertState],
+			state: threat.silencedUntil ? 'S' : acknowledged ? 'A' : 'V',
+			active: true,
+			acknowledged: acknowledged,
+			title: 'Dangerous target',
+			text: text,
+			time: previous ? previous.time : Date.now(),
+			revision: previous ? previous.revision : 1
+		};
+		if (alert.number === null) {
+			app.error(`No free NMEA alarm number for ${vesselId}`);
+			return;
+		}
+		alerts[vesselId] = alert;
+
+		if (!previous || previous.priority !== alert.priority || previous.state !== alert.state) {
+			if (previous) {
+				alert.time = Date.now();
+				alert.revision = previous.revision % 99 + 1;
+			}
+			send(alert);
+		}
+	}
+
+	/**
+	 * Act on an incoming sentence if it is an ACK or ACN for one of our alerts
+	 */
+	function handleSentence(sentence) {
+		const response = parseAlertResponse(typeof sentence === 'string' ? sentence.trim() : sentence?.sentence);
+		if (!response) return;
+		if (response.type === 'ACN' && response.identifier !== options.alertIdentifier) return;
+
+		const alert = Object.values(alerts).find(candidate => candidate.number === response.number);
+		if (!alert) return;
+
+		if (response.type === 'ACK' || response.command === 'A') {
+			app.debug(`NMEA acknowledge of alarm ${alert.number} (${alert.vesselId})`);
+			responses.acknowledge(alert.vesselId);
+		} else if (response.command === 'S') {
+			app.debug(`NMEA silence of alarm ${alert.number} (${alert.vesselId})`);
+			responses.silence(alert.vesselId);
+		} else if (response.command === 'Q') {
+			send(alert);
+		}
+	}
+
+	/**
+	 * Repeat ALR of active alerts and, with BAM, the ALC alert list
+	 */
+	function repeat() {
+		const active = Object.values(alerts);
+		active.forEach(alert => emit(formatAlrSentence(options.talkerId, alert)));
+		if (options.bam) {
+			formatAlcSentences(options.talkerId, active, nextMessageId()).forEach(emit);
+		}
+	}
+
+	function start() {
+		if (options.acceptAcknowledgements && typeof app.on === 'function') {
+			app.on('nmea0183', handleSentence);
+		}
+		if (options.repeatSeconds > 0) {
+			repeatTimer = setInterval(repeat, options.repeatSeconds * 1000);
+		}
+	}
+
+	/**
+	 * Stop listening and repeating, and clear every active alert
+	 */
+	function stop() {
+		if (repeatTimer) {
+			clearInterval(repeatTimer);
+			repeatTimer = null;
+		}
+		if (typeof app.removeListener === 'function') {
+			app.removeListener('nmea0183', handleSentence);
+		}
+		for (const vesselId of Object.keys(alerts)) {
+			updateTarget(vesselId, null);
+		}
+	}
+
+	return { updateTarget, handleSentence, start, stop };
+}
+
+// ============================================================================
+// NMEA 2000 ALERT PGNS
+// ============================================================================
+
+const N2K_ALERT_PGN = 126983;
+const N2K_ALERT_RESPONSE_PGN = 126984;
+const N2K_ALERT_TEXT_PGN = 126985;
+const N2K_MAX_ALERT_ID = 65534;
+const N2K_MAX_TEXT_LENGTH = 64;
+
+// Alert level state -> NMEA 2000 alert type
+const N2K_ALERT_TYPES = {
+	emergency: 'Emergency Alarm',
+	alarm: 'Alarm',
+	warn: 'Warning',
+	alert: 'Caution'
+};
+
+/**
+ * Fields identifying an alert, shared by the alert, response and text PGNs
+ */
+function n2kAlertIdentity(alert, alertSystem) {
+	return {
+		'Alert Type': N2K_ALERT_TYPES[alert.alertState],
+		'Alert Category': 'Navigational',
+		'Alert System': alertSystem,
+		'Alert Sub-System': 0,
+		'Alert ID': alert.id,
+		'Data Source Network ID NAME': 0,
+		'Data Source Instance': 0,
+		'Data Source Index-Source': 0,
+		'Alert Occurrence Number': alert.occurrence
+	};
+}
+
+/**
+ * PGN 126983 Alert in canboat JSON for nmea2000JsonOut
+ * alert: { id, occurrence, alertState, active, acknowledged, silenced }
+ */
+function formatN2kAlert(alert, alertSystem) {
+	let alertState = 'Normal';
+	if (alert.active) {
+		alertState = alert.silenced ? 'Silenced' : alert.acknowledged ? 'Acknowledged' : 'Active';
+	}
+	return {
+		pgn: N2K_ALERT_PGN,
+		dst: 255,
+		prio: 2,
+		fields: {
+			...n2kAlertIdentity(alert, alertSystem),
+			'Temporary Silence Status': alert.silenced ? 'Yes' : 'No',
+			'Acknowledge Status': alert.acknowledged ? 'Yes' : 'No',
+			'Escalation Status': 'No',
+			'Temporary Silence Support': 'Yes',
+			'Acknowledge Support': 'Yes',
+			'Escalation Support': 'No',
+			'Trigger Condition': 'Auto',
+			'Threshold Status': alert.active ? 'Threshold Exceeded' : 'Normal',
+			'Alert Priority': ALERT_STATE_SEVERITY.emergency - ALERT_STATE_SEVERITY[alert.alertState],
+			'Alert State': alertState
+		}
+	};
+}
+
+/**
+ * PGN 126985 Alert Text: notification message and target name
+ */
+function formatN2kAlertText(alert, alertSystem) {
+	return {
+		pgn: N2K_ALERT_TEXT_PGN,
+		dst: 255,
+		prio: 6,
+		fields: {
+			...n2kAlertIdentity(alert, alertSystem),
+			'Language ID': 'English (US)',
+			'Alert Text Description': String(alert.text ?? '').slice(0, N2K_MAX_TEXT_LENGTH),
+			'Alert Location Text Description': String(alert.location ?? '').slice(0, N2K_MAX_TEXT_LENGTH)
+		}
+	};
+}
+
+/**
+ * Alert ID and command of a PGN 126984 Alert Response for our alert system
+ * Accepts canboat field names and their camelCase ids; null for anything else.
+ */
+function parseN2kAlertResponse(message, alertSystem) {
+	if (!message || Number(message.pgn) !== N2K_ALERT_RESPONSE_PGN || !message.fields) return null;
+	const fields = message.fields;
+	const system = fields['Alert System'] ?? fields.alertSystem;
+	const id = fields['Alert ID'] ?? fields.alertId;
+	const command = fields['Response Command'] ?? fields.responseCommand;
+	if (Number(system) !== alertSystem || id === undefined) return null;
+
+	if (command === 'Acknowledge' || command === 0) {
+		return { id: Number(id), command: 'acknowledge' };
+	}
+	if (command === 'Temporary Silence' || command === 1) {
+		return { id: Number(id), command: 'silence' };
+	}
+	return null;
+}
+
+/**
+ * Create the NMEA 2000 alert output: PGN 126983/126985 through nmea2000JsonOut
+ * for threats at or above minimumState, each target keeping its alert ID, and
+ * PGN 126984 responses passed to responses.acknowledge/silence
+ */
+function createNmea2000AlertOutput(app, options, responses) {
+	const alerts = {};   // Active alerts keyed by vessel ID
+	const alertId = createAlertNumbers(N2K_MAX_ALERT_ID, vesselId => !!alerts[vesselId]);
+	const occurrences = {};
+	let repeatTimer = null;
+
+	function send(alert, withText) {
+		app.emit('nmea2000JsonOut', formatN2kAlert(alert, options.alertSystem));
+		if (withText) {
+			app.emit('nmea2000JsonOut', formatN2kAlertText(alert, options.alertSystem));
+		}
+	}
+
+	/**
+	 * Raise, update or clear the alert of a target after its notification changed
+	 * threat: current threat or null; text: notification message without level
+	 */
+	function updateTarget(vesselId, threat, text) {
+		const previous = alerts[vesselId];
+		const qualifies = threat &&
+			ALERT_STATE_SEVERITY[threat.alertState] >= ALERT_STATE_SEVERITY[options.minimumState];
+
+		if (!qualifies) {
+			if (previous) {
+				delete alerts[vesselId];
+				send({ ...previous, active: false }, false);
+			}
+			return;
+		}
+
+		const id = previous ? previous.id : alertId(vesselId);
+		if (id === null) {
+			app.error(`No free NMEA 2000 alert ID for ${vesselId}`);
+			return;
+		}
+		if (!previous) {
+			// Each raise of a target's alert is a new occurrence
+			occurrences[vesselId] = (occurrences[vesselId] ?? 0) % 255 + 1;
+		}
+
+		const alert = {
+			vesselId: vesselId,
+			id: id,
+			occurrence: occurrences[vesselId],
+			alertState: threat.alertState,
+			active: true,
+			acknowledged: !!threat.acknowledged,
+			silenced: !!threat.silencedUntil,
+			text: text,
+			location: threat.name || threat.mmsi || vesselId
+		};
+		alerts[vesselId] = alert;
+
+		const changed = !previous || previous.alertState !== alert.alertState ||
+			previous.acknowledged !== alert.acknowledged || previous.silenced !== alert.silenced;
+		if (changed) {
+			send(alert, true);
+		}
+	}
+
+	/**
+	 * Act on an incoming PGN if it is an alert response for one of our alerts
+	 */
+	function handleMessage(message) {
+		const response = parseN2kAlertResponse(message, options.alertSystem);
+		if (!response) return;
+
+		const alert = Object.values(alerts).find(candidate => candidate.id === response.id);
+		if (!alert) return;
+
+		app.debug(`NMEA 2000 ${response.command} of alert ${alert.id} (${alert.vesselId})`);
+		if (response.command === 'acknowledge') {
+			responses.acknowledge(alert.vesselId);
+		} else {
+			responses.silence(alert.vesselId);
+		}
+	}
+
+	/**
+	 * Repeat the state of active alerts (text only on change)
+	 */
+	function repeat() {
+		Object.values(alerts).forEach(alert => send(alert, false));
+	}
+
+	function start() {
+		if (options.acceptResponses && typeof app.on === 'function') {
+			app.on('N2KAnalyzerOut', handleMessage);
+		}
+		if (options.repeatSeconds > 0) {
+			repeatTimer = setInterval(repeat, options.repeatSeconds * 1000);
+		}
+	}
+
+	/**
+	 * Stop listening and repeating, and clear every active alert
+	 */
+	function stop() {
+		if (repeatTimer) {
+			clearInterval(repeatTimer);
+			repeatTimer = null;
+		}
+		if (typeof app.removeListener === 'function') {
+			app.removeListener('N2KAnalyzerOut', handleMessage);
+		}
+		for (const vesselId of Object.keys(alerts)) {
+			updateTarget(vesselId, null);
+		}
+	}
+
+	return { updateTarget, handleMessage, start, stop };
+}
+
+module.exports = function (app) {
+const plugin = {};
+
+plugin.id = 'signalk-cpa-tcpa-plugin';
+plugin.name = 'CPA/TCPA Collision Detector';
+plugin.description = 'SignalK plugin for CPA/TCPA collision detection of AIS vessels';
+
+plugin.schema = {
+	title: plugin.name,
+	type: 'object',
+	properties: {
+		safePassingDistanceMeters: {
+			type: 'number',
+			title: 'Safe passing distance (meters)',
+			description: 'Minimum CPA distance to trigger collision alarm',
+			default: 500
+		},
+		alertLevels: {
+			type: 'array',
+			title: 'Alert levels',
+			description: 'Ladder of alert levels, each with its own CPA and TCPA limits. The most severe level whose limits are met applies. ' +
+				'A level without CPA/TCPA limits uses the safe passing distance and time window above. An empty list means a single alarm level.',
+			default: [
+				{ name: 'caution', state: 'alert', cpaMeters: 3704, tcpaMinutes: 30, method: ['visual'] },
+				{ name: 'warning', state: 'warn', cpaMeters: 1852, tcpaMinutes: 20, method: ['visual'] },
+				{ name: 'alarm', state: 'alarm', method: ['visual', 'sound'] },
+				{ name: 'emergency', state: 'emergency', cpaMeters: 200, tcpaMinutes: 3, method: ['visual', 'sound'] }
+			],
+			items: {
+				type: 'object',
+				required: ['name', 'state'],
+				properties: {
+					name: {
+						type: 'string',
+						title: 'Level name'
+					},
+					state: {
+						type: 'string',
+						title: 'SignalK notification state',
+						enum: ['alert', 'warn', 'alarm', 'emergency'],
+						default: 'alarm'
+					},
+					cpaMeters: {
+						type: 'number',
+						title: 'CPA limit (meters)',
+						description: 'Leave empty to use the safe passing distance'
+					},
+					tcpaMinutes: {
+						type: 'number',
+						title: 'TCPA limit (minutes)',
+						description: 'Leave empty to use the time window'
+					},
+					method: {
+						type: 'array',
+						title: 'Notification methods',
+						items: {
+							type: 'string',
+							enum: ['visual', 'sound']
+						},
+						uniqueItems: true,
+						default: ['visual']
+					}
+				}
+			}
+		},
+		alarmHysteresisMeters: {
+			type: 'number',
+			title: 'Alarm hysteresis (meters)',
+			description: 'Additional distance for alarm-off threshold (prevents flapping)',
+			default: 200
+		},
+		alarmHysteresisMinutes: {
+			type: 'number',
+			title: 'Alarm hysteresis (minutes)',
+			description: 'Additional TCPA for alarm-off threshold (prevents flapping)',
+			default: 2
+		},
+		debounce: {
+			type: 'object',
+			title: 'Alarm debounce',
+			description: 'A target\'s alert level only changes after enough consistent reports',
+			properties: {
+				minConsecutiveReports: {
+					type: 'number',
+					title: 'Minimum consecutive reports',
+					description: 'Reports in a row needed to raise, lower or clear a target\'s alert level (1 = immediate)',
+					default: 1
+				},
+				minDurationSeconds: {
+					type: 'number',
+					title: 'Minimum duration (seconds)',
+					description: 'Time those reports must span before the change is applied',
+					default: 0
+				}
+			}
+		},
+		timeWindowMinutes: {
+			type: 'number',
+			title: 'Time window for collision prediction (minutes)',
+			description: 'How far ahead to predict collisions',
+			default: 10
+		},
+		predictionModel: {
+			type: 'string',
+			title: 'Prediction model',
+			description: 'linear: both vessels hold course and speed. curvilinear: use navigation.rateOfTurn (own vessel and targets reporting it) to predict curved tracks',
+			enum: ['linear', 'curvilinear'],
+			default: 'linear'
+		},
+		hullAware: {
+			type: 'boolean',
+			title: 'Hull-aware CPA',
+			description: 'Measure closest approach between hull outlines (length, beam, heading, AIS/GNSS reference offsets) instead of antenna-to-antenna when dimensions are known',
+			default: true
+		},
+		uncertainty: {
+			type: 'object',
+			title: 'Uncertainty-aware collision risk',
+			description: 'Sample course, speed and position errors around the CPA calculation to estimate the probability that separation drops below the safe passing distance within the time window',
+			properties: {
+				enabled: {
+					type: 'boolean',
+					title: 'Estimate collision probability',
+					default: false
+				},
+				courseSigmaDegrees: {
+					type: 'number',
+					title: 'COG standard deviation (degrees)',
+					description: 'Grows automatically below 2 knots',
+					default: 3
+				},
+				speedSigmaKnots: {
+					type: 'number',
+					title: 'SOG standard deviation (knots)',
+					default: 0.3
+				},
+				positionSigmaMeters: {
+					type: 'number',
+					title: 'Position standard deviation (meters)',
+					default: 10
+				},
+				classBFactor: {
+					type: 'number',
+					title: 'Class B multiplier',
+					description: 'Scales all standard deviations for Class B targets',
+					default: 2
+				},
+				samples: {
+					type: 'number',
+					title: 'Samples per target',
+					default: 200
+				},
+				useAsAlarmCriterion: {
+					type: 'boolean',
+					title: 'Use probability as alarm criterion',
+					description: 'Alarm-severity levels require the probability to reach the threshold, and reaching it raises the target to alarm',
+					default: false
+				},
+				probabilityThreshold: {
+					type: 'number',
+					title: 'Alarm probability threshold (0-1)',
+					default: 0.5
+				}
+			}
+		},
+		rangeNauticalMiles: {
+			type: 'number',
+			title: 'Detection range (nautical miles)',
+			description: 'Vessels beyond this range are ignored. Set based on your typical cruising area.',
+			default: 10
+		},
+		tracking: {
+			type: 'object',
+			title: 'Target tracking filter',
+			description: 'Smooth target course and speed with a constant-velocity Kalman filter fed by position, COG and SOG, so noisy COG of slow targets does not make CPA flicker',
+			properties: {
+				enabled: {
+					type: 'boolean',
+					title: 'Use filtered course and speed',
+					default: true
+				},
+				accelerationSigma: {
+					type: 'number',
+					title: 'Manoeuvre acceleration (m/s²)',
+					description: 'Higher follows manoeuvres faster, lower smooths more',
+					default: 0.01
+				},
+				positionSigmaMeters: {
+					type: 'number',
+					title: 'Position noise (meters)',
+					default: 10
+				},
+				speedSigmaKnots: {
+					type: 'number',
+					title: 'SOG noise (knots)',
+					default: 0.5
+				},
+				courseSigmaDegrees: {
+					type: 'number',
+					title: 'COG noise (degrees)',
+					default: 10
+				}
+			}
+		},
+		derivedMotion: {
+			type: 'object',
+			title: 'Derived motion',
+			description: 'Estimate missing COG/SOG of own vessel and targets from their recent positions; threats using estimates are flagged as derived',
+			properties: {
+				enabled: {
+					type: 'boolean',
+					title: 'Derive COG/SOG from position history',
+					default: true
+				},
+				windowSeconds: {
+					type: 'number',
+					title: 'History window (seconds)',
+					default: 60
+				},
+				minFixes: {
+					type: 'number',
+					title: 'Minimum number of fixes',
+					default: 3
+				}
+			}
+		},
+		stationaryTargets: {
+			type: 'object',
+			title: 'Anchored and moored targets',
+			description: 'Targets reporting navigation state anchored, moored or aground are treated as zero-velocity hazards, and alert levels judge the approach to their swinging circle',
+			properties: {
+				enabled: {
+					type: 'boolean',
+					title: 'Use navigation state',
+					default: true
+				},
+				anchorScopeMeters: {
+					type: 'number',
+					title: 'Anchor scope (meters)',
+					description: 'Added to the target length for the swinging circle of anchored targets',
+					default: 50
+				}
+			}
+		},
+		guardZones: {
+			type: 'array',
+			title: 'Guard zones',
+			description: 'Radar-style zones raising their alert level for any target inside, independent of CPA/TCPA',
+			default: [],
+			items: {
+				type: 'object',
+				required: ['name', 'type', 'alertLevel'],
+				properties: {
+					name: {
+						type: 'string',
+						title: 'Zone name'
+					},
+					enabled: {
+						type: 'boolean',
+						title: 'Enabled',
+						default: true
+					},
+					type: {
+						type: 'string',
+						title: 'Zone type',
+						enum: ['ring', 'sector', 'polygon'],
+						enumNames: ['Range ring around own vessel', 'Bearing sector relative to bow', 'Polygon fixed to the chart'],
+						default: 'ring'
+					},
+					alertLevel: {
+						type: 'string',
+						title: 'Alert level',
+						description: 'Name of one of the alert levels above',
+						default: 'alarm'
+					},
+					innerRadiusMeters: {
+						type: 'number',
+						title: 'Inner radius (meters, ring and sector)',
+						default: 0
+					},
+					outerRadiusMeters: {
+						type: 'number',
+						title: 'Outer radius (meters, ring and sector)',
+						default: 500
+					},
+					startBearing: {
+						type: 'number',
+						title: 'Sector start (degrees relative to bow)',
+						description: 'The sector runs clockwise from start to end, e.g. 315 to 45 for ahead',
+						default: 315
+					},
+					endBearing: {
+						type: 'number',
+						title: 'Sector end (degrees relative to bow)',
+						default: 45
+					},
+					polygon: {
+						type: 'array',
+						title: 'Polygon vertices',
+						items: {
+							type: 'object',
+							required: ['latitude', 'longitude'],
+							properties: {
+								latitude: { type: 'number', title: 'Latitude' },
+								longitude: { type: 'number', title: 'Longitude' }
+							}
+						}
+					}
+				}
+			}
+		},
+		safetyDomains: {
+			type: 'array',
+			title: 'Safety domain rules',
+			description: 'Safe passing distance, time window and ship domain by target ship type, length and speed. The first matching rule applies; targets matching none use the global values.',
+			default: [],
+			items: {
+				type: 'object',
+				required: ['name'],
+				properties: {
+					name: {
+						type: 'string',
+						title: 'Rule name'
+					},
+					enabled: {
+						type: 'boolean',
+						title: 'Enabled',
+						default: true
+					},
+					shipTypes: {
+						type: 'string',
+						title: 'AIS ship types',
+						description: 'Codes and ranges, e.g. 70-89 for cargo and tankers, 36-37 for sailing and pleasure craft (empty = any)'
+					},
+					minLengthMeters: {
+						type: 'number',
+						title: 'Minimum length (meters)'
+					},
+					maxLengthMeters: {
+						type: 'number',
+						title: 'Maximum length (meters)'
+					},
+					minSpeedKnots: {
+						type: 'number',
+						title: 'Minimum speed (knots)'
+					},
+					maxSpeedKnots: {
+						type: 'number',
+						title: 'Maximum speed (knots)'
+					},
+					safePassingDistanceMeters: {
+						type: 'number',
+						title: 'Safe passing distance (meters)',
+						description: 'Alert level CPA limits are scaled by this over the global safe passing distance'
+					},
+					timeWindowMinutes: {
+						type: 'number',
+						title: 'Time window (minutes)',
+						description: 'Alert level TCPA limits are scaled by this over the global time window'
+					},
+					aheadFactor: {
+						type: 'number',
+						title: 'Domain ahead of the target (x distance)',
+						description: 'Ship domain oriented on the target heading; 1 for all three factors is a circle',
+						default: 1
+					},
+					asternFactor: {
+						type: 'number',
+						title: 'Domain astern of the target (x distance)',
+						default: 1
+					},
+					beamFactor: {
+						type: 'number',
+						title: 'Domain abeam of the target (x distance)',
+						default: 1
+					}
+				}
+			}
+		},
+		targetOverrides: {
+			type: 'array',
+			title: 'Target overrides',
+			description: 'Ignore, mute or set own limits for specific vessels (own tender, committee boat, buddies sailing in company). Also editable through the REST API.',
+			default: [],
+			items: {
+				type: 'object',
+				required: ['action'],
+				properties: {
+					mmsi: {
+						type: 'string',
+						title: 'MMSI'
+					},
+					namePattern: {
+						type: 'string',
+						title: 'Name pattern',
+						description: 'Vessel name with * and ? wildcards, case-insensitive (used when MMSI is empty)'
+					},
+					action: {
+						type: 'string',
+						title: 'Action',
+						enum: ['ignore', 'mute', 'custom'],
+						enumNames: ['Ignore entirely', 'Mute to a lower alert level', 'Own safe distance and time window'],
+						default: 'mute'
+					},
+					maxAlertLevel: {
+						type: 'string',
+						title: 'Highest alert level when muted',
+						description: 'Name of one of the alert levels above, or none',
+						default: 'none'
+					},
+					safePassingDistanceMeters: {
+						type: 'number',
+						title: 'Safe passing distance (meters, custom)',
+						description: 'Alert level CPA limits are scaled by this over the global safe passing distance'
+					},
+					timeWindowMinutes: {
+						type: 'number',
+						title: 'Time window (minutes, custom)',
+						description: 'Alert level TCPA limits are scaled by this over the global time window'
+					}
+				}
+			}
+		},
+		sweepIntervalSeconds: {
+			type: 'number',
+			title: 'Sweep interval (seconds)',
+			description: 'Periodically re-evaluate all targets in range with dead-reckoned positions and drop stale ones (0 = disabled, otherwise at least 1)',
+			default: 10
+		},
+		ownVesselRecheckSeconds: {
+			type: 'number',
+			title: 'Own vessel re-evaluation interval (seconds)',
+			description: 'Re-evaluate all targets in range when own position, course, speed or heading changes, at most this often (0 = disabled)',
+			default: 2
+		},
+		publishSummaryNotification: {
+			type: 'boolean',
+			title: 'Publish summary notification',
+			description: 'Also publish all threats aggregated under notifications.danger.collision (per-target notifications are always published)',
+			default: true
+		},
+		acknowledgement: {
+			type: 'object',
+			title: 'Acknowledgement and silencing',
+			description: 'Acknowledged threats stay visible with reduced notification methods until they clear, the silence expires or they worsen beyond the re-arm margins',
+			properties: {
+				silenceMinutes: {
+					type: 'number',
+					title: 'Default silence duration (minutes)',
+					default: 5
+				},
+				rearmCpaMeters: {
+					type: 'number',
+					title: 'Re-arm when CPA decreases by more than (meters)',
+					default: 100
+				},
+				rearmTcpaMinutes: {
+					type: 'number',
+					title: 'Re-arm when TCPA comes closer than predicted by more than (minutes)',
+					default: 2
+				},
+				methods: {
+					type: 'array',
+					title: 'Notification methods kept while acknowledged',
+					items: {
+						type: 'string',
+						enum: ['visual', 'sound']
+					},
+					uniqueItems: true,
+					default: ['visual']
+				}
+			}
+		},
+		targetClosestApproach: {
+			type: 'object',
+			title: 'Per-target closest approach data',
+			properties: {
+				enabled: {
+					type: 'boolean',
+					title: 'Publish CPA/TCPA for every target',
+					description: 'Publish navigation.closestApproach (distance, timeTo) in each evaluated target\'s own data tree',
+					default: true
+				},
+				minPeriodSeconds: {
+					type: 'number',
+					title: 'Minimum publish interval per target (seconds)',
+					description: 'Rate limit for navigation.closestApproach updates of a single target',
+					default: 5
+				}
+			}
+		},
+		safeManoeuvres: {
+			type: 'object',
+			title: 'Safe courses and speeds',
+			description: 'Own courses (at current speed) and speeds (on current course) keeping every target outside the safe passing distance within the time window, from velocity obstacles',
+			properties: {
+				enabled: {
+					type: 'boolean',
+					title: 'Compute safe courses and speeds',
+					default: true
+				},
+				maxSpeedKnots: {
+					type: 'number',
+					title: 'Own maximum speed (knots)',
+					description: 'Highest speed considered for the safe speed ranges',
+					default: 20
+				},
+				publishIntervalSeconds: {
+					type: 'number',
+					title: 'Publish interval (seconds)',
+					description: 'Publish navigation.closestApproach.safeManoeuvres this often (0 = REST API only)',
+					default: 10
+				}
+			}
+		},
+		encounterLog: {
+			type: 'object',
+			title: 'Encounter log',
+			description: 'Record every encounter (first detection, alarm, closest predicted and observed approach, both tracks) as JSON lines in the plugin data directory',
+			properties: {
+				enabled: {
+					type: 'boolean',
+					title: 'Record encounters',
+					default: true
+				},
+				closeAfterMinutes: {
+					type: 'number',
+					title: 'End an encounter this long after the threat cleared (minutes)',
+					description: 'Keeps the actual closest approach, which usually follows the alarm, in the same encounter',
+					default: 5
+				},
+				trackIntervalSeconds: {
+					type: 'number',
+					title: 'Track point interval (seconds)',
+					default: 10
+				},
+				retentionDays: {
+					type: 'number',
+					title: 'Keep encounters for (days)',
+					default: 30
+				},
+				maxSizeMegabytes: {
+					type: 'number',
+					title: 'Maximum total log size (MB)',
+					description: 'The oldest daily files are deleted beyond this',
+					default: 50
+				}
+			}
+		},
+		nmea0183Alarms: {
+			type: 'object',
+			title: 'NMEA 0183 alarm output',
+			description: 'Send ALR (and optionally IEC 61162-1 BAM ALF/ALC) sentences through nmea0183out for bridge alarm panels, and accept ACK/ACN acknowledgements',
+			properties: {
+				enabled: {
+					type: 'boolean',
+					title: 'Send alarm sentences',
+					default: false
+				},
+				talkerId: {
+					type: 'string',
+					title: 'Talker ID',
+					default: 'II'
+				},
+				minimumState: {
+					type: 'string',
+					title: 'Lowest alert state sent',
+					enum: ['alert', 'warn', 'alarm', 'emergency'],
+					default: 'alarm'
+				},
+				bam: {
+					type: 'boolean',
+					title: 'Also send BAM ALF and ALC sentences',
+					default: false
+				},
+				alertIdentifier: {
+					type: 'number',
+					title: 'BAM alert identifier',
+					description: 'Identifier of the CPA/TCPA alert in ALF, ALC and ACN; each target is an instance of it',
+					default: 3015
+				},
+				repeatSeconds: {
+					type: 'number',
+					title: 'Repeat interval (seconds)',
+					description: 'Repeat ALR of active alarms and send the ALC alert list this often (0 = only on change)',
+					default: 30
+				},
+				acceptAcknowledgements: {
+					type: 'boolean',
+					title: 'Acknowledge threats from incoming ACK/ACN sentences',
+					default: true
+				}
+			}
+		},
+		nmea2000Alerts: {
+			type: 'object',
+			title: 'NMEA 2000 alert output',
+			description: 'Send alerts as PGN 126983 (alert) and 126985 (alert text) through nmea2000JsonOut, and acknowledge or silence threats from PGN 126984 alert responses',
+			properties: {
+				enabled: {
+					type: 'boolean',
+					title: 'Send alert PGNs',
+					default: false
+				},
+				minimumState: {
+					type: 'string',
+					title: 'Lowest alert state sent',
+					enum: ['alert', 'warn', 'alarm', 'emergency'],
+					default: 'warn'
+				},
+				alertSystem: {
+					type: 'number',
+					title: 'Alert system number',
+					description: 'Identifies this plugin\'s alerts; each target gets its own alert ID within it',
+					default: 1
+				},
+				repeatSeconds: {
+					type: 'number',
+					title: 'Repeat interval (seconds)',
+					description: 'Repeat PGN 126983 of active alerts this often (0 = only on change)',
+					default: 5
+				},
+				acceptResponses: {
+					type: 'boolean',
+					title: 'Acknowledge and silence threats from PGN 126984',
+					default: true
+				}
+			}
+		},
+		timeouts: {
+			type: 'object',
+			title: 'Data freshness timeouts',
+			properties: {
+				PosFreshBefore: {
+					type: 'number',
+					title: 'Maximum data age (seconds)',
+					description: 'AIS data older than this is considered stale',
+					default: 600
+				}
+			}
+		},
+		debug: {
+			type: 'object',
+			title: 'Debug options',
+			properties: {
+				enabled: {
+					type: 'boolean',
+					title: 'Enable verbose debug logging',
+					description: 'Log detailed information about collision detection',
+					default: false
+				},
+				logInterval: {
+					type: 'number',
+					title: 'Status log interval (seconds)',
+					description: 'How often to log status summary (0 = disabled)',
+					default: 60
+				},
+				logVesselDetails: {
+					type: 'boolean',
+					title: 'Log vessel details',
+					description: 'Include position/course/speed in debug output',
+					default: false
+				}
+			}
+		}
 	}
-
-	return { jumped: false };
-}
+};
 
 // ============================================================================
 // COLLISION DETECTION STATE
@@ -423,16 +2957,29 @@ function detectPositionJump(vesselData, previousData) {
 
 /**
  * Create collision detector state manager
+ * encounterLog (optional) receives every finished encounter,
+ * alarmOutputs (NMEA 0183, NMEA 2000) every change of a target's notification
  */
-function createCollisionDetector(app, options) {
+function createCollisionDetector(app, options, encounterLog = null, alarmOutputs = []) {
 	const state = {
 		selfContext: null,    // Own vessel ID (e.g., 'self' or MMSI)
 		selfFullContext: null, // Full context path (e.g., 'vessels.self')
-		alarmActive: false,   // Current alarm state
+		alarmActive: false,   // Summary alarm state (any target threatening)
 		collisions: {},       // Current collision threats
-		previousPositions: {}, // Track previous positions for jump detection
+		targetNotifications: {}, // Per-target notification state, keyed by vessel ID
+		summaryKey: null,     // Threats, level and methods of the last published summary notification
+		targets: {},          // Latest CPA/TCPA evaluation of every target in range
+		targetAlarms: {},     // Per-target alarm state machines (see advanceTargetAlarm)
+		acknowledgements: {}, // Operator acknowledgements of threats, keyed by vessel ID
+		encounters: {},       // Open encounters (threat and its aftermath), keyed by vessel ID
+		previousPositions: {}, // Last fix and recent track of each vessel (jump detection, derived motion)
 		callCount: 0,         // For deterministic cleanup scheduling
 		statusLogTimer: null, // Timer for periodic status logging
+		sweepTimer: null,     // Timer for periodic sweep of all targets
+		safeManoeuvresTimer: null, // Timer for publishing safe courses and speeds
+		safeManoeuvresPublished: false, // Safe courses and speeds currently published
+		recheckTimer: null,   // Pending throttled re-evaluation of all targets
+		lastRecheck: 0,       // Time of last re-evaluation of all targets
 		stats: {
 			checksPerformed: 0,
 			alarmsTriggered: 0,
@@ -574,8 +3121,19 @@ function createCollisionDetector(app, options) {
 			const courseOverGround = app.getPath(`${vesselContext}.navigation.courseOverGroundTrue`);
 			const headingTrue = app.getPath(`${vesselContext}.navigation.headingTrue`);
 			const speedOverGround = app.getPath(`${vesselContext}.navigation.speedOverGround`);
+			const rateOfTurn = app.getPath(`${vesselContext}.navigation.rateOfTurn`);
+			const aisClass = app.getPath(`${vesselContext}.sensors.ais.class`);
+			const navigationState = app.getPath(`${vesselContext}.navigation.state`);
 			const length = app.getPath(`${vesselContext}.design.length`);
 			const beam = app.getPath(`${vesselContext}.design.beam`);
+			const aisShipType = app.getPath(`${vesselContext}.design.aisShipType`);
+			// Position reference offsets: AIS reference point, GNSS antenna as fallback (own vessel)
+			const fromBow = app.getPath(`${vesselContext}.sensors.ais.fromBow`) ??
+				app.getPath(`${vesselContext}.sensors.gps.fromBow`);
+			const fromCenter = app.getPath(`${vesselContext}.sensors.ais.fromCenter`) ??
+				app.getPath(`${vesselContext}.sensors.gps.fromCenter`);
+			const name = app.getPath(`${vesselContext}.name`);
+			const mmsi = app.getPath(`${vesselContext}.mmsi`);
 
 			// Extract values (getPath returns objects with 'value' and 'timestamp')
 			// Handle both wrapped {value, timestamp} and direct value formats
@@ -630,8 +3188,17 @@ function createCollisionDetector(app, options) {
 				position: posValue,
 				course: courseValue,
 				speed: speedValue,
+				rateOfTurn: rateOfTurn?.value ?? rateOfTurn ?? null,
+				heading: headingTrue?.value ?? headingTrue ?? null,
 				length: length?.value?.overall || length?.overall || length?.value || length,
 				beam: beam?.value || beam,
+				shipType: aisShipType?.value?.id ?? aisShipType?.id ?? null,
+				fromBow: fromBow?.value ?? fromBow ?? null,
+				fromCenter: fromCenter?.value ?? fromCenter ?? null,
+				name: name?.value ?? name ?? null,
+				mmsi: mmsi?.value ?? mmsi ?? null,
+				aisClass: aisClass?.value ?? aisClass ?? null,
+				navigationState: navigationState?.value ?? navigationState ?? null,
 				timestamp: timestamp
 			};
 		} catch (error) {
@@ -660,6 +3227,17 @@ function createCollisionDetector(app, options) {
 		return validation.valid;
 	}
 
+	/**
+	 * Add own vessel's latest position report to its track history, from which own
+	 * COG/SOG is derived when missing (called on every own position update)
+	 */
+	function recordOwnFix() {
+		const selfVessel = getVesselData(state.selfFullContext);
+		if (validateVesselData(selfVessel)) {
+			recordTrackFix(state.selfContext, selfVessel);
+		}
+	}
+
 	/**
 	 * Check for position jumps using stored previous position
 	 */
@@ -675,91 +3253,367 @@ function createCollisionDetector(app, options) {
 			}
 		}
 
-		// Store current position for next check (with memory limit)
-		if (currentData && currentData.position) {
-			// Enforce memory limit before adding new entry
-			const trackedCount = Object.keys(state.previousPositions).length;
-			if (trackedCount >= DETECTION.VESSEL_TRACKING_LIMIT && !state.previousPositions[vesselId]) {
-				// At limit and this is a new vessel - run cleanup first
-				cleanupStalePositions();
-				// If still at limit, skip tracking this vessel
-				if (Object.keys(state.previousPositions).length >= DETECTION.VESSEL_TRACKING_LIMIT) {
-					app.debug(`Memory limit reached (${DETECTION.VESSEL_TRACKING_LIMIT} vessels), not tracking ${vesselId}`);
-					return false;
-				}
+		// Store current position for next check
+		recordTrackFix(vesselId, currentData);
+
+		return false;
+	}
+
+	/**
+	 * Append a fix to a vessel's track history (with memory limit)
+	 * Repeated evaluations of the same report do not add fixes.
+	 */
+	function recordTrackFix(vesselId, vesselData) {
+		if (!vesselData || !vesselData.position) return;
+
+		const previous = state.previousPositions[vesselId];
+		if (previous && previous.timestamp === vesselData.timestamp) return;
+
+		// Enforce memory limit before adding new entry
+		if (!previous && Object.keys(state.previousPositions).length >= DETECTION.VESSEL_TRACKING_LIMIT) {
+			// At limit and this is a new vessel - run cleanup first
+			cleanupStalePositions();
+			// If still at limit, skip tracking this vessel
+			if (Object.keys(state.previousPositions).length >= DETECTION.VESSEL_TRACKING_LIMIT) {
+				app.debug(`Memory limit reached (${DETECTION.VESSEL_TRACKING_LIMIT} vessels), not tracking ${vesselId}`);
+				return;
 			}
+		}
 
-			state.previousPositions[vesselId] = {
-				position: currentData.position,
-				timestamp: currentData.timestamp
-			};
+		const fix = { position: vesselData.position, timestamp: vesselData.timestamp };
+		const track = previous ? previous.track : [];
+		track.push(fix);
+		if (track.length > DETECTION.TRACK_HISTORY_LENGTH) {
+			track.shift();
 		}
 
-		return false;
+		state.previousPositions[vesselId] = { ...fix, track: track, filter: previous?.filter };
+	}
+
+	/**
+	 * Feed a target's new report into its tracking filter, kept with its track history
+	 */
+	function updateTargetFilter(vesselId, vesselData) {
+		const entry = state.previousPositions[vesselId];
+		if (!entry || !options.tracking.enabled) return;
+		if (entry.filter && entry.filter.timestamp === vesselData.timestamp) return;
+
+		entry.filter = updateTrackFilter(entry.filter, vesselData, {
+			accelerationSigma: options.tracking.accelerationSigma,
+			positionSigma: options.tracking.positionSigmaMeters,
+			speedSigma: options.tracking.speedSigmaKnots * GEO.KNOTS_TO_MPS,
+			courseSigma: options.tracking.courseSigmaDegrees * GEO.ANGLE_TO_RAD
+		});
+	}
+
+	/**
+	 * Replace a target's raw COG/SOG with the filtered velocity once the filter has settled
+	 */
+	function withFilteredMotion(vesselId, vesselData) {
+		const filter = state.previousPositions[vesselId]?.filter;
+		if (!filter || !options.tracking.enabled) return vesselData;
+
+		const motion = trackFilterMotion(filter);
+		if (motion.velocitySigma > DETECTION.MAX_FILTER_VELOCITY_SIGMA) return vesselData;
+
+		debugLogVessel(vesselId, `Filtered COG=${formatCourse(motion.course)} (raw ${formatCourse(vesselData.course)}), ` +
+			`SOG=${formatSpeed(motion.speed)} (raw ${formatSpeed(vesselData.speed)}), σv=${motion.velocitySigma.toFixed(2)}m/s`);
+		return {
+			...vesselData,
+			course: motion.course,
+			speed: motion.speed,
+			velocitySigma: motion.velocitySigma,
+			filtered: true
+		};
+	}
+
+	/**
+	 * Fill in missing COG/SOG from the vessel's track history, flagged as derived
+	 */
+	function withDerivedMotion(vesselId, vesselData) {
+		const hasMotion = vesselData.course != null && !isNaN(vesselData.course) &&
+			vesselData.speed != null && !isNaN(vesselData.speed);
+		if (hasMotion || !options.derivedMotion.enabled) return vesselData;
+
+		const motion = estimateMotionFromTrack(state.previousPositions[vesselId]?.track,
+			options.derivedMotion.windowSeconds, options.derivedMotion.minFixes);
+		if (!motion) return vesselData;
+
+		debugLogVessel(vesselId, `Derived motion from ${motion.fixes} fixes over ${motion.spanSeconds.toFixed(0)}s: ` +
+			`COG=${formatCourse(motion.course)}, SOG=${formatSpeed(motion.speed)}`);
+		return { ...vesselData, course: motion.course, speed: motion.speed, derived: true };
 	}
 
 	/**
-	 * Check collision using CPA/TCPA (primary method)
+	 * Run the configured prediction model over the horizon of the given alert levels
+	 * Curvilinear only when either vessel is actually turning, otherwise straight-line CPA
 	 */
-	function checkCPACollision(selfVessel, targetVessel, vesselId) {
+	function predictCPA(selfVessel, targetVessel, levels = options.alertLevels) {
+		const turning = [selfVessel, targetVessel].some(vessel =>
+			isFinite(vessel.rateOfTurn) && Math.abs(vessel.rateOfTurn) >= DETECTION.MIN_RATE_OF_TURN);
+
+		if (options.predictionModel === 'curvilinear' && turning) {
+			return calculateCurvilinearCPA(selfVessel, targetVessel, getPredictionHorizonSeconds(levels));
+		}
+
 		const cpaResult = calculateCPA(selfVessel, targetVessel);
+		return cpaResult ? { ...cpaResult, model: 'linear' } : null;
+	}
+
+	/**
+	 * Probability that a target comes within the safe passing distance inside the time window
+	 * (of its alert profile), given the configured course/speed/position uncertainty (larger
+	 * for Class B targets)
+	 */
+	function estimateCollisionProbability(selfVessel, targetVessel, profile = options) {
+		const u = options.uncertainty;
+		const ownSigmas = {
+			course: u.courseSigmaDegrees * GEO.ANGLE_TO_RAD,
+			speed: u.speedSigmaKnots * GEO.KNOTS_TO_MPS,
+			position: u.positionSigmaMeters
+		};
+		const targetFactor = targetVessel.aisClass === 'B' ? u.classBFactor : 1;
+		// A stationary target has no course/speed error, only position error
+		const targetSigmas = {
+			course: targetVessel.stationary ? 0 : ownSigmas.course * targetFactor,
+			speed: targetVessel.stationary ? 0 : ownSigmas.speed * targetFactor,
+			position: ownSigmas.position * targetFactor
+		};
+
+		return calculateCollisionProbability(selfVessel, targetVessel, {
+			safeDistanceMeters: profile.safePassingDistanceMeters + (targetVessel.swingRadius || 0),
+			horizonSeconds: profile.timeWindowMinutes * 60,
+			samples: u.samples,
+			sigmas1: ownSigmas,
+			sigmas2: targetSigmas
+		});
+	}
+
+	/**
+	 * Raise a target to the level of the most severe guard zone it is in,
+	 * regardless of its CPA/TCPA (a diverging target inside a zone still alerts)
+	 */
+	function applyGuardZones(selfVessel, targetVessel, vesselId, evaluation) {
+		if (options.guardZones.length === 0) return evaluation;
+
+		const range = calculateDistance(selfVessel.position, targetVessel.position);
+		const bearing = computeForwardAzimuth(selfVessel.position, targetVessel.position);
+		const ownHeading = vesselHeadingDegrees(selfVessel);
+
+		let onZone = null;
+		let holdZone = null;
+		for (const zone of options.guardZones) {
+			if (!onZone || zone.levelIndex > onZone.levelIndex) {
+				if (targetInGuardZone(zone, range, bearing, ownHeading, targetVessel.position)) onZone = zone;
+			}
+			if (!holdZone || zone.levelIndex > holdZone.levelIndex) {
+				if (targetInGuardZone(zone, range, bearing, ownHeading, targetVessel.position,
+					options.alarmHysteresisMeters)) holdZone = zone;
+			}
+		}
+
+		if (!holdZone) return evaluation;
+
+		const result = evaluation || {
+			onLevel: -1,
+			holdLevel: -1,
+			threat: { method: 'GUARD_ZONE', distance: range, bearing: bearing }
+		};
+		const zone = onZone || holdZone;
+		debugLogVessel(vesselId, `In guard zone '${zone.name}' (${onZone ? 'inside' : 'within hysteresis'})`);
+
+		return {
+			onLevel: Math.max(result.onLevel, onZone ? onZone.levelIndex : -1),
+			holdLevel: Math.max(result.holdLevel, holdZone.levelIndex),
+			threat: { ...result.threat, guardZone: zone.name, distance: result.threat.distance ?? range }
+		};
+	}
+
+	/**
+	 * Configured override of a target (by MMSI, falling back to the MMSI in its vessel ID,
+	 * or by name), or null
+	 */
+	function getTargetOverride(vesselId, vesselData) {
+		if (options.targetOverrides.length === 0) return null;
+		const mmsi = vesselData.mmsi ?? vesselId.match(/mmsi:(\d+)$/)?.[1] ?? null;
+		return findTargetOverride(options.targetOverrides, mmsi, vesselData.name);
+	}
+
+	/**
+	 * First safety domain rule matching a target's ship type, length and speed, or null
+	 */
+	function getSafetyDomain(targetVessel) {
+		if (options.safetyDomains.length === 0) return null;
+		const speedKnots = targetVessel.speed != null && isFinite(targetVessel.speed)
+			? targetVessel.speed / GEO.KNOTS_TO_MPS
+			: null;
+		return findSafetyDomain(options.safetyDomains, targetVessel.shipType, targetVessel.length, speedKnots);
+	}
+
+	/**
+	 * Alert levels, safe passing distance and time window a target is judged by:
+	 * those of a custom override, else of its safety domain rule, else the configured ones
+	 */
+	function targetAlertProfile(override, targetVessel) {
+		if (override?.action === 'custom') return override;
+		return getSafetyDomain(targetVessel) || options;
+	}
+
+	/**
+	 * Cap a muted target's evaluation at its override's highest alert level,
+	 * and mark the threat of any target with a mute or custom override
+	 */
+	function applyTargetOverride(vesselId, evaluation, override) {
+		if (!evaluation || !override) return evaluation;
+		if (override.action !== 'mute') {
+			return { ...evaluation, threat: { ...evaluation.threat, override: override.action } };
+		}
+
+		const onLevel = Math.min(evaluation.onLevel, override.maxLevelIndex);
+		const holdLevel = Math.min(evaluation.holdLevel, override.maxLevelIndex);
+		if (holdLevel < evaluation.holdLevel) {
+			debugLogVessel(vesselId, `Muted: ${levelName(evaluation.holdLevel)} capped at ${override.maxAlertLevel}`);
+		}
+		return {
+			onLevel: onLevel,
+			holdLevel: holdLevel,
+			threat: { ...evaluation.threat, override: 'mute' }
+		};
+	}
+
+	/**
+	 * Longest time ahead any alert level (including hysteresis) looks
+	 */
+	function getPredictionHorizonSeconds(levels = options.alertLevels) {
+		const maxLevelMinutes = Math.max(...levels.map(level => level.tcpaMinutes));
+		return (maxLevelMinutes + options.alarmHysteresisMinutes) * 60;
+	}
+
+	/**
+	 * Heading of a vessel in degrees, its course when the heading is unknown
+	 */
+	function vesselHeadingDegrees(vessel) {
+		const heading = vessel.heading != null && !isNaN(vessel.heading) ? vessel.heading : vessel.course;
+		return heading != null && !isNaN(heading) ? heading * GEO.TO_DEGREES : null;
+	}
+
+	/**
+	 * Check collision using CPA/TCPA (primary method) against the target's alert profile
+	 * ({ alertLevels, safePassingDistanceMeters, timeWindowMinutes }, the configured ones by default)
+	 * A safety domain rule's profile also carries its name and domain shape.
+	 * Returns { onLevel, holdLevel, threat } or null when CPA cannot be calculated
+	 */
+	function checkCPACollision(selfVessel, targetVessel, vesselId, profile = options) {
+		const cpaResult = predictCPA(selfVessel, targetVessel, profile.alertLevels);
 		state.stats.cpaCalculations++;
 
 		if (!cpaResult) {
 			debugLogVessel(vesselId, `CPA calc failed (missing course/speed data)`);
+			forgetTarget(vesselId);
 			return null;
 		}
 
-		// Skip diverging vessels
-		if (cpaResult.diverging) {
-			debugLogVessel(vesselId, `Diverging, relSpeed=${formatSpeed(cpaResult.relativeSpeed)}`);
-			return null;
+		recordTargetEvaluation(vesselId, selfVessel, targetVessel, cpaResult);
+
+		// Hull-to-hull closest approach when either vessel's length is known
+		// (a stationary target's hull is covered by its swinging circle)
+		const hull = options.hullAware && !cpaResult.diverging && !targetVessel.stationary
+			? calculateHullCPA(selfVessel, targetVessel, getPredictionHorizonSeconds(profile.alertLevels), cpaResult.model === 'curvilinear')
+			: null;
+
+		// Ship domain of the target's safety domain rule, on straight tracks, around its hull when known
+		const heading = vesselHeadingDegrees(targetVessel);
+		const domainApproach = isShapedDomain(profile.domain) && !cpaResult.diverging && !targetVessel.stationary &&
+			cpaResult.model !== 'curvilinear' && heading !== null
+			? shipDomainApproach(relativePosition(targetVessel.position, selfVessel.position), {
+				x: selfVessel.speed * Math.sin(selfVessel.course) - targetVessel.speed * Math.sin(targetVessel.course),
+				y: selfVessel.speed * Math.cos(selfVessel.course) - targetVessel.speed * Math.cos(targetVessel.course)
+			}, heading * GEO.ANGLE_TO_RAD, profile.domain,
+			hull ? Math.max(0, cpaResult.cpaDistance - hull.hullCpaDistance) : 0)
+			: null;
+
+		// Alert levels judge the swinging circle of a stationary target, otherwise the ship
+		// domain (reduced by the hulls), otherwise the hull-to-hull approach when available,
+		// otherwise antenna-to-antenna
+		let alertBasis = cpaResult;
+		if (targetVessel.stationary) {
+			alertBasis = swingCircleApproach(cpaResult, targetVessel.swingRadius);
+		} else if (domainApproach) {
+			alertBasis = { ...cpaResult, ...domainApproach };
+		} else if (hull) {
+			alertBasis = { ...cpaResult, cpaDistance: hull.hullCpaDistance, tcpaSeconds: hull.hullTcpaSeconds };
 		}
 
-		// Check if CPA is within danger zone
-		const threshold = state.alarmActive ?
-			(options.safePassingDistanceMeters + options.alarmHysteresisMeters) :
-			options.safePassingDistanceMeters;
-
-		const tcpaMinutes = cpaResult.tcpaSeconds / 60;
-
-		debugLogVessel(vesselId, `CPA=${formatDistance(cpaResult.cpaDistance)}, ` +
-			`TCPA=${formatTime(cpaResult.tcpaSeconds)}, ` +
-			`relSpeed=${formatSpeed(cpaResult.relativeSpeed)}, ` +
-			`threshold=${formatDistance(threshold)}, ` +
-			`parallel=${cpaResult.parallelCourse}`);
-
-		if (cpaResult.cpaDistance > threshold) {
-			debugLogVessel(vesselId, `Safe - CPA > threshold`);
-			return null; // Safe passing distance
+		// Level reached with the on-thresholds, and level still held with the wider off-thresholds
+		let onLevel = classifyAlertLevel(alertBasis, profile.alertLevels);
+		let holdLevel = classifyAlertLevel(alertBasis, profile.alertLevels,
+			options.alarmHysteresisMeters, options.alarmHysteresisMinutes);
+
+		const probability = options.uncertainty.enabled ? estimateCollisionProbability(selfVessel, targetVessel, profile) : null;
+		if (probability !== null && options.uncertainty.useAsAlarmCriterion) {
+			const threshold = options.uncertainty.probabilityThreshold;
+			onLevel = applyProbabilityCriterion(onLevel, probability, threshold, profile.alertLevels);
+			holdLevel = Math.max(onLevel, applyProbabilityCriterion(holdLevel, probability,
+				threshold - DETECTION.PROBABILITY_HYSTERESIS, profile.alertLevels));
 		}
 
-		// Check if TCPA is within time window
-		if (tcpaMinutes > options.timeWindowMinutes && !cpaResult.parallelCourse) {
-			debugLogVessel(vesselId, `Safe - TCPA beyond window (${tcpaMinutes.toFixed(1)}min > ${options.timeWindowMinutes}min)`);
-			return null; // Too far in future
+		if (cpaResult.diverging) {
+			debugLogVessel(vesselId, `Diverging, relSpeed=${formatSpeed(cpaResult.relativeSpeed)}`);
+		} else {
+			debugLogVessel(vesselId, `CPA=${formatDistance(cpaResult.cpaDistance)}, ` +
+				`TCPA=${formatTime(cpaResult.tcpaSeconds)}, ` +
+				`relSpeed=${formatSpeed(cpaResult.relativeSpeed)}, ` +
+				(hull ? `hullCPA=${formatDistance(hull.hullCpaDistance)}, ` : '') +
+				(profile.domain ? `domain=${profile.name}${domainApproach ? ` ${formatDistance(domainApproach.cpaDistance)}` : ''}, ` : '') +
+				(targetVessel.stationary ? `${targetVessel.navigationState}, swing=${formatDistance(targetVessel.swingRadius)}, ` : '') +
+				(probability !== null ? `P=${(probability * 100).toFixed(0)}%, ` : '') +
+				`onLevel=${levelName(onLevel)}, holdLevel=${levelName(holdLevel)}, ` +
+				`parallel=${cpaResult.parallelCourse}`);
 		}
 
-		// Collision risk detected
-		debugLogVessel(vesselId, `*** COLLISION RISK *** CPA=${formatDistance(cpaResult.cpaDistance)}, TCPA=${formatTime(cpaResult.tcpaSeconds)}`);
+		const bearing = computeForwardAzimuth(selfVessel.position, targetVessel.position);
+		const colreg = cpaResult.diverging || targetVessel.stationary
+			? null
+			: classifyColregEncounter(bearing, vesselHeadingDegrees(selfVessel), vesselHeadingDegrees(targetVessel));
 
 		return {
-			method: 'CPA',
-			cpaDistance: cpaResult.cpaDistance,
-			tcpaMinutes: tcpaMinutes,
-			relativeSpeed: cpaResult.relativeSpeed,
-			parallelCourse: cpaResult.parallelCourse || false,
-			bearing: computeForwardAzimuth(selfVessel.position, targetVessel.position),
-			distance: calculateDistance(selfVessel.position, targetVessel.position),
-			targetCourse: targetVessel.course != null ? targetVessel.course * GEO.TO_DEGREES : undefined,
-			targetSpeed: targetVessel.speed
+			onLevel: onLevel,
+			holdLevel: holdLevel,
+			threat: {
+				method: 'CPA',
+				model: cpaResult.model,
+				cpaDistance: cpaResult.cpaDistance,
+				tcpaMinutes: cpaResult.tcpaSeconds / 60,
+				hullCpaDistance: hull ? hull.hullCpaDistance : undefined,
+				hullTcpaMinutes: hull ? hull.hullTcpaSeconds / 60 : undefined,
+				safetyDomain: profile.domain ? profile.name : undefined,
+				domainCpaDistance: domainApproach ? domainApproach.cpaDistance : undefined,
+				domainTcpaMinutes: domainApproach ? domainApproach.tcpaSeconds / 60 : undefined,
+				collisionProbability: probability ?? undefined,
+				filtered: targetVessel.filtered || undefined,
+				velocitySigma: targetVessel.velocitySigma,
+				derived: selfVessel.derived || targetVessel.derived
+					? { ownVessel: !!selfVessel.derived, target: !!targetVessel.derived }
+					: undefined,
+				navigationState: targetVessel.navigationState || undefined,
+				swingRadius: targetVessel.stationary ? targetVessel.swingRadius : undefined,
+				relativeSpeed: cpaResult.relativeSpeed,
+				diverging: cpaResult.diverging,
+				parallelCourse: cpaResult.parallelCourse || false,
+				colreg: colreg ?? undefined,
+				bearing: bearing,
+				distance: calculateDistance(selfVessel.position, targetVessel.position),
+				targetCourse: targetVessel.course != null ? targetVessel.course * GEO.TO_DEGREES : undefined,
+				targetSpeed: targetVessel.speed
+			}
 		};
 	}
 
 	/**
-	 * Check collision using geometric zones (fallback method)
+	 * Check collision using geometric zones (fallback method) against the target's alert profile
+	 * Returns { onLevel, holdLevel, threat } or null when CPA should be used instead
 	 */
-	function checkGeometricCollision(selfVessel, targetVessel, vesselId) {
+	function checkGeometricCollision(selfVessel, targetVessel, vesselId, profile = options) {
 		if (!selfVessel || !selfVessel.position || !targetVessel.position) return null;
 
 		// Only use geometric method if CPA not available
@@ -778,25 +3632,322 @@ function createCollisionDetector(app, options) {
 		// Calculate collision zones based on uncertainty
 		const distance = calculateDistance(selfVessel.position, targetVessel.position);
 
-		// Use conservative threshold for vessels with unknown motion
-		const threshold = state.alarmActive ?
-			(options.safePassingDistanceMeters * 2 + options.alarmHysteresisMeters) :
-			(options.safePassingDistanceMeters * 2);
+		// Use conservative threshold (twice each level's CPA limit) for vessels with unknown motion
+		const onLevel = classifyProximityLevel(distance, profile.alertLevels);
+		const holdLevel = classifyProximityLevel(distance, profile.alertLevels, options.alarmHysteresisMeters);
+
+		const reason = !selfHasCourse ? 'own vessel missing COG/SOG' : 'target missing COG/SOG';
+		debugLogVessel(vesselId, `Geometric fallback (${reason}), dist=${formatDistance(distance)}, ` +
+			`onLevel=${levelName(onLevel)}, holdLevel=${levelName(holdLevel)}`);
+
+		return {
+			onLevel: onLevel,
+			holdLevel: holdLevel,
+			threat: {
+				method: 'GEOMETRIC',
+				safetyDomain: profile.domain ? profile.name : undefined,
+				distance: distance,
+				bearing: computeForwardAzimuth(selfVessel.position, targetVessel.position),
+				reason: `Missing course/speed data (${reason}) - using conservative proximity check`
+			}
+		};
+	}
+
+	/**
+	 * Name of an alert level index for debug output
+	 */
+	function levelName(levelIndex) {
+		return levelIndex >= 0 ? options.alertLevels[levelIndex].name : 'none';
+	}
+
+	/**
+	 * Advance a target's alarm state machine and update its collision entry
+	 * Only the debounced (committed) level makes a target a threat
+	 */
+	function updateTargetAlarm(vesselId, evaluation, targetVessel) {
+		const previous = state.targetAlarms[vesselId] || createTargetAlarmState();
+		const onLevel = evaluation ? evaluation.onLevel : -1;
+		const holdLevel = evaluation ? evaluation.holdLevel : -1;
+		const newReport = previous.reportTimestamp !== targetVessel.timestamp;
+		const next = advanceTargetAlarm(previous, onLevel, holdLevel, options.debounce, Date.now(), newReport);
+		next.reportTimestamp = targetVessel.timestamp;
+
+		if (next.level !== previous.level) {
+			debugLogVessel(vesselId, `Alert level ${levelName(previous.level)} -> ${levelName(next.level)}`);
+		} else if (next.pending !== null) {
+			debugLogVessel(vesselId, `Pending ${levelName(next.pending)} (${next.pendingCount}/${options.debounce.minConsecutiveReports} reports)`);
+		}
+
+		// Keep state bounded: idle targets carry no alarm state
+		if (next.level < 0 && next.pending === null) {
+			delete state.targetAlarms[vesselId];
+		} else {
+			state.targetAlarms[vesselId] = next;
+		}
+
+		const wasTracking = !!state.collisions[vesselId];
+
+		if (next.level >= 0 && evaluation) {
+			const level = options.alertLevels[next.level];
+			state.collisions[vesselId] = {
+				...evaluation.threat,
+				alertLevel: level.name,
+				alertState: level.state,
+				vesselId: vesselId,
+				name: targetVessel.name || undefined,
+				mmsi: targetVessel.mmsi || undefined,
+				position: targetVessel.reportedPosition || targetVessel.position,
+				reportAgeSeconds: targetVessel.reportAgeSeconds,
+				acknowledged: false
+			};
+			if (!wasTracking) {
+				debugLogVessel(vesselId, `*** COLLISION RISK (${level.name}) *** added to collision tracking`);
+			}
+			applyAcknowledgement(vesselId, next.level);
+		} else {
+			if (wasTracking) {
+				debugLogVessel(vesselId, `Removed from collision tracking`);
+			}
+			delete state.collisions[vesselId];
+			delete state.acknowledgements[vesselId];
+		}
+	}
+
+	/**
+	 * CPA/TCPA a threat is judged on (ship domain, else hull-to-hull when available, like the alert levels)
+	 */
+	function threatClosestApproach(threat) {
+		if (threat.domainCpaDistance !== undefined) {
+			return { cpaMeters: threat.domainCpaDistance, tcpaMinutes: threat.domainTcpaMinutes };
+		}
+		const useHull = options.hullAware && threat.hullCpaDistance !== undefined;
+		return {
+			cpaMeters: useHull ? threat.hullCpaDistance : threat.cpaDistance,
+			tcpaMinutes: useHull ? threat.hullTcpaMinutes : threat.tcpaMinutes
+		};
+	}
+
+	/**
+	 * Keep or drop a threat's acknowledgement and flag the threat accordingly
+	 */
+	function applyAcknowledgement(vesselId, levelIndex) {
+		const acknowledgement = state.acknowledgements[vesselId];
+		if (!acknowledgement) return;
+
+		const threat = state.collisions[vesselId];
+		const current = threatClosestApproach(threat);
+		const reason = checkAcknowledgementRearm(acknowledgement, levelIndex,
+			current.cpaMeters, current.tcpaMinutes, {
+				cpaMeters: options.acknowledgement.rearmCpaMeters,
+				tcpaMinutes: options.acknowledgement.rearmTcpaMinutes
+			}, Date.now());
+
+		if (reason) {
+			debugLogVessel(vesselId, `Acknowledgement cleared: ${reason}`);
+			delete state.acknowledgements[vesselId];
+			return;
+		}
+
+		threat.acknowledged = true;
+		threat.silencedUntil = acknowledgement.silencedUntil !== null
+			? new Date(acknowledgement.silencedUntil).toISOString()
+			: undefined;
+	}
+
+	/**
+	 * Acknowledge a current threat, optionally only for silenceMinutes
+	 * Returns false when the vessel is not a threat
+	 */
+	function acknowledgeTarget(vesselId, silenceMinutes = null) {
+		const threat = state.collisions[vesselId];
+		if (!threat) return false;
+
+		const now = Date.now();
+		const current = threatClosestApproach(threat);
+		state.acknowledgements[vesselId] = {
+			acknowledgedAt: now,
+			silencedUntil: silenceMinutes !== null ? now + silenceMinutes * 60000 : null,
+			levelIndex: options.alertLevels.findIndex(level => level.name === threat.alertLevel),
+			cpaMeters: current.cpaMeters,
+			tcpaMinutes: current.tcpaMinutes
+		};
+		threat.acknowledged = true;
+		threat.silencedUntil = silenceMinutes !== null
+			? new Date(state.acknowledgements[vesselId].silencedUntil).toISOString()
+			: undefined;
+
+		debugLogVessel(vesselId, silenceMinutes !== null
+			? `Silenced for ${silenceMinutes}min`
+			: `Acknowledged`);
+		updateTargetNotification(vesselId);
+		publishCollisionNotification(true);
+		return true;
+	}
+
+	/**
+	 * Acknowledge every current threat; returns the acknowledged vessel IDs
+	 */
+	function acknowledgeAllTargets(silenceMinutes = null) {
+		const vesselIds = Object.keys(state.collisions);
+		vesselIds.forEach(vesselId => acknowledgeTarget(vesselId, silenceMinutes));
+		return vesselIds;
+	}
+
+	/**
+	 * Track point of a vessel for the encounter log (course in degrees)
+	 */
+	function encounterTrackPoint(vessel, now) {
+		return {
+			time: new Date(now).toISOString(),
+			latitude: vessel.position.latitude,
+			longitude: vessel.position.longitude,
+			course: vessel.course != null ? vessel.course * GEO.TO_DEGREES : null,
+			speed: vessel.speed ?? null
+		};
+	}
+
+	/**
+	 * Alert level, method, CPA/TCPA and range of a threat at one moment
+	 */
+	function encounterSnapshot(threat, range, now) {
+		const closest = threatClosestApproach(threat);
+		return {
+			time: new Date(now).toISOString(),
+			alertLevel: threat.alertLevel,
+			method: threat.method,
+			guardZone: threat.guardZone,
+			colreg: threat.colreg ? threat.colreg.situation : undefined,
+			cpaDistance: closest.cpaMeters,
+			tcpaMinutes: closest.tcpaMinutes,
+			range: range
+		};
+	}
+
+	/**
+	 * Open, update or close the encounter with a target after its evaluation
+	 * An encounter starts when the target becomes a threat and ends
+	 * encounterLog.closeAfterMinutes after it stopped being one, so the actual
+	 * closest approach (usually after the alarm cleared) is part of it.
+	 */
+	function updateEncounter(vesselId, selfVessel, targetVessel) {
+		if (!encounterLog) return;
+
+		const now = Date.now();
+		const threat = state.collisions[vesselId];
+		let encounter = state.encounters[vesselId];
+
+		if (!encounter) {
+			if (!threat) return;
+			if (Object.keys(state.encounters).length >= DETECTION.VESSEL_TRACKING_LIMIT) return;
+			encounter = state.encounters[vesselId] = {
+				record: {
+					id: `${vesselId}-${now}`,
+					vesselId: vesselId,
+					mmsi: targetVessel.mmsi || null,
+					name: targetVessel.name || null,
+					start: new Date(now).toISOString(),
+					end: null,
+					durationSeconds: 0,
+					endReason: null,
+					firstDetection: null,
+					highestAlertLevel: null,
+					alarm: null,
+					minPredictedCpa: null,
+					minObservedRange: null,
+					acknowledged: false,
+					ownTrack: [],
+					targetTrack: []
+				},
+				highestLevel: -1,
+				lastThreat: now,
+				lastUpdate: now
+			};
+			debugLogVessel(vesselId, `Encounter started`);
+		}
+
+		const record = encounter.record;
+		const range = calculateDistance(selfVessel.position, targetVessel.position);
+		encounter.lastUpdate = now;
+		record.name = record.name || targetVessel.name || null;
+
+		if (threat) {
+			encounter.lastThreat = now;
+			const levelIndex = options.alertLevels.findIndex(level => level.name === threat.alertLevel);
+			if (!record.firstDetection) {
+				record.firstDetection = encounterSnapshot(threat, range, now);
+			}
+			if (levelIndex > encounter.highestLevel) {
+				encounter.highestLevel = levelIndex;
+				record.highestAlertLevel = threat.alertLevel;
+			}
+			if (!record.alarm && ALERT_STATE_SEVERITY[threat.alertState] >= ALERT_STATE_SEVERITY.alarm) {
+				record.alarm = encounterSnapshot(threat, range, now);
+			}
+			record.acknowledged = record.acknowledged || threat.acknowledged;
+		}
+
+		// Predicted CPA as published in the target's navigation.closestApproach
+		const target = state.targets[vesselId];
+		if (target && !target.diverging &&
+			(!record.minPredictedCpa || target.cpaDistance < record.minPredictedCpa.distance)) {
+			record.minPredictedCpa = {
+				distance: target.cpaDistance,
+				tcpaMinutes: isFinite(target.tcpaSeconds) ? target.tcpaSeconds / 60 : null,
+				time: new Date(now).toISOString()
+			};
+		}
+
+		if (range !== null && (!record.minObservedRange || range < record.minObservedRange.distance)) {
+			record.minObservedRange = {
+				distance: range,
+				time: new Date(now).toISOString(),
+				ownPosition: { latitude: selfVessel.position.latitude, longitude: selfVessel.position.longitude },
+				targetPosition: { latitude: targetVessel.position.latitude, longitude: targetVessel.position.longitude }
+			};
+		}
+
+		const minIntervalMs = options.encounterLog.trackIntervalSeconds * 1000;
+		appendTrackPoint(record.ownTrack, encounterTrackPoint(selfVessel, now), minIntervalMs);
+		appendTrackPoint(record.targetTrack, encounterTrackPoint(targetVessel, now), minIntervalMs);
 
-		const reason = !selfHasCourse ? 'own vessel missing COG/SOG' : 'target missing COG/SOG';
-		debugLogVessel(vesselId, `Geometric fallback (${reason}), dist=${formatDistance(distance)}, threshold=${formatDistance(threshold)}`);
+		if (!threat && now - encounter.lastThreat >= options.encounterLog.closeAfterMinutes * 60000) {
+			endEncounter(vesselId, 'cleared');
+		}
+	}
 
-		if (distance != null && distance < threshold) {
-			debugLogVessel(vesselId, `*** GEOMETRIC PROXIMITY ALERT *** dist=${formatDistance(distance)}`);
-			return {
-				method: 'GEOMETRIC',
-				distance: distance,
-				bearing: computeForwardAzimuth(selfVessel.position, targetVessel.position),
-				reason: `Missing course/speed data (${reason}) - using conservative proximity check`
-			};
+	/**
+	 * Close a target's open encounter and write it to the encounter log
+	 */
+	function endEncounter(vesselId, reason) {
+		const encounter = state.encounters[vesselId];
+		if (!encounter) return;
+		delete state.encounters[vesselId];
+
+		const record = encounter.record;
+		record.end = new Date(encounter.lastUpdate).toISOString();
+		record.durationSeconds = (encounter.lastUpdate - Date.parse(record.start)) / 1000;
+		record.endReason = reason;
+		debugLogVessel(vesselId, `Encounter ended (${reason}), closest range ${formatDistance(record.minObservedRange?.distance)}`);
+		encounterLog.write(record);
+	}
+
+	/**
+	 * Close all open encounters, e.g. on shutdown
+	 */
+	function endAllEncounters(reason) {
+		for (const vesselId of Object.keys(state.encounters)) {
+			endEncounter(vesselId, reason);
 		}
+	}
 
-		return null;
+	/**
+	 * Open encounters so far (end and endReason still null)
+	 */
+	function getOpenEncounters() {
+		return Object.values(state.encounters).map(encounter => ({
+			...encounter.record,
+			durationSeconds: (encounter.lastUpdate - Date.parse(encounter.record.start)) / 1000
+		}));
 	}
 
 	/**
@@ -822,6 +3973,7 @@ function createCollisionDetector(app, options) {
 		if (state.callCount % DETECTION.CLEANUP_FREQUENCY === 0) {
 			cleanupStalePositions();
 			cleanupStaleCollisions();
+			cleanupStaleTargets();
 			debugLog(`Cleanup triggered at check #${state.callCount}`);
 		}
 
@@ -850,17 +4002,33 @@ function createCollisionDetector(app, options) {
 		if (!targetVessel) {
 			debugLogVessel(vesselId, `Target data not available`);
 			removeCollision(vesselId);
+			forgetTarget(vesselId);
+			endEncounter(vesselId, 'target lost');
 			return;
 		}
 		if (!isDataFresh(targetVessel)) {
 			state.stats.skippedStaleData++;
 			debugLogVessel(vesselId, `Target data stale (age=${((Date.now() - targetVessel.timestamp) / 1000).toFixed(0)}s)`);
 			removeCollision(vesselId);
+			forgetTarget(vesselId);
+			endEncounter(vesselId, 'target lost');
 			return;
 		}
 		if (!validateVesselData(targetVessel)) {
 			debugLogVessel(vesselId, `Target data invalid`);
 			removeCollision(vesselId);
+			forgetTarget(vesselId);
+			endEncounter(vesselId, 'target lost');
+			return;
+		}
+
+		// Ignored targets (own tender, committee boat) are not evaluated at all
+		const override = getTargetOverride(vesselId, targetVessel);
+		if (override?.action === 'ignore') {
+			debugLogVessel(vesselId, `Ignored by target override`);
+			removeCollision(vesselId);
+			forgetTarget(vesselId);
+			endEncounter(vesselId, 'ignored');
 			return;
 		}
 
@@ -872,96 +4040,300 @@ function createCollisionDetector(app, options) {
 			return; // Skip this update due to position jump
 		}
 
+		// Smoothed target velocity from the tracking filter
+		updateTargetFilter(vesselId, targetVessel);
+
+		// Project both last reports forward to now, so CPA uses current positions
+		// and TCPA is relative to the current time rather than to the last AIS message
+		const now = Date.now();
+		const selfNow = ownMotionNow(selfVessel, now);
+		const targetNow = targetMotionNow(vesselId, targetVessel, now);
+
 		// Distance pre-filter - skip vessels beyond configured range
-		const distance = calculateDistance(selfVessel.position, targetVessel.position);
+		const distance = calculateDistance(selfNow.position, targetNow.position);
 
 		if (distance === null || distance > options.rangeMeters) {
 			state.stats.skippedOutOfRange++;
 			debugLogVessel(vesselId, `Out of range (dist=${formatDistance(distance)}, max=${formatDistance(options.rangeMeters)})`);
 			removeCollision(vesselId);
+			forgetTarget(vesselId);
+			endEncounter(vesselId, 'out of range');
 			return;
 		}
 
 		debugLogVessel(vesselId, `Processing - dist=${formatDistance(distance)}`);
 
-		// Try CPA method first (primary)
-		let collision = checkCPACollision(selfVessel, targetVessel, vesselId);
+		// Try CPA method first (primary), fallback to geometric if CPA not available
+		const profile = targetAlertProfile(override, targetNow);
+		const evaluation = applyTargetOverride(vesselId, applyGuardZones(selfNow, targetNow, vesselId,
+			checkCPACollision(selfNow, targetNow, vesselId, profile) ||
+			checkGeometricCollision(selfNow, targetNow, vesselId, profile)), override);
+
+		updateTargetAlarm(vesselId, evaluation, targetNow);
+
+		updateEncounter(vesselId, selfNow, targetNow);
+
+		updateTargetNotification(vesselId);
+
+		updateAlarmState(Object.keys(state.collisions).length > 0);
+	}
+
+	/**
+	 * Own vessel dead-reckoned to now, with COG/SOG from its track history when missing
+	 * (position-only GPS)
+	 */
+	function ownMotionNow(selfVessel, now) {
+		return deadReckonVessel(withDerivedMotion(state.selfContext, selfVessel), now);
+	}
+
+	/**
+	 * Target dead-reckoned to now with the motion CPA is computed from: filtered velocity,
+	 * COG/SOG from its track history when missing (AIS "not available"), and zero velocity
+	 * with a swinging circle when anchored, moored or aground
+	 */
+	function targetMotionNow(vesselId, targetVessel, now) {
+		const targetDerived = withDerivedMotion(vesselId, withFilteredMotion(vesselId, targetVessel));
+		const targetMotion = options.stationaryTargets.enabled
+			? asStationaryTarget(targetDerived, options.stationaryTargets.anchorScopeMeters)
+			: targetDerived;
+		return deadReckonVessel(targetMotion, now);
+	}
 
-		// Fallback to geometric if CPA not available
-		if (!collision) {
-			collision = checkGeometricCollision(selfVessel, targetVessel, vesselId);
+	/**
+	 * Re-evaluate every target currently in range, e.g. after own vessel
+	 * position, course or speed changed
+	 */
+	function recheckAllTargets() {
+		state.lastRecheck = Date.now();
+		const vesselIds = new Set([...Object.keys(state.targets), ...Object.keys(state.collisions)]);
+		debugLog(`Re-evaluating ${vesselIds.size} target(s)`);
+		for (const vesselId of vesselIds) {
+			checkCollisionForVessel(`vessels.${vesselId}`);
 		}
+	}
 
-		const wasTracking = !!state.collisions[vesselId];
+	/**
+	 * Throttled recheckAllTargets: runs at most once per ownVesselRecheckSeconds,
+	 * deferring (not dropping) updates that arrive in between
+	 */
+	function requestRecheckAllTargets() {
+		const minPeriod = options.ownVesselRecheckSeconds * 1000;
+		if (minPeriod <= 0 || state.recheckTimer) return;
 
-		if (collision) {
-			state.collisions[vesselId] = {
-				...collision,
-				vesselId: vesselId,
-				position: targetVessel.position
-			};
-			if (!wasTracking) {
-				debugLogVessel(vesselId, `Added to collision tracking`);
-			}
-		} else {
-			if (wasTracking) {
-				debugLogVessel(vesselId, `Removed from collision tracking`);
+		const elapsed = Date.now() - state.lastRecheck;
+		if (elapsed >= minPeriod) {
+			recheckAllTargets();
+			return;
+		}
+
+		state.recheckTimer = setTimeout(() => {
+			state.recheckTimer = null;
+			recheckAllTargets();
+		}, minPeriod - elapsed);
+	}
+
+	/**
+	 * Cancel a deferred re-evaluation of all targets
+	 */
+	function cancelRecheck() {
+		if (state.recheckTimer) {
+			clearTimeout(state.recheckTimer);
+			state.recheckTimer = null;
+		}
+	}
+
+	/**
+	 * Periodic sweep: drop stale entries and re-evaluate all targets in range
+	 * with dead-reckoned positions, independent of incoming reports
+	 */
+	function sweep() {
+		cleanupStalePositions();
+		cleanupStaleCollisions();
+		cleanupStaleTargets();
+		recheckAllTargets();
+	}
+
+	/**
+	 * Start periodic sweep
+	 */
+	function startSweep() {
+		if (options.sweepIntervalSeconds > 0) {
+			state.sweepTimer = setInterval(sweep, options.sweepIntervalSeconds * 1000);
+			debugLog(`Sweep enabled every ${options.sweepIntervalSeconds}s`);
+		}
+	}
+
+	/**
+	 * Stop periodic sweep
+	 */
+	function stopSweep() {
+		if (state.sweepTimer) {
+			clearInterval(state.sweepTimer);
+			state.sweepTimer = null;
+		}
+	}
+
+	/**
+	 * Store latest CPA/TCPA evaluation of a target and publish it (rate limited)
+	 * into the target's own data tree as navigation.closestApproach
+	 */
+	function recordTargetEvaluation(vesselId, selfVessel, targetVessel, cpaResult) {
+		const now = Date.now();
+		let target = state.targets[vesselId];
+
+		if (!target) {
+			// Enforce memory limit before adding new entry
+			if (Object.keys(state.targets).length >= DETECTION.VESSEL_TRACKING_LIMIT) {
+				debugLogVessel(vesselId, `Target limit reached (${DETECTION.VESSEL_TRACKING_LIMIT}), not recording`);
+				return;
 			}
-			delete state.collisions[vesselId];
+			target = state.targets[vesselId] = { vesselId: vesselId, lastPublished: 0 };
 		}
 
-		// Update alarm state with hysteresis
-		updateAlarmState(Object.keys(state.collisions).length > 0);
+		const range = calculateDistance(selfVessel.position, targetVessel.position);
+
+		// Diverging: closest approach is now, at the current range
+		target.cpaDistance = cpaResult.diverging ? range : cpaResult.cpaDistance;
+		target.tcpaSeconds = cpaResult.diverging ? 0 : cpaResult.tcpaSeconds;
+		target.relativeSpeed = cpaResult.relativeSpeed;
+		target.diverging = cpaResult.diverging;
+		target.range = range;
+		target.bearing = computeForwardAzimuth(selfVessel.position, targetVessel.position);
+		target.name = targetVessel.name;
+		target.mmsi = targetVessel.mmsi;
+		target.course = targetVessel.course;
+		target.speed = targetVessel.speed;
+		target.timestamp = targetVessel.timestamp;
+		target.lastEvaluated = now;
+
+		if (!options.targetClosestApproach.enabled) return;
+		if (now - target.lastPublished < options.targetClosestApproach.minPeriodSeconds * 1000) return;
+
+		if (publishTargetClosestApproach(vesselId, {
+			distance: target.cpaDistance,
+			// Parallel courses never reach CPA - publish null rather than Infinity
+			timeTo: isFinite(target.tcpaSeconds) ? target.tcpaSeconds : null
+		})) {
+			target.lastPublished = now;
+		}
+	}
+
+	/**
+	 * Drop a target's evaluation and clear its published navigation.closestApproach
+	 */
+	function forgetTarget(vesselId) {
+		const target = state.targets[vesselId];
+		if (!target) return;
+
+		if (target.lastPublished > 0) {
+			publishTargetClosestApproach(vesselId, null);
+		}
+		delete state.targets[vesselId];
+	}
+
+	/**
+	 * Publish navigation.closestApproach into a target vessel's context
+	 */
+	function publishTargetClosestApproach(vesselId, value) {
+		try {
+			app.handleMessage(plugin.id, {
+				context: `vessels.${vesselId}`,
+				updates: [{
+					values: [{
+						path: 'navigation.closestApproach',
+						value: value
+					}],
+					source: { label: plugin.id },
+					timestamp: new Date().toISOString()
+				}]
+			});
+			return true;
+		} catch (err) {
+			app.error(`Failed to publish closestApproach for ${vesselId}: ${err.message}`);
+			return false;
+		}
+	}
+
+	/**
+	 * Publish navigation.closestApproach.safeManoeuvres on own vessel
+	 */
+	function publishOwnSafeManoeuvres(value) {
+		try {
+			app.handleMessage(plugin.id, {
+				context: 'vessels.self',
+				updates: [{
+					values: [{
+						path: SAFE_MANOEUVRES_PATH,
+						value: value
+					}],
+					source: { label: plugin.id },
+					timestamp: new Date().toISOString()
+				}]
+			});
+			return true;
+		} catch (err) {
+			app.error(`Failed to publish safe manoeuvres: ${err.message}`);
+			return false;
+		}
+	}
+
+	/**
+	 * Clear navigation.closestApproach of every evaluated target, e.g. on shutdown
+	 */
+	function clearAllTargets() {
+		for (const vesselId of Object.keys(state.targets)) {
+			forgetTarget(vesselId);
+		}
 	}
 
 	/**
 	 * Remove vessel from collisions and update alarm state
 	 */
 	function removeCollision(vesselId) {
+		delete state.targetAlarms[vesselId];
+		delete state.acknowledgements[vesselId];
 		if (state.collisions[vesselId]) {
 			delete state.collisions[vesselId];
+			updateTargetNotification(vesselId);
 			updateAlarmState(Object.keys(state.collisions).length > 0);
 		}
 	}
 
 	/**
-	 * Update alarm state with hysteresis
+	 * Update summary alarm state (active while any target is a threat)
 	 */
 	function updateAlarmState(shouldBeActive) {
 		if (shouldBeActive && !state.alarmActive) {
 			// Turn ON
 			state.alarmActive = true;
+			state.stats.alarmsTriggered++;
 			publishCollisionNotification(true);
+			app.debug(`Collision notification ACTIVATED - tracking ${Object.keys(state.collisions).length} vessel(s)`);
 		} else if (!shouldBeActive && state.alarmActive) {
 			// Turn OFF
 			state.alarmActive = false;
 			publishCollisionNotification(false);
+			app.debug('Collision notification CLEARED');
+		} else if (shouldBeActive && getSummaryKey() !== state.summaryKey) {
+			// Still active - refresh the summary when its threats, level or methods changed
+			publishCollisionNotification(true);
 		}
-		// Otherwise maintain current state (hysteresis)
 	}
 
 	/**
-	 * Publish collision notification to SignalK notification system
+	 * What the summary notification reflects, so it is only republished on change
 	 */
-	function publishCollisionNotification(isActive) {
-		const notificationPath = 'notifications.danger.collision';
-		const currentTimestamp = new Date().toISOString();
-
-		// Build notification value - use state:"normal" to clear instead of null
-		// Setting to null can cause issues with SignalK data browser
-		const notificationValue = isActive ? {
-			method: ['visual', 'sound'],
-			state: 'alarm',
-			message: `CPA/TCPA collision warning - ${Object.keys(state.collisions).length} threat(s)`,
-			source: plugin.id,
-			threats: state.collisions
-		} : {
-			state: 'normal',
-			message: 'No collision threats',
-			source: plugin.id
-		};
+	function getSummaryKey() {
+		const highest = getHighestThreatLevel();
+		const methods = [...new Set(Object.values(state.collisions).flatMap(threatMethods))].sort();
+		return `${highest ? highest.name : 'none'}:${methods.join('+')}:${Object.keys(state.collisions).sort().join(',')}`;
+	}
 
-		const buildNotificationPayload = () => ({
+	/**
+	 * Send a single notification value to the SignalK notification system
+	 */
+	function sendNotification(notificationPath, notificationValue) {
+		const payload = {
 			context: 'vessels.self',
 			updates: [{
 				values: [{
@@ -969,19 +4341,182 @@ function createCollisionDetector(app, options) {
 					value: notificationValue
 				}],
 				source: { label: plugin.id },
-				timestamp: currentTimestamp
+				timestamp: new Date().toISOString()
 			}]
-		});
+		};
 
 		try {
-			if (isActive) {
-				state.stats.alarmsTriggered++;
-			}
-			app.handleMessage(plugin.id, buildNotificationPayload());
-			app.debug(`Collision notification ${isActive ? 'ACTIVATED' : 'CLEARED'} - tracking ${Object.keys(state.collisions).length} vessel(s)`);
+			app.handleMessage(plugin.id, payload);
+			return true;
 		} catch (err) {
-			app.error(`Failed to publish collision notification: ${err.message}`);
+			app.error(`Failed to publish ${notificationPath}: ${err.message}`);
+			return false;
+		}
+	}
+
+	/**
+	 * Notification path for a single target (e.g. notifications.navigation.closestApproach.urn:mrn:imo:mmsi:230123456)
+	 */
+	function targetNotificationPath(vesselId) {
+		return `notifications.navigation.closestApproach.${vesselId}`;
+	}
+
+	/**
+	 * Alert level assigned to a threat
+	 */
+	function getThreatLevel(threat) {
+		return options.alertLevels.find(level => level.name === threat.alertLevel) ||
+			options.alertLevels[options.alertLevels.length - 1];
+	}
+
+	/**
+	 * Notification methods of a threat, reduced once it is acknowledged
+	 */
+	function threatMethods(threat) {
+		const method = getThreatLevel(threat).method;
+		return threat.acknowledged
+			? method.filter(m => options.acknowledgement.methods.includes(m))
+			: method;
+	}
+
+	/**
+	 * Most severe alert level among current threats, or null without threats
+	 */
+	function getHighestThreatLevel() {
+		let highest = null;
+		for (const threat of Object.values(state.collisions)) {
+			const level = getThreatLevel(threat);
+			if (!highest || ALERT_STATE_SEVERITY[level.state] > ALERT_STATE_SEVERITY[highest.state]) {
+				highest = level;
+			}
+		}
+		return highest;
+	}
+
+	/**
+	 * Human readable notification message for a single threat
+	 */
+	function formatThreatMessage(threat) {
+		const label = threat.name || threat.mmsi || threat.vesselId;
+		const zone = threat.guardZone ? ` (guard zone ${threat.guardZone})` : '';
+		if (threat.method === 'CPA' && !threat.diverging) {
+			const swing = threat.swingRadius !== undefined
+				? ` (${threat.navigationState}, swinging circle ${formatDistance(threat.swingRadius)})`
+				: '';
+			const colreg = threat.colreg ? `, ${describeColregEncounter(threat.colreg)}` : '';
+			return `Closest approach to ${label}: ${formatDistance(threat.cpaDistance)} in ${formatTime(threat.tcpaMinutes * 60)}${swing}${zone}${colreg}`;
+		}
+		if (threat.guardZone) {
+			return `${label} in guard zone ${threat.guardZone}: ${formatDistance(threat.distance)}`;
+		}
+		return `${label} in close proximity: ${formatDistance(threat.distance)}`;
+	}
+
+	/**
+	 * Create, update or clear the notification of a single target
+	 * Each target gets its own notification so it can be raised and cleared independently
+	 */
+	function updateTargetNotification(vesselId) {
+		const threat = state.collisions[vesselId];
+		const notified = state.targetNotifications[vesselId];
+		const notificationPath = targetNotificationPath(vesselId);
+
+		// Not a threat and nothing raised: nothing to send
+		if (!threat && !notified) return;
+
+		if (threat) {
+			// Only send when the notification changed, not on every report of the target
+			const level = getThreatLevel(threat);
+			const message = `${level.name.toUpperCase()}${threat.acknowledged ? ' (acknowledged)' : ''}: ${formatThreatMessage(threat)}`;
+			const silenced = threat.silencedUntil || null;
+			if (notified && notified.level === level.name && notified.message === message &&
+				notified.acknowledged === threat.acknowledged && notified.silenced === silenced) return;
+
+			const since = notified ? notified.since : new Date().toISOString();
+			sendNotification(notificationPath, {
+				method: threatMethods(threat),
+				state: level.state,
+				message: message,
+				source: plugin.id,
+				since: since,
+				threat: threat
+			});
+			if (!notified || notified.level !== level.name) {
+				debugLogVessel(vesselId, `Notification ${level.name} (${level.state}) on ${notificationPath}`);
+			}
+			state.targetNotifications[vesselId] = {
+				state: level.state,
+				level: level.name,
+				since: since,
+				message: message,
+				acknowledged: threat.acknowledged,
+				silenced: silenced
+			};
+		} else if (notified) {
+			sendNotification(notificationPath, {
+				state: 'normal',
+				message: 'No collision threat',
+				source: plugin.id
+			});
+			debugLogVessel(vesselId, `Notification cleared on ${notificationPath}`);
+			delete state.targetNotifications[vesselId];
+		}
+
+		for (const output of alarmOutputs) {
+			output.updateTarget(vesselId, threat || null, threat ? formatThreatMessage(threat) : null);
+		}
+	}
+
+	/**
+	 * Clear every raised notification (per-target and summary), e.g. on shutdown
+	 */
+	function clearAllNotifications(message) {
+		for (const vesselId of Object.keys(state.targetNotifications)) {
+			sendNotification(targetNotificationPath(vesselId), {
+				state: 'normal',
+				message: message,
+				source: plugin.id
+			});
 		}
+		state.targetNotifications = {};
+
+		if (state.alarmActive && options.publishSummaryNotification) {
+			sendNotification('notifications.danger.collision', {
+				state: 'normal',
+				message: message,
+				source: plugin.id
+			});
+		}
+	}
+
+	/**
+	 * Publish summary notification aggregating all threats
+	 */
+	function publishCollisionNotification(isActive) {
+		if (!options.publishSummaryNotification) return;
+
+		// Summary takes the most severe level among all threats
+		const highest = isActive ? getHighestThreatLevel() : null;
+
+		// Build notification value - use state:"normal" to clear instead of null
+		// Setting to null can cause issues with SignalK data browser
+		// Methods of all threats combined, so an unacknowledged threat keeps the summary audible
+		const methods = new Set(Object.values(state.collisions).flatMap(threatMethods));
+
+		const notificationValue = highest ? {
+			method: [...methods],
+			state: highest.state,
+			message: `CPA/TCPA collision warning - ${Object.keys(state.collisions).length} threat(s)`,
+			source: plugin.id,
+			threats: state.collisions
+		} : {
+			state: 'normal',
+			message: 'No collision threats',
+			source: plugin.id
+		};
+
+		state.summaryKey = isActive ? getSummaryKey() : null;
+		sendNotification('notifications.danger.collision', notificationValue);
 	}
 
 	/**
@@ -990,6 +4525,12 @@ function createCollisionDetector(app, options) {
 	function reset() {
 		state.alarmActive = false;
 		state.collisions = {};
+		state.targetNotifications = {};
+		state.summaryKey = null;
+		state.targets = {};
+		state.targetAlarms = {};
+		state.acknowledgements = {};
+		state.encounters = {};
 		state.previousPositions = {};
 		state.callCount = 0;
 		state.stats = {
@@ -1002,20 +4543,253 @@ function createCollisionDetector(app, options) {
 			skippedOutOfRange: 0,
 			lastCleanup: Date.now()
 		};
-		app.debug('Collision detector state reset');
+		app.debug('Collision detector state reset');
+	}
+
+	/**
+	 * Get current status for monitoring
+	 */
+	function getStatus() {
+		return {
+			alarmActive: state.alarmActive,
+			highestAlertLevel: getHighestThreatLevel()?.name ?? null,
+			activeCollisions: Object.keys(state.collisions).length,
+			notifiedTargets: Object.keys(state.targetNotifications).length,
+			pendingTargets: Object.values(state.targetAlarms).filter(alarm => alarm.pending !== null).length,
+			acknowledgedTargets: Object.keys(state.acknowledgements).length,
+			openEncounters: Object.keys(state.encounters).length,
+			evaluatedTargets: Object.keys(state.targets).length,
+			trackedVessels: Object.keys(state.previousPositions).length,
+			stats: { ...state.stats },
+			collisionDetails: { ...state.collisions }
+		};
+	}
+
+	/**
+	 * Current threats keyed by vessel ID (threat payload as in the notifications)
+	 */
+	function getThreats() {
+		const threats = {};
+		for (const [vesselId, collision] of Object.entries(state.collisions)) {
+			threats[vesselId] = { ...collision };
+		}
+		return threats;
+	}
+
+	/**
+	 * All targets evaluated with CPA/TCPA, keyed by vessel ID, with their latest
+	 * closest approach, range, bearing and alert level
+	 */
+	function getTargets() {
+		const targets = {};
+		for (const [vesselId, target] of Object.entries(state.targets)) {
+			const alarm = state.targetAlarms[vesselId];
+			targets[vesselId] = {
+				vesselId: vesselId,
+				name: target.name,
+				mmsi: target.mmsi,
+				cpaDistance: target.cpaDistance,
+				// Parallel courses never reach CPA
+				tcpaSeconds: isFinite(target.tcpaSeconds) ? target.tcpaSeconds : null,
+				relativeSpeed: target.relativeSpeed,
+				diverging: target.diverging,
+				range: target.range,
+				bearing: target.bearing,
+				targetCourse: target.course * GEO.TO_DEGREES,
+				targetSpeed: target.speed,
+				alertLevel: alarm ? levelName(alarm.level) : 'none',
+				pendingLevel: alarm && alarm.pending !== null ? levelName(alarm.pending) : null,
+				timestamp: target.timestamp ? new Date(target.timestamp).toISOString() : null,
+				lastEvaluated: new Date(target.lastEvaluated).toISOString()
+			};
+		}
+		return targets;
+	}
+
+	/**
+	 * Own vessel dead-reckoned to now, for display (course/heading in degrees)
+	 */
+	function getOwnVessel() {
+		const selfVessel = getVesselData(state.selfFullContext);
+		if (!selfVessel || !selfVessel.position) return null;
+
+		const selfNow = deadReckonVessel(selfVessel, Date.now());
+		return {
+			name: selfNow.name,
+			position: selfNow.position,
+			course: selfNow.course != null ? selfNow.course * GEO.TO_DEGREES : null,
+			speed: selfNow.speed,
+			heading: selfNow.heading != null ? selfNow.heading * GEO.TO_DEGREES : null,
+			length: selfNow.length,
+			beam: selfNow.beam
+		};
+	}
+
+	/**
+	 * CPA/TCPA of every evaluated target if own vessel changed course and/or speed,
+	 * now or after a delay, keyed by vessel ID next to the CPA/TCPA on the current
+	 * course and speed. Alarm state is not touched.
+	 * trial: { courseDegrees, speedKnots, delayMinutes }, current course/speed when omitted
+	 * Returns null when own vessel's position or motion is not available
+	 */
+	function evaluateTrialManoeuvre(trial) {
+		const selfVessel = getVesselData(state.selfFullContext);
+		if (!selfVessel || !isDataFresh(selfVessel) || !validateVesselData(selfVessel)) return null;
+
+		const now = Date.now();
+		const selfNow = ownMotionNow(selfVessel, now);
+		const course = trial.courseDegrees != null ? trial.courseDegrees * GEO.ANGLE_TO_RAD : selfNow.course;
+		const speed = trial.speedKnots != null ? trial.speedKnots * GEO.KNOTS_TO_MPS : selfNow.speed;
+		const delaySeconds = (trial.delayMinutes || 0) * 60;
+		const hasMotion = selfNow.course != null && !isNaN(selfNow.course) &&
+			selfNow.speed != null && !isNaN(selfNow.speed);
+		if (course == null || isNaN(course) || speed == null || isNaN(speed) || (delaySeconds > 0 && !hasMotion)) {
+			return null;
+		}
+
+		// Diverging: closest approach is now, at the current range. Alert levels judge a
+		// stationary target's swinging circle and apply target overrides, as in the live evaluation.
+		const approach = (cpaResult, targetNow, range, override) => {
+			if (!cpaResult) return null;
+			const levelIndex = classifyAlertLevel(targetNow.stationary
+				? swingCircleApproach(cpaResult, targetNow.swingRadius)
+				: cpaResult, targetAlertProfile(override, targetNow).alertLevels);
+			return {
+				cpaDistance: cpaResult.diverging ? range : cpaResult.cpaDistance,
+				tcpaSeconds: isFinite(cpaResult.tcpaSeconds) ? cpaResult.tcpaSeconds : null,
+				diverging: cpaResult.diverging,
+				alertLevel: levelName(override?.action === 'mute' ? Math.min(levelIndex, override.maxLevelIndex) : levelIndex)
+			};
+		};
+
+		const targets = {};
+		for (const vesselId of Object.keys(state.targets)) {
+			const targetVessel = getVesselData(`vessels.${vesselId}`);
+			if (!targetVessel || !isDataFresh(targetVessel) || !validateVesselData(targetVessel)) continue;
+
+			const override = getTargetOverride(vesselId, targetVessel);
+			if (override?.action === 'ignore') continue;
+
+			const targetNow = targetMotionNow(vesselId, targetVessel, now);
+			const range = calculateDistance(selfNow.position, targetNow.position);
+			targets[vesselId] = {
+				vesselId: vesselId,
+				name: targetNow.name,
+				mmsi: targetNow.mmsi,
+				range: range,
+				bearing: computeForwardAzimuth(selfNow.position, targetNow.position),
+				current: hasMotion ? approach(calculateCPA(selfNow, targetNow), targetNow, range, override) : null,
+				trial: approach(calculateTrialCPA(selfNow, targetNow, course, speed, delaySeconds), targetNow, range, override)
+			};
+		}
+
+		return {
+			timestamp: new Date(now).toISOString(),
+			courseDegrees: course * GEO.TO_DEGREES,
+			speedKnots: speed / GEO.KNOTS_TO_MPS,
+			delayMinutes: delaySeconds / 60,
+			targets: targets
+		};
+	}
+
+	/**
+	 * Velocity obstacles of every evaluated target: own course sectors at the current speed
+	 * and speed ranges on the current course that let a target come within the safe passing
+	 * distance (plus a stationary target's swinging circle) within the time window, those
+	 * of a custom target override for that target; ignored targets are left out
+	 * Returns null when own vessel's position or motion is not available
+	 */
+	function getSafeManoeuvres() {
+		const selfVessel = getVesselData(state.selfFullContext);
+		if (!selfVessel || !isDataFresh(selfVessel) || !validateVesselData(selfVessel)) return null;
+
+		const now = Date.now();
+		const selfNow = ownMotionNow(selfVessel, now);
+		const hasMotion = vessel => vessel.course != null && !isNaN(vessel.course) &&
+			vessel.speed != null && !isNaN(vessel.speed);
+		if (!hasMotion(selfNow)) return null;
+
+		const targets = [];
+		for (const vesselId of Object.keys(state.targets)) {
+			const targetVessel = getVesselData(`vessels.${vesselId}`);
+			if (!targetVessel || !isDataFresh(targetVessel) || !validateVesselData(targetVessel)) continue;
+
+			const override = getTargetOverride(vesselId, targetVessel);
+			if (override?.action === 'ignore') continue;
+
+			const targetNow = targetMotionNow(vesselId, targetVessel, now);
+			if (!hasMotion(targetNow)) continue;
+
+			const profile = targetAlertProfile(override, targetNow);
+			const position = relativePosition(selfNow.position, targetNow.position);
+			targets.push({
+				id: vesselId,
+				x: position.x,
+				y: position.y,
+				vx: targetNow.speed * Math.sin(targetNow.course),
+				vy: targetNow.speed * Math.cos(targetNow.course),
+				safeDistance: profile.safePassingDistanceMeters + (targetNow.swingRadius || 0),
+				horizonSeconds: profile.timeWindowMinutes * 60
+			});
+		}
+
+		const speedStep = DETECTION.SAFE_SPEED_STEP_KNOTS * GEO.KNOTS_TO_MPS;
+		const obstacles = calculateVelocityObstacles(targets, selfNow, {
+			horizonSeconds: options.timeWindowMinutes * 60,
+			maxSpeed: options.safeManoeuvres.maxSpeedKnots * GEO.KNOTS_TO_MPS,
+			speedStep: speedStep,
+			courseStepDegrees: DETECTION.SAFE_COURSE_STEP_DEGREES
+		});
+		// Speeds are sampled in whole steps of knots
+		const knots = speed => Math.round(speed / speedStep) * DETECTION.SAFE_SPEED_STEP_KNOTS;
+
+		return {
+			timestamp: new Date(now).toISOString(),
+			courseDegrees: selfNow.course * GEO.TO_DEGREES,
+			speedKnots: selfNow.speed / GEO.KNOTS_TO_MPS,
+			safe: obstacles.ownVelocitySafe,
+			forbiddenCourses: obstacles.forbiddenSectors,
+			safeSpeeds: obstacles.safeSpeeds.map(range => ({
+				minKnots: Number(knots(range.min).toFixed(1)),
+				maxKnots: Number(knots(range.max).toFixed(1))
+			}))
+		};
 	}
 
 	/**
-	 * Get current status for monitoring
+	 * Publish the safe courses and speeds on own vessel, or null once they are no longer known
 	 */
-	function getStatus() {
-		return {
-			alarmActive: state.alarmActive,
-			activeCollisions: Object.keys(state.collisions).length,
-			trackedVessels: Object.keys(state.previousPositions).length,
-			stats: { ...state.stats },
-			collisionDetails: { ...state.collisions }
-		};
+	function publishSafeManoeuvres() {
+		const value = getSafeManoeuvres();
+		if (value === null && !state.safeManoeuvresPublished) return;
+		if (publishOwnSafeManoeuvres(value)) {
+			state.safeManoeuvresPublished = value !== null;
+		}
+	}
+
+	/**
+	 * Start periodic publishing of safe courses and speeds
+	 */
+	function startSafeManoeuvres() {
+		const interval = options.safeManoeuvres.publishIntervalSeconds;
+		if (options.safeManoeuvres.enabled && interval > 0) {
+			state.safeManoeuvresTimer = setInterval(publishSafeManoeuvres, interval * 1000);
+			debugLog(`Safe courses and speeds published every ${interval}s`);
+		}
+	}
+
+	/**
+	 * Stop publishing safe courses and speeds and clear the published value
+	 */
+	function stopSafeManoeuvres() {
+		if (state.safeManoeuvresTimer) {
+			clearInterval(state.safeManoeuvresTimer);
+			state.safeManoeuvresTimer = null;
+		}
+		if (state.safeManoeuvresPublished) {
+			publishOwnSafeManoeuvres(null);
+			state.safeManoeuvresPublished = false;
+		}
 	}
 
 	/**
@@ -1052,6 +4826,9 @@ function createCollisionDetector(app, options) {
 			const vesselData = getVesselData(vesselContext);
 			if (!vesselData || !isDataFresh(vesselData)) {
 				delete state.collisions[vesselId];
+				delete state.targetAlarms[vesselId];
+				delete state.acknowledgements[vesselId];
+				updateTargetNotification(vesselId);
 				cleaned++;
 			}
 		}
@@ -1062,6 +4839,33 @@ function createCollisionDetector(app, options) {
 		}
 	}
 
+	/**
+	 * Clean up targets whose data went stale without a further position report
+	 */
+	function cleanupStaleTargets() {
+		const now = Date.now();
+		const maxAge = options.timeouts.PosFreshBefore * 1000;
+		let cleaned = 0;
+
+		for (const vesselId of Object.keys(state.targets)) {
+			const target = state.targets[vesselId];
+			if (!target.timestamp || (now - target.timestamp) > maxAge) {
+				forgetTarget(vesselId);
+				cleaned++;
+			}
+		}
+
+		for (const vesselId of Object.keys(state.encounters)) {
+			if (now - state.encounters[vesselId].lastUpdate > maxAge) {
+				endEncounter(vesselId, 'target lost');
+			}
+		}
+
+		if (cleaned > 0) {
+			app.debug(`Cleaned up ${cleaned} stale target entries`);
+		}
+	}
+
 	return {
 		checkCollisionForVessel,
 		setSelfContext: (context, fullContext) => {
@@ -1069,10 +4873,30 @@ function createCollisionDetector(app, options) {
 			state.selfFullContext = fullContext;
 		},
 		getSelfContext: () => state.selfContext,
+		recordOwnFix,
 		getSelfFullContext: () => state.selfFullContext,
 		getState: () => state,
 		getStatus,
+		getThreats,
+		getTargets,
+		getOpenEncounters,
+		endAllEncounters,
+		getOwnVessel,
+		evaluateTrialManoeuvre,
+		getPredictionHorizonSeconds,
+		getSafeManoeuvres,
+		recheckAllTargets,
+		startSafeManoeuvres,
+		stopSafeManoeuvres,
+		acknowledgeTarget,
+		acknowledgeAllTargets,
+		clearAllNotifications,
+		clearAllTargets,
 		reset,
+		requestRecheckAllTargets,
+		cancelRecheck,
+		startSweep,
+		stopSweep,
 		startStatusLogging,
 		stopStatusLogging,
 		isDebugEnabled: () => debugConfig.enabled
@@ -1109,6 +4933,14 @@ function validateOptions(options) {
 		}
 	}
 
+	if (options.alarmHysteresisMinutes !== undefined) {
+		if (typeof options.alarmHysteresisMinutes !== 'number' ||
+			isNaN(options.alarmHysteresisMinutes) ||
+			options.alarmHysteresisMinutes < 0) {
+			errors.push('alarmHysteresisMinutes must be a non-negative number');
+		}
+	}
+
 	if (options.timeWindowMinutes !== undefined) {
 		if (typeof options.timeWindowMinutes !== 'number' ||
 			isNaN(options.timeWindowMinutes) ||
@@ -1119,6 +4951,224 @@ function validateOptions(options) {
 		}
 	}
 
+	if (Array.isArray(options.alertLevels)) {
+		const names = new Set();
+		const states = new Set();
+		options.alertLevels.forEach((level, i) => {
+			const label = `alertLevels[${i}]${level?.name ? ` (${level.name})` : ''}`;
+			if (typeof level?.name !== 'string' || level.name.trim() === '') {
+				errors.push(`${label} name must be a non-empty string`);
+			} else if (names.has(level.name)) {
+				errors.push(`${label} name is used by another level`);
+			}
+			// Any notification state above normal
+			if (!(ALERT_STATE_SEVERITY[level?.state] > 0)) {
+				errors.push(`${label} state must be alert, warn, alarm or emergency`);
+			} else if (states.has(level.state)) {
+				errors.push(`${label} state is used by another level`);
+			}
+			for (const key of ['cpaMeters', 'tcpaMinutes']) {
+				const value = level?.[key];
+				if (value != null && (typeof value !== 'number' || isNaN(value) || value <= 0)) {
+					errors.push(`${label} ${key} must be a positive number`);
+				}
+			}
+			names.add(level?.name);
+			states.add(level?.state);
+		});
+	} else if (options.alertLevels !== undefined) {
+		errors.push('alertLevels must be a list of levels');
+	}
+
+	if (options.debounce) {
+		const reports = options.debounce.minConsecutiveReports;
+		if (reports !== undefined && (!Number.isInteger(reports) || reports < 1)) {
+			errors.push('debounce.minConsecutiveReports must be an integer of at least 1');
+		}
+		const duration = options.debounce.minDurationSeconds;
+		if (duration !== undefined && (typeof duration !== 'number' || isNaN(duration) || duration < 0)) {
+			errors.push('debounce.minDurationSeconds must be a non-negative number');
+		}
+	}
+
+	if (options.ownVesselRecheckSeconds !== undefined) {
+		if (typeof options.ownVesselRecheckSeconds !== 'number' ||
+			isNaN(options.ownVesselRecheckSeconds) ||
+			options.ownVesselRecheckSeconds < 0) {
+			errors.push('ownVesselRecheckSeconds must be a non-negative number');
+		}
+	}
+
+	if (options.sweepIntervalSeconds !== undefined) {
+		const interval = options.sweepIntervalSeconds;
+		if (typeof interval !== 'number' || isNaN(interval) ||
+			(interval !== 0 && interval < DETECTION.MIN_SWEEP_INTERVAL_SECONDS)) {
+			errors.push(`sweepIntervalSeconds must be 0 (disabled) or at least ${DETECTION.MIN_SWEEP_INTERVAL_SECONDS}`);
+		}
+	}
+
+	if (options.uncertainty) {
+		for (const key of ['courseSigmaDegrees', 'speedSigmaKnots', 'positionSigmaMeters', 'classBFactor']) {
+			const value = options.uncertainty[key];
+			if (value !== undefined && (typeof value !== 'number' || isNaN(value) || value < 0)) {
+				errors.push(`uncertainty.${key} must be a non-negative number`);
+			}
+		}
+		if (options.uncertainty.samples !== undefined) {
+			if (!Number.isInteger(options.uncertainty.samples) || options.uncertainty.samples < 1) {
+				errors.push('uncertainty.samples must be a positive integer');
+			} else if (options.uncertainty.samples > 2000) {
+				warnings.push('uncertainty.samples > 2000 may impact performance with many AIS targets');
+			}
+		}
+		const threshold = options.uncertainty.probabilityThreshold;
+		if (threshold !== undefined && (typeof threshold !== 'number' || isNaN(threshold) || threshold <= 0 || threshold > 1)) {
+			errors.push('uncertainty.probabilityThreshold must be between 0 and 1');
+		}
+	}
+
+	if (options.tracking) {
+		for (const key of ['accelerationSigma', 'positionSigmaMeters', 'speedSigmaKnots', 'courseSigmaDegrees']) {
+			const value = options.tracking[key];
+			if (value !== undefined && (typeof value !== 'number' || isNaN(value) || value <= 0)) {
+				errors.push(`tracking.${key} must be a positive number`);
+			}
+		}
+	}
+
+	if (options.derivedMotion?.windowSeconds !== undefined) {
+		const window = options.derivedMotion.windowSeconds;
+		if (typeof window !== 'number' || isNaN(window) || window < DETECTION.MIN_TRACK_SPAN_SECONDS) {
+			errors.push(`derivedMotion.windowSeconds must be at least ${DETECTION.MIN_TRACK_SPAN_SECONDS}`);
+		}
+	}
+	if (options.derivedMotion?.minFixes !== undefined &&
+		(!Number.isInteger(options.derivedMotion.minFixes) || options.derivedMotion.minFixes < 2)) {
+		errors.push('derivedMotion.minFixes must be an integer of at least 2');
+	}
+
+	if (options.stationaryTargets?.anchorScopeMeters !== undefined) {
+		const scope = options.stationaryTargets.anchorScopeMeters;
+		if (typeof scope !== 'number' || isNaN(scope) || scope < 0) {
+			errors.push('stationaryTargets.anchorScopeMeters must be a non-negative number');
+		}
+	}
+
+	if (Array.isArray(options.guardZones)) {
+		options.guardZones.forEach((zone, i) => {
+			const label = `guardZones[${i}]${zone.name ? ` (${zone.name})` : ''}`;
+			if (!['ring', 'sector', 'polygon'].includes(zone.type)) {
+				errors.push(`${label} type must be ring, sector or polygon`);
+			} else if (zone.type === 'polygon') {
+				if (!Array.isArray(zone.polygon) || zone.polygon.length < 3 ||
+					zone.polygon.some(p => typeof p?.latitude !== 'number' || typeof p?.longitude !== 'number')) {
+					errors.push(`${label} polygon needs at least three latitude/longitude vertices`);
+				}
+			} else if (typeof zone.outerRadiusMeters !== 'number' || isNaN(zone.outerRadiusMeters) ||
+				zone.outerRadiusMeters <= (zone.innerRadiusMeters ?? 0)) {
+				errors.push(`${label} outerRadiusMeters must be a number greater than innerRadiusMeters`);
+			}
+		});
+	}
+
+	if (Array.isArray(options.safetyDomains)) {
+		options.safetyDomains.forEach((rule, i) => {
+			const label = `safetyDomains[${i}]${rule.name ? ` (${rule.name})` : ''}`;
+			if (rule.shipTypes != null && rule.shipTypes !== '' && !parseShipTypes(rule.shipTypes)) {
+				errors.push(`${label} shipTypes must be AIS ship type codes or ranges, e.g. 70-89, 30`);
+			}
+			for (const key of ['minLengthMeters', 'maxLengthMeters', 'minSpeedKnots', 'maxSpeedKnots']) {
+				const value = rule[key];
+				if (value !== undefined && (typeof value !== 'number' || isNaN(value) || value < 0)) {
+					errors.push(`${label} ${key} must be a non-negative number`);
+				}
+			}
+			for (const key of ['safePassingDistanceMeters', 'timeWindowMinutes', 'aheadFactor', 'asternFactor', 'beamFactor']) {
+				const value = rule[key];
+				if (value !== undefined && (typeof value !== 'number' || isNaN(value) || value <= 0)) {
+					errors.push(`${label} ${key} must be a positive number`);
+				}
+			}
+			if (rule.minLengthMeters > rule.maxLengthMeters || rule.minSpeedKnots > rule.maxSpeedKnots) {
+				errors.push(`${label} minimum must not exceed maximum`);
+			}
+		});
+	}
+
+	if (Array.isArray(options.targetOverrides)) {
+		options.targetOverrides.forEach((override, i) => {
+			validateTargetOverride(override).forEach(error => errors.push(`targetOverrides[${i}] ${error}`));
+		});
+	}
+
+	if (options.nmea0183Alarms) {
+		const alarms = options.nmea0183Alarms;
+		if (alarms.talkerId !== undefined && !/^[A-Z0-9]{2}$/.test(alarms.talkerId)) {
+			errors.push('nmea0183Alarms.talkerId must be two upper case letters or digits');
+		}
+		if (alarms.minimumState !== undefined && !['alert', 'warn', 'alarm', 'emergency'].includes(alarms.minimumState)) {
+			errors.push('nmea0183Alarms.minimumState must be alert, warn, alarm or emergency');
+		}
+		if (alarms.alertIdentifier !== undefined &&
+			(!Number.isInteger(alarms.alertIdentifier) || alarms.alertIdentifier < 1 || alarms.alertIdentifier > 9999999)) {
+			errors.push('nmea0183Alarms.alertIdentifier must be an integer between 1 and 9999999');
+		}
+		if (alarms.repeatSeconds !== undefined &&
+			(typeof alarms.repeatSeconds !== 'number' || isNaN(alarms.repeatSeconds) || alarms.repeatSeconds < 0)) {
+			errors.push('nmea0183Alarms.repeatSeconds must be a non-negative number');
+		}
+	}
+
+	if (options.nmea2000Alerts) {
+		const alerts = options.nmea2000Alerts;
+		if (alerts.minimumState !== undefined && !['alert', 'warn', 'alarm', 'emergency'].includes(alerts.minimumState)) {
+			errors.push('nmea2000Alerts.minimumState must be alert, warn, alarm or emergency');
+		}
+		if (alerts.alertSystem !== undefined &&
+			(!Number.isInteger(alerts.alertSystem) || alerts.alertSystem < 0 || alerts.alertSystem > 253)) {
+			errors.push('nmea2000Alerts.alertSystem must be an integer between 0 and 253');
+		}
+		if (alerts.repeatSeconds !== undefined &&
+			(typeof alerts.repeatSeconds !== 'number' || isNaN(alerts.repeatSeconds) || alerts.repeatSeconds < 0)) {
+			errors.push('nmea2000Alerts.repeatSeconds must be a non-negative number');
+		}
+	}
+
+	if (options.safeManoeuvres) {
+		const maxSpeed = options.safeManoeuvres.maxSpeedKnots;
+		if (maxSpeed !== undefined && (typeof maxSpeed !== 'number' || isNaN(maxSpeed) || maxSpeed <= 0)) {
+			errors.push('safeManoeuvres.maxSpeedKnots must be a positive number');
+		}
+		const interval = options.safeManoeuvres.publishIntervalSeconds;
+		if (interval !== undefined && (typeof interval !== 'number' || isNaN(interval) || interval < 0)) {
+			errors.push('safeManoeuvres.publishIntervalSeconds must be a non-negative number');
+		}
+	}
+
+	if (options.encounterLog) {
+		for (const key of ['closeAfterMinutes', 'trackIntervalSeconds']) {
+			const value = options.encounterLog[key];
+			if (value !== undefined && (typeof value !== 'number' || isNaN(value) || value < 0)) {
+				errors.push(`encounterLog.${key} must be a non-negative number`);
+			}
+		}
+		for (const key of ['retentionDays', 'maxSizeMegabytes']) {
+			const value = options.encounterLog[key];
+			if (value !== undefined && (typeof value !== 'number' || isNaN(value) || value <= 0)) {
+				errors.push(`encounterLog.${key} must be a positive number`);
+			}
+		}
+	}
+
+	if (options.acknowledgement) {
+		for (const key of ['silenceMinutes', 'rearmCpaMeters', 'rearmTcpaMinutes']) {
+			const value = options.acknowledgement[key];
+			if (value !== undefined && (typeof value !== 'number' || isNaN(value) || value < 0)) {
+				errors.push(`acknowledgement.${key} must be a non-negative number`);
+			}
+		}
+	}
+
 	if (options.rangeNauticalMiles !== undefined) {
 		if (typeof options.rangeNauticalMiles !== 'number' ||
 			isNaN(options.rangeNauticalMiles) ||
@@ -1140,11 +5190,60 @@ function validateOptions(options) {
 	return { errors, warnings, valid: errors.length === 0 };
 }
 
+/**
+ * Validate a single target override (configuration or REST API)
+ * Alert level names are checked when overrides are resolved against the levels.
+ * Returns a list of error messages
+ */
+function validateTargetOverride(override) {
+	if (!override || typeof override !== 'object') return ['must be an object'];
+
+	const errors = [];
+	const label = override.mmsi || override.namePattern;
+	if (!label || (typeof label !== 'string' && typeof label !== 'number')) {
+		errors.push('needs an mmsi or a namePattern');
+	}
+	if (override.mmsi && !/^\d{9}$/.test(String(override.mmsi).trim())) {
+		errors.push('mmsi must be 9 digits');
+	}
+	if (!['ignore', 'mute', 'custom'].includes(override.action)) {
+		errors.push('action must be ignore, mute or custom');
+	}
+	if (override.maxAlertLevel !== undefined && typeof override.maxAlertLevel !== 'string') {
+		errors.push('maxAlertLevel must be an alert level name or none');
+	}
+	for (const key of ['safePassingDistanceMeters', 'timeWindowMinutes']) {
+		const value = override[key];
+		if (value !== undefined && (typeof value !== 'number' || isNaN(value) || value <= 0)) {
+			errors.push(`${key} must be a positive number`);
+		}
+	}
+	return errors;
+}
+
 // ============================================================================
 // PLUGIN LIFECYCLE MANAGEMENT
 // ============================================================================
 
+// Own vessel path accepting acknowledge/silence requests via SignalK PUT
+const ACKNOWLEDGE_PUT_PATH = 'navigation.closestApproach.acknowledge';
+
+// Own vessel path taking a trial manoeuvre via SignalK PUT and carrying its result
+const TRIAL_MANOEUVRE_PUT_PATH = 'navigation.closestApproach.trialManoeuvre';
+
+// Own vessel paths whose changes trigger re-evaluation of all targets
+const OWN_MOTION_PATHS = [
+	'navigation.position',
+	'navigation.courseOverGroundTrue',
+	'navigation.speedOverGround',
+	'navigation.headingTrue'
+];
+
 let detector = null;
+let activeConfig = null;
+let pluginOptions = null;   // Options as configured, saved back when target overrides change
+let encounterLog = null;
+let alarmOutputs = [];
 let subscriptionCleanupFns = [];
 let ownVesselId = null;
 
@@ -1162,10 +5261,92 @@ plugin.start = function (options) {
 	}
 
 	// Merge user options with defaults
+	const safePassingDistanceMeters = options.safePassingDistanceMeters ?? 500;
+	const timeWindowMinutes = options.timeWindowMinutes ?? 10;
 	const mergedConfig = {
-		safePassingDistanceMeters: options.safePassingDistanceMeters ?? 500,
+		safePassingDistanceMeters: safePassingDistanceMeters,
 		alarmHysteresisMeters: options.alarmHysteresisMeters ?? 200,
-		timeWindowMinutes: options.timeWindowMinutes ?? 10,
+		alarmHysteresisMinutes: options.alarmHysteresisMinutes ?? 2,
+		predictionModel: options.predictionModel ?? 'linear',
+		hullAware: options.hullAware ?? true,
+		uncertainty: {
+			enabled: options.uncertainty?.enabled ?? false,
+			courseSigmaDegrees: options.uncertainty?.courseSigmaDegrees ?? 3,
+			speedSigmaKnots: options.uncertainty?.speedSigmaKnots ?? 0.3,
+			positionSigmaMeters: options.uncertainty?.positionSigmaMeters ?? 10,
+			classBFactor: options.uncertainty?.classBFactor ?? 2,
+			samples: options.uncertainty?.samples ?? 200,
+			useAsAlarmCriterion: options.uncertainty?.useAsAlarmCriterion ?? false,
+			probabilityThreshold: options.uncertainty?.probabilityThreshold ?? 0.5
+		},
+		debounce: {
+			minConsecutiveReports: options.debounce?.minConsecutiveReports ?? 1,
+			minDurationSeconds: options.debounce?.minDurationSeconds ?? 0
+		},
+		timeWindowMinutes: timeWindowMinutes,
+		alertLevels: resolveAlertLevels(
+			options.alertLevels ?? plugin.schema.properties.alertLevels.default,
+			safePassingDistanceMeters,
+			timeWindowMinutes
+		),
+		tracking: {
+			enabled: options.tracking?.enabled ?? true,
+			accelerationSigma: options.tracking?.accelerationSigma ?? 0.01,
+			positionSigmaMeters: options.tracking?.positionSigmaMeters ?? 10,
+			speedSigmaKnots: options.tracking?.speedSigmaKnots ?? 0.5,
+			courseSigmaDegrees: options.tracking?.courseSigmaDegrees ?? 10
+		},
+		derivedMotion: {
+			enabled: options.derivedMotion?.enabled ?? true,
+			windowSeconds: options.derivedMotion?.windowSeconds ?? 60,
+			minFixes: options.derivedMotion?.minFixes ?? 3
+		},
+		stationaryTargets: {
+			enabled: options.stationaryTargets?.enabled ?? true,
+			anchorScopeMeters: options.stationaryTargets?.anchorScopeMeters ?? 50
+		},
+		guardZones: [],
+		sweepIntervalSeconds: options.sweepIntervalSeconds ?? 10,
+		ownVesselRecheckSeconds: options.ownVesselRecheckSeconds ?? 2,
+		publishSummaryNotification: options.publishSummaryNotification ?? true,
+		acknowledgement: {
+			silenceMinutes: options.acknowledgement?.silenceMinutes ?? 5,
+			rearmCpaMeters: options.acknowledgement?.rearmCpaMeters ?? 100,
+			rearmTcpaMinutes: options.acknowledgement?.rearmTcpaMinutes ?? 2,
+			methods: options.acknowledgement?.methods ?? ['visual']
+		},
+		targetClosestApproach: {
+			enabled: options.targetClosestApproach?.enabled ?? true,
+			minPeriodSeconds: options.targetClosestApproach?.minPeriodSeconds ?? 5
+		},
+		nmea0183Alarms: {
+			enabled: options.nmea0183Alarms?.enabled ?? false,
+			talkerId: options.nmea0183Alarms?.talkerId ?? 'II',
+			minimumState: options.nmea0183Alarms?.minimumState ?? 'alarm',
+			bam: options.nmea0183Alarms?.bam ?? false,
+			alertIdentifier: options.nmea0183Alarms?.alertIdentifier ?? 3015,
+			repeatSeconds: options.nmea0183Alarms?.repeatSeconds ?? 30,
+			acceptAcknowledgements: options.nmea0183Alarms?.acceptAcknowledgements ?? true
+		},
+		nmea2000Alerts: {
+			enabled: options.nmea2000Alerts?.enabled ?? false,
+			minimumState: options.nmea2000Alerts?.minimumState ?? 'warn',
+			alertSystem: options.nmea2000Alerts?.alertSystem ?? 1,
+			repeatSeconds: options.nmea2000Alerts?.repeatSeconds ?? 5,
+			acceptResponses: options.nmea2000Alerts?.acceptResponses ?? true
+		},
+		safeManoeuvres: {
+			enabled: options.safeManoeuvres?.enabled ?? true,
+			maxSpeedKnots: options.safeManoeuvres?.maxSpeedKnots ?? 20,
+			publishIntervalSeconds: options.safeManoeuvres?.publishIntervalSeconds ?? 10
+		},
+		encounterLog: {
+			enabled: options.encounterLog?.enabled ?? true,
+			closeAfterMinutes: options.encounterLog?.closeAfterMinutes ?? 5,
+			trackIntervalSeconds: options.encounterLog?.trackIntervalSeconds ?? 10,
+			retentionDays: options.encounterLog?.retentionDays ?? 30,
+			maxSizeMegabytes: options.encounterLog?.maxSizeMegabytes ?? 50
+		},
 		rangeMeters: (options.rangeNauticalMiles ?? 10) * 1852,  // Convert nm to meters
 		timeouts: {
 			PosFreshBefore: options.timeouts?.PosFreshBefore ?? 600
@@ -1177,8 +5358,47 @@ plugin.start = function (options) {
 		}
 	};
 
+	// Guard zones refer to alert levels by name
+	mergedConfig.guardZones = resolveGuardZones(options.guardZones, mergedConfig.alertLevels)
+		.filter(zone => {
+			if (zone.levelIndex < 0) {
+				app.error(`Guard zone '${zone.name}' ignored: unknown alert level '${zone.alertLevel}'`);
+			}
+			return zone.levelIndex >= 0;
+		});
+
+	// Safety domain rules scale the alert levels
+	mergedConfig.safetyDomains = resolveSafetyDomains(options.safetyDomains, mergedConfig.alertLevels,
+		mergedConfig.safePassingDistanceMeters, mergedConfig.timeWindowMinutes);
+
+	// Target overrides refer to alert levels by name
+	mergedConfig.targetOverrides = resolveConfiguredOverrides(options.targetOverrides, mergedConfig);
+
+	// Encounter log in the plugin data directory
+	if (mergedConfig.encounterLog.enabled && typeof app.getDataDirPath === 'function') {
+		encounterLog = createEncounterLog(app, mergedConfig.encounterLog);
+		encounterLog.prune();
+	}
+
+	// NMEA 0183 alarm sentences and NMEA 2000 alert PGNs for bridge alarm panels and displays
+	const alertResponses = {
+		acknowledge: vesselId => detector && detector.acknowledgeTarget(vesselId),
+		silence: vesselId => detector && detector.acknowledgeTarget(vesselId, mergedConfig.acknowledgement.silenceMinutes)
+	};
+	if (typeof app.emit === 'function') {
+		if (mergedConfig.nmea0183Alarms.enabled) {
+			alarmOutputs.push(createNmeaAlarmOutput(app, mergedConfig.nmea0183Alarms, alertResponses));
+		}
+		if (mergedConfig.nmea2000Alerts.enabled) {
+			alarmOutputs.push(createNmea2000AlertOutput(app, mergedConfig.nmea2000Alerts, alertResponses));
+		}
+		alarmOutputs.forEach(output => output.start());
+	}
+
 	// Initialize detector
-	detector = createCollisionDetector(app, mergedConfig);
+	detector = createCollisionDetector(app, mergedConfig, encounterLog, alarmOutputs);
+	activeConfig = mergedConfig;
+	pluginOptions = options;
 
 	// Resolve own vessel identifier
 	ownVesselId = app.selfId || 'self';
@@ -1187,9 +5407,20 @@ plugin.start = function (options) {
 
 	app.debug(`CPA/TCPA detector initialized. Own vessel: ${ownVesselId}`);
 	app.debug(`Parameters: CPA threshold=${mergedConfig.safePassingDistanceMeters}m, ` +
-		`hysteresis=${mergedConfig.alarmHysteresisMeters}m, ` +
+		`hysteresis=${mergedConfig.alarmHysteresisMeters}m/${mergedConfig.alarmHysteresisMinutes}min, ` +
+		`debounce=${mergedConfig.debounce.minConsecutiveReports} reports/${mergedConfig.debounce.minDurationSeconds}s, ` +
 		`TCPA window=${mergedConfig.timeWindowMinutes}min, ` +
+		`model=${mergedConfig.predictionModel}, ` +
 		`range=${(mergedConfig.rangeMeters / 1852).toFixed(1)}nm`);
+	app.debug(`Alert levels: ${mergedConfig.alertLevels.map(level =>
+		`${level.name}/${level.state} (CPA ${level.cpaMeters}m, TCPA ${level.tcpaMinutes}min)`).join(', ')}`);
+	if (mergedConfig.guardZones.length > 0) {
+		app.debug(`Guard zones: ${mergedConfig.guardZones.map(zone => `${zone.name} (${zone.type}, ${zone.alertLevel})`).join(', ')}`);
+	}
+	if (mergedConfig.safetyDomains.length > 0) {
+		app.debug(`Safety domains: ${mergedConfig.safetyDomains.map(rule =>
+			`${rule.name} (${rule.safePassingDistanceMeters}m, ${rule.timeWindowMinutes}min)`).join(', ')}`);
+	}
 
 	if (mergedConfig.debug.enabled) {
 		app.debug(`Debug mode ENABLED - verbose logging active`);
@@ -1198,8 +5429,16 @@ plugin.start = function (options) {
 		}
 	}
 
-	// Start periodic status logging
+	// Start periodic status logging, sweep and safe course/speed publishing
 	detector.startStatusLogging();
+	detector.startSweep();
+	detector.startSafeManoeuvres();
+
+	// Acknowledge/silence threats through SignalK PUT
+	if (typeof app.registerPutHandler === 'function') {
+		app.registerPutHandler('vessels.self', ACKNOWLEDGE_PUT_PATH, handleAcknowledgePut, plugin.id);
+		app.registerPutHandler('vessels.self', TRIAL_MANOEUVRE_PUT_PATH, handleTrialManoeuvrePut, plugin.id);
+	}
 
 	// Register position update subscription for all vessels
 	// Detection triggers on position changes, fetches other data via app.getPath
@@ -1223,13 +5462,45 @@ plugin.start = function (options) {
 		},
 		processDeltaMessage
 	);
+
+	// Own vessel course, speed and heading changes re-evaluate all targets
+	// (own position updates already arrive through the subscription above)
+	if (mergedConfig.ownVesselRecheckSeconds > 0) {
+		const ownMotionSubscription = {
+			context: 'vessels.self',
+			subscribe: OWN_MOTION_PATHS
+				.filter(path => path !== 'navigation.position')
+				.map(path => ({
+					path: path,
+					format: 'delta',
+					policy: 'instant',
+					minPeriod: 0
+				}))
+		};
+
+		app.subscriptionmanager.subscribe(
+			ownMotionSubscription,
+			subscriptionCleanupFns,
+			subscriptionErr => {
+				const errMsg = subscriptionErr?.message || String(subscriptionErr);
+				app.error(`Own vessel subscription failed: ${errMsg}`);
+				app.setPluginError(`Subscription failure: ${errMsg}`);
+			},
+			processDeltaMessage
+		);
+	}
 };
 
 plugin.stop = function () {
 	// Log final stats before stopping
 	if (detector) {
-		// Stop periodic status logging
+		// Stop periodic status logging, sweep and deferred re-evaluation
 		detector.stopStatusLogging();
+		detector.stopSweep();
+		detector.cancelRecheck();
+
+		// Stop publishing safe courses and speeds and clear them
+		detector.stopSafeManoeuvres();
 
 		const status = detector.getStatus();
 		const s = status.stats;
@@ -1241,31 +5512,21 @@ plugin.stop = function () {
 			`${s.skippedStaleData} stale, ` +
 			`${s.skippedOutOfRange} out-of-range`);
 
-		// Clear any active collision notification
-		if (status.alarmActive) {
-			try {
-				const clearPayload = {
-					context: 'vessels.self',
-					updates: [{
-						values: [{
-							path: 'notifications.danger.collision',
-							value: {
-								state: 'normal',
-								message: 'Plugin stopped',
-								source: plugin.id
-							}
-						}],
-						source: { label: plugin.id },
-						timestamp: new Date().toISOString()
-					}]
-				};
-				app.handleMessage(plugin.id, clearPayload);
-				app.debug('Cleared active collision notification on shutdown');
-			} catch (err) {
-				app.debug(`Could not clear notification on shutdown: ${err.message}`);
-			}
+		// Clear any active collision notifications (per-target and summary)
+		if (status.alarmActive || status.notifiedTargets > 0) {
+			detector.clearAllNotifications('Plugin stopped');
+			app.debug('Cleared active collision notifications on shutdown');
 		}
 
+		// Clear closestApproach data published into target data trees
+		detector.clearAllTargets();
+
+		// Write encounters still in progress
+		detector.endAllEncounters('plugin stopped');
+
+		// Clear alarms on NMEA 0183 alarm panels and NMEA 2000 displays
+		alarmOutputs.forEach(output => output.stop());
+
 		// Reset detector state
 		detector.reset();
 	}
@@ -1276,11 +5537,19 @@ plugin.stop = function () {
 	}
 	subscriptionCleanupFns = [];
 
+	// Encounters written on shutdown are still queued when stop returns
+	const flushed = encounterLog ? encounterLog.flush() : Promise.resolve();
+
 	// Release references
 	ownVesselId = null;
+	activeConfig = null;
+	pluginOptions = null;
+	encounterLog = null;
+	alarmOutputs = [];
 	detector = null;
 
 	app.debug('CPA/TCPA detector shutdown complete');
+	return flushed;
 };
 
 /**
@@ -1292,14 +5561,293 @@ plugin.statusMessage = function () {
 	}
 	const status = detector.getStatus();
 	if (status.alarmActive) {
-		return `ALARM: ${status.activeCollisions} collision(s) detected`;
+		return `${status.highestAlertLevel.toUpperCase()}: ${status.activeCollisions} collision threat(s) detected`;
 	}
 	return `Monitoring ${status.trackedVessels} vessel(s), ${status.stats.checksPerformed} checks performed`;
 };
 
+/**
+ * PUT handler for ACKNOWLEDGE_PUT_PATH
+ * Value: { vesselId, silenceMinutes } (both optional), or a vessel ID string.
+ * Without vesselId all current threats are acknowledged; without silenceMinutes
+ * the acknowledgement lasts until the threat clears or worsens.
+ */
+function handleAcknowledgePut(context, path, value) {
+	if (!detector) {
+		return { state: 'COMPLETED', statusCode: 503, message: 'Plugin not running' };
+	}
+
+	const request = typeof value === 'string' ? { vesselId: value } : (value || {});
+	const minutes = request.silenceMinutes ?? null;
+	if (minutes !== null && (typeof minutes !== 'number' || isNaN(minutes) || minutes <= 0)) {
+		return { state: 'COMPLETED', statusCode: 400, message: 'silenceMinutes must be a positive number' };
+	}
+
+	if (request.vesselId) {
+		if (!detector.acknowledgeTarget(request.vesselId, minutes)) {
+			return { state: 'COMPLETED', statusCode: 404, message: `No active threat for ${request.vesselId}` };
+		}
+	} else {
+		detector.acknowledgeAllTargets(minutes);
+	}
+	return { state: 'COMPLETED', statusCode: 200 };
+}
+
+/**
+ * Trial manoeuvre from a REST query or PUT value: { courseDegrees, speedKnots, delayMinutes },
+ * each optional (current course/speed, no delay). Query strings are accepted as numbers.
+ * The delay is limited to the prediction horizon (maxDelayMinutes).
+ * Returns { trial } or { error }
+ */
+function parseTrialManoeuvre(value, maxDelayMinutes) {
+	const limits = {
+		courseDegrees: [0, 360],
+		speedKnots: [0, Math.floor(DETECTION.MAX_VESSEL_SPEED_MPS / GEO.KNOTS_TO_MPS)],
+		delayMinutes: [0, maxDelayMinutes]
+	};
+	const trial = {};
+	for (const [key, [min, max]] of Object.entries(limits)) {
+		const raw = value?.[key];
+		if (raw === undefined || raw === null || raw === '') continue;
+		const number = Number(raw);
+		if (typeof raw === 'boolean' || !isFinite(number) || number < min || number > max) {
+			return { error: `${key} must be a number from ${min} to ${max}` };
+		}
+		trial[key] = number;
+	}
+	return { trial: trial };
+}
+
+/**
+ * PUT handler for TRIAL_MANOEUVRE_PUT_PATH
+ * Value: { courseDegrees, speedKnots, delayMinutes } (all optional). The result, as
+ * served by GET /trial, is published on the same path; null clears it.
+ */
+function handleTrialManoeuvrePut(context, path, value) {
+	if (!detector) {
+		return { state: 'COMPLETED', statusCode: 503, message: 'Plugin not running' };
+	}
+
+	let result = null;
+	if (value !== null) {
+		const request = parseTrialManoeuvre(value, detector.getPredictionHorizonSeconds() / 60);
+		if (request.error) {
+			return { state: 'COMPLETED', statusCode: 400, message: request.error };
+		}
+		result = detector.evaluateTrialManoeuvre(request.trial);
+		if (!result) {
+			return { state: 'COMPLETED', statusCode: 409, message: 'Own vessel position, course or speed not available' };
+		}
+	}
+
+	app.handleMessage(plugin.id, {
+		context: 'vessels.self',
+		updates: [{
+			values: [{ path: TRIAL_MANOEUVRE_PUT_PATH, value: result }],
+			source: { label: plugin.id },
+			timestamp: new Date().toISOString()
+		}]
+	});
+	return { state: 'COMPLETED', statusCode: 200 };
+}
+
+/**
+ * Resolve configured target overrides against the alert levels of a merged configuration,
+ * dropping mutes to unknown alert levels with an error in the server log
+ */
+function resolveConfiguredOverrides(configuredOverrides, config) {
+	return resolveTargetOverrides(configuredOverrides, config.alertLevels,
+		config.safePassingDistanceMeters, config.timeWindowMinutes)
+		.filter(override => {
+			if (override.maxLevelIndex === undefined && override.action === 'mute') {
+				app.error(`Target override for ${override.mmsi || override.namePattern} ignored: unknown alert level '${override.maxAlertLevel}'`);
+				return false;
+			}
+			return true;
+		});
+}
+
+/**
+ * Errors of a target override edited at runtime, including its alert level name
+ */
+function runtimeTargetOverrideErrors(override) {
+	const errors = validateTargetOverride(override);
+	const levelNames = ['none', ...activeConfig.alertLevels.map(level => level.name)];
+	if (override?.action === 'mute' && !levelNames.includes(override.maxAlertLevel ?? 'none')) {
+		errors.push(`maxAlertLevel must be one of ${levelNames.join(', ')}`);
+	}
+	return errors;
+}
+
+/**
+ * Apply an edited list of target overrides to the running detector, re-evaluate
+ * all targets with it and save it to the plugin configuration
+ */
+function updateTargetOverrides(overrides) {
+	activeConfig.targetOverrides = resolveConfiguredOverrides(overrides, activeConfig);
+	detector.recheckAllTargets();
+
+	pluginOptions = { ...pluginOptions, targetOverrides: overrides };
+	if (typeof app.savePluginOptions === 'function') {
+		app.savePluginOptions(pluginOptions, err => {
+			if (err) app.error(`Failed to save target overrides: ${err.message}`);
+		});
+	}
+}
+
+/**
+ * Does a configured override target the same vessel(s) as another? (same MMSI or name pattern)
+ */
+function sameOverrideTarget(a, b) {
+	return a.mmsi ? String(a.mmsi) === String(b.mmsi) : !b.mmsi && a.namePattern === b.namePattern;
+}
+
+/**
+ * REST API under /plugins/signalk-cpa-tcpa-plugin
+ */
+plugin.registerWithRouter = function (router) {
+	// Respond with the detector's data, or 503 while the plugin is stopped
+	// (handlers that answer themselves return undefined)
+	const withDetector = handler => (req, res) => {
+		if (!detector) {
+			res.status(503).json({ error: 'Plugin not running' });
+			return;
+		}
+		const result = handler(req, res);
+		if (result !== undefined) {
+			res.json(result);
+		}
+	};
+
+	// Silence duration from the request body or query, default from configuration
+	const silenceMinutes = req => {
+		const minutes = Number(req.body?.minutes ?? req.query?.minutes ?? activeConfig.acknowledgement.silenceMinutes);
+		return isFinite(minutes) && minutes > 0 ? minutes : activeConfig.acknowledgement.silenceMinutes;
+	};
+
+	router.get('/threats', withDetector(() => detector.getThreats()));
+	router.get('/targets', withDetector(() => detector.getTargets()));
+	router.get('/status', withDetector(() => {
+		// Threat details are served by /threats
+		const { collisionDetails, ...status } = detector.getStatus();
+		return { ...status, ownVesselId: ownVesselId };
+	}));
+	router.get('/config', withDetector(() => activeConfig));
+
+	router.post('/threats/acknowledge', withDetector(() => ({
+		acknowledged: detector.acknowledgeAllTargets()
+	})));
+	router.post('/threats/silence', withDetector(req => ({
+		acknowledged: detector.acknowledgeAllTargets(silenceMinutes(req))
+	})));
+	router.post('/threats/:vesselId/acknowledge', withDetector((req, res) => {
+		if (!detector.acknowledgeTarget(req.params.vesselId)) {
+			res.status(404).json({ error: `No active threat for ${req.params.vesselId}` });
+			return undefined;
+		}
+		return { acknowledged: [req.params.vesselId] };
+	}));
+	router.post('/threats/:vesselId/silence', withDetector((req, res) => {
+		if (!detector.acknowledgeTarget(req.params.vesselId, silenceMinutes(req))) {
+			res.status(404).json({ error: `No active threat for ${req.params.vesselId}` });
+			return undefined;
+		}
+		return { acknowledged: [req.params.vesselId] };
+	}));
+
+	// Per-target overrides as configured; POST adds or replaces the entry for the same
+	// MMSI or name pattern, DELETE removes it. Changes are saved to the configuration.
+	router.get('/overrides', withDetector(() => pluginOptions.targetOverrides || []));
+	router.post('/overrides', withDetector((req, res) => {
+		const override = req.body;
+		const errors = runtimeTargetOverrideErrors(override);
+		if (errors.length > 0) {
+			res.status(400).json({ error: errors.join(', ') });
+			return undefined;
+		}
+		const current = pluginOptions.targetOverrides || [];
+		updateTargetOverrides([...current.filter(entry => !sameOverrideTarget(entry, override)), override]);
+		return pluginOptions.targetOverrides;
+	}));
+	router.delete('/overrides/:match', withDetector((req, res) => {
+		const current = pluginOptions.targetOverrides || [];
+		const remaining = current.filter(entry => String(entry.mmsi || entry.namePattern) !== req.params.match);
+		if (remaining.length === current.length) {
+			res.status(404).json({ error: `No target override for ${req.params.match}` });
+			return undefined;
+		}
+		updateTargetOverrides(remaining);
+		return remaining;
+	}));
+
+	// Logged and open encounters, optionally filtered by time range and MMSI
+	router.get('/encounters', withDetector((req, res) => {
+		if (!encounterLog) {
+			res.status(404).json({ error: 'Encounter log disabled' });
+			return undefined;
+		}
+		const filter = {
+			from: req.query?.from ? Date.parse(req.query.from) : null,
+			to: req.query?.to ? Date.parse(req.query.to) : null,
+			mmsi: req.query?.mmsi || null
+		};
+		if (Number.isNaN(filter.from) || Number.isNaN(filter.to)) {
+			res.status(400).json({ error: 'from and to must be ISO 8601 times' });
+			return undefined;
+		}
+		const open = detector.getOpenEncounters().filter(encounter => encounterMatchesQuery(encounter, filter));
+		encounterLog.query(filter)
+			.then(logged => res.json([...logged, ...open]))
+			.catch(err => res.status(500).json({ error: err.message }));
+		return undefined;
+	}));
+
+	// CPA/TCPA of every target for a hypothetical own course/speed, alarm state untouched
+	router.get('/trial', withDetector((req, res) => {
+		const request = parseTrialManoeuvre(req.query, detector.getPredictionHorizonSeconds() / 60);
+		if (request.error) {
+			res.status(400).json({ error: request.error });
+			return undefined;
+		}
+		const result = detector.evaluateTrialManoeuvre(request.trial);
+		if (!result) {
+			res.status(409).json({ error: 'Own vessel position, course or speed not available' });
+			return undefined;
+		}
+		return result;
+	}));
+
+	// Forbidden course sectors and safe speed ranges from velocity obstacles
+	router.get('/safe-manoeuvres', withDetector((req, res) => {
+		if (!activeConfig.safeManoeuvres.enabled) {
+			res.status(404).json({ error: 'Safe courses and speeds disabled' });
+			return undefined;
+		}
+		const result = detector.getSafeManoeuvres();
+		if (!result) {
+			res.status(409).json({ error: 'Own vessel position, course or speed not available' });
+			return undefined;
+		}
+		return result;
+	}));
+
+	// Everything the plot web app draws, in one request
+	router.get('/plot', withDetector(() => ({
+		timestamp: new Date().toISOString(),
+		ownVessel: detector.getOwnVessel(),
+		targets: detector.getTargets(),
+		threats: detector.getThreats(),
+		alertLevels: activeConfig.alertLevels,
+		guardZones: activeConfig.guardZones,
+		safePassingDistanceMeters: activeConfig.safePassingDistanceMeters,
+		rangeMeters: activeConfig.rangeMeters
+	})));
+};
+
 /**
  * Process incoming SignalK delta messages for position updates
- * Triggers CPA/TCPA calculation when other vessels report new positions
+ * Triggers CPA/TCPA calculation when other vessels report new positions,
+ * and a throttled re-evaluation of all targets when own vessel motion changes
  */
 function processDeltaMessage(delta) {
 	if (!detector || !delta.updates) return;
@@ -1310,12 +5858,27 @@ function processDeltaMessage(delta) {
 	// Extract vessel identifier from context path
 	const sourceVesselId = sourceContext.split('.').pop();
 
-	// Filter out own vessel - only process other vessels' position changes
 	const isOwnVessel = sourceVesselId === 'self' ||
 		sourceVesselId === ownVesselId ||
 		sourceContext === `vessels.${ownVesselId}`;
 
-	if (isOwnVessel) return;
+	if (isOwnVessel) {
+		// Own track history for derived COG/SOG, independent of target reports
+		const containsPosition = delta.updates.some(update =>
+			update.values?.some(v => v.path === 'navigation.position')
+		);
+		if (containsPosition) {
+			detector.recordOwnFix();
+		}
+
+		const containsOwnMotion = delta.updates.some(update =>
+			update.values?.some(v => OWN_MOTION_PATHS.includes(v.path))
+		);
+		if (containsOwnMotion) {
+			detector.requestRecheckAllTargets();
+		}
+		return;
+	}
 
 	// Verify this delta contains position data
 	const containsPosition = delta.updates.some(update =>
@@ -1330,3 +5893,68 @@ function processDeltaMessage(delta) {
 
 return plugin;
 };
+
+// Geodesy shared with the replay tool
+module.exports.GEO = GEO;
+module.exports.calculateDistance = calculateDistance;
+
+// Detection functions, exported for the tests
+Object.assign(module.exports, {
+	DETECTION,
+	haversineDistance,
+	computeForwardAzimuth,
+	calculateCPA,
+	calculateCurvilinearCPA,
+	hullOutline,
+	outlineDistance,
+	calculateHullCPA,
+	calculateCollisionProbability,
+	applyProbabilityCriterion,
+	projectPosition,
+	deadReckonVessel,
+	asStationaryTarget,
+	swingCircleApproach,
+	calculateTrialCPA,
+	resolveAlertLevels,
+	scaleAlertLevels,
+	classifyAlertLevel,
+	classifyProximityLevel,
+	resolveGuardZones,
+	bearingInSector,
+	pointInChartPolygon,
+	targetInGuardZone,
+	createTargetAlarmState,
+	advanceTargetAlarm,
+	checkAcknowledgementRearm,
+	namePatternMatches,
+	resolveTargetOverrides,
+	findTargetOverride,
+	parseShipTypes,
+	resolveSafetyDomains,
+	findSafetyDomain,
+	isShapedDomain,
+	shipDomainApproach,
+	classifyColregEncounter,
+	describeColregEncounter,
+	velocityClearsTarget,
+	calculateVelocityObstacles,
+	estimateMotionFromTrack,
+	createTrackFilter,
+	updateTrackFilter,
+	trackFilterMotion,
+	encounterFileName,
+	encounterFileDay,
+	appendTrackPoint,
+	selectExpiredEncounterFiles,
+	encounterMatchesQuery,
+	nmeaChecksum,
+	formatAlrSentence,
+	formatAlfSentences,
+	formatAlcSentences,
+	parseAlertResponse,
+	createAlertNumbers,
+	N2K_MAX_TEXT_LENGTH,
+	formatN2kAlert,
+	formatN2kAlertText,
+	parseN2kAlertResponse
+});
@@ -0,0 +1,383 @@
+/**
+ * CPA/TCPA relative-motion plot
+ * Polls the plugin's /plot endpoint and draws own ship, AIS targets, velocity
+ * vectors, CPA points and the safe passing distance, highlighting threats.
+ * Threats can be acknowledged from the header.
+ */
+(function () {
+	'use strict';
+
+	const API_URL = '/plugins/signalk-cpa-tcpa-plugin';
+	const POLL_INTERVAL_MS = 2000;
+
+	const PALETTES = {
+		day: {
+			background: '#fff',
+			grid: '#bbb',
+			text: '#222',
+			ownShip: '#06c',
+			target: '#444',
+			safeRing: '#c00',
+			guardZone: 'rgba(200, 120, 0, 0.15)',
+			states: { alert: '#c9a400', warn: '#e67300', alarm: '#e00', emergency: '#c0c' }
+		},
+		night: {
+			background: '#000',
+			grid: '#411',
+			text: '#a33',
+			ownShip: '#c44',
+			target: '#733',
+			safeRing: '#a22',
+			guardZone: 'rgba(170, 40, 40, 0.15)',
+			states: { alert: '#a80', warn: '#c60', alarm: '#f22', emergency: '#f2f' }
+		}
+	};
+
+	const canvas = document.getElementById('plot');
+	const ctx = canvas.getContext('2d');
+	const rangeSelect = document.getElementById('range');
+	const vectorSelect = document.getElementById('vectorMinutes');
+	const relativeCheckbox = document.getElementById('relative');
+	const paletteButton = document.getElementById('palette');
+	const acknowledgeButton = document.getElementById('acknowledge');
+	const connectionStatus = document.getElementById('connection');
+	const targetTable = document.getElementById('targets');
+
+	let data = null;
+	let night = true;
+
+	// ========================================================================
+	// FORMATTING
+	// ========================================================================
+
+	function formatDistance(meters) {
+		if (meters === null || meters === undefined || !isFinite(meters)) return '-';
+		return meters < 1000 ? `${Math.round(meters)} m` : `${(meters / 1852).toFixed(2)} nm`;
+	}
+
+	function formatTime(seconds) {
+		if (seconds === null || seconds === undefined || !isFinite(seconds)) return '-';
+		const s = Math.max(0, Math.round(seconds));
+		return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+	}
+
+	function formatBearing(degrees) {
+		return degrees === null || degrees === undefined ? '-' : `${Math.round(degrees).toString().padStart(3, '0')}°`;
+	}
+
+	// ========================================================================
+	// GEOMETRY (meters east/north of own ship)
+	// ========================================================================
+
+	function polarToXY(range, bearingDeg) {
+		const b = bearingDeg * Math.PI / 180;
+		return { x: range * Math.sin(b), y: range * Math.cos(b) };
+	}
+
+	function velocity(courseDeg, speed) {
+		if (courseDeg === null || courseDeg === undefined || speed === null || speed === undefined) {
+			return { x: 0, y: 0 };
+		}
+		return polarToXY(speed, courseDeg);
+	}
+
+	/**
+	 * Alert state ('alert', 'warn', ...) of a target's current level, or null
+	 */
+	function targetState(levelName) {
+		const level = data.alertLevels.find(l => l.name === levelName);
+		return level ? level.state : null;
+	}
+
+	// ========================================================================
+	// DRAWING
+	// ========================================================================
+
+	function resizeCanvas() {
+		const ratio = window.devicePixelRatio || 1;
+		canvas.width = canvas.clientWidth * ratio;
+		canvas.height = canvas.clientHeight * ratio;
+		ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+	}
+
+	function draw() {
+		const palette = night ? PALETTES.night : PALETTES.day;
+		const width = canvas.clientWidth;
+		const height = canvas.clientHeight;
+		const rangeMeters = Number(rangeSelect.value);
+		const scale = (Math.min(width, height) / 2 - 20) / rangeMeters;
+		const cx = width / 2;
+		const cy = height / 2;
+		const toScreen = p => ({ x: cx + p.x * scale, y: cy - p.y * scale });
+
+		ctx.fillStyle = palette.background;
+		ctx.fillRect(0, 0, width, height);
+		ctx.font = '12px sans-serif';
+
+		drawRangeRings(palette, cx, cy, rangeMeters, scale);
+
+		if (!data || !data.ownVessel) {
+			ctx.fillStyle = palette.text;
+			ctx.textAlign = 'center';
+			ctx.fillText(data ? 'Own vessel position unknown' : 'No data', cx, cy);
+			return;
+		}
+
+		const relative = relativeCheckbox.checked;
+		const vectorSeconds = Number(vectorSelect.value) * 60;
+		const own = data.ownVessel;
+		const ownVelocity = velocity(own.course, own.speed);
+
+		drawGuardZones(own, palette, cx, cy, scale, toScreen);
+
+		// Safe passing distance around own ship
+		ctx.strokeStyle = palette.safeRing;
+		ctx.setLineDash([6, 4]);
+		ctx.beginPath();
+		ctx.arc(cx, cy, data.safePassingDistanceMeters * scale, 0, 2 * Math.PI);
+		ctx.stroke();
+		ctx.setLineDash([]);
+
+		const drawnIds = new Set();
+		for (const target of Object.values(data.targets)) {
+			drawnIds.add(target.vesselId);
+			drawTarget(target, palette, toScreen, ownVelocity, vectorSeconds, relative);
+		}
+
+		// Geometric threats (no course/speed) are only known by range and bearing
+		for (const threat of Object.values(data.threats)) {
+			if (drawnIds.has(threat.vesselId)) continue;
+			const p = toScreen(polarToXY(threat.distance, threat.bearing));
+			ctx.strokeStyle = palette.states[threat.alertState] || palette.target;
+			ctx.lineWidth = 2;
+			ctx.strokeRect(p.x - 6, p.y - 6, 12, 12);
+			ctx.lineWidth = 1;
+			drawLabel(threat.name || threat.mmsi || threat.vesselId, p, palette.text);
+		}
+
+		drawOwnShip(own, palette, cx, cy, ownVelocity, vectorSeconds, scale, relative);
+	}
+
+	function drawRangeRings(palette, cx, cy, rangeMeters, scale) {
+		ctx.strokeStyle = palette.grid;
+		ctx.fillStyle = palette.grid;
+		ctx.textAlign = 'left';
+		for (const fraction of [0.25, 0.5, 0.75, 1]) {
+			const r = rangeMeters * fraction * scale;
+			ctx.beginPath();
+			ctx.arc(cx, cy, r, 0, 2 * Math.PI);
+			ctx.stroke();
+			ctx.fillText(formatDistance(rangeMeters * fraction), cx + 3, cy - r - 3);
+		}
+		ctx.beginPath();
+		ctx.moveTo(cx, cy - rangeMeters * scale);
+		ctx.lineTo(cx, cy + rangeMeters * scale);
+		ctx.moveTo(cx - rangeMeters * scale, cy);
+		ctx.lineTo(cx + rangeMeters * scale, cy);
+		ctx.stroke();
+	}
+
+	function drawGuardZones(own, palette, cx, cy, scale, toScreen) {
+		const latRad = own.position.latitude * Math.PI / 180;
+		const toRad = deg => (deg - 90) * Math.PI / 180; // canvas angles start east
+		const heading = own.heading ?? own.course;
+
+		ctx.fillStyle = palette.guardZone;
+		for (const zone of data.guardZones || []) {
+			ctx.beginPath();
+			if (zone.type === 'ring') {
+				ctx.arc(cx, cy, zone.outerRadiusMeters * scale, 0, 2 * Math.PI);
+				ctx.arc(cx, cy, zone.innerRadiusMeters * scale, 0, 2 * Math.PI, true);
+			} else if (zone.type === 'sector') {
+				if (heading === null || heading === undefined) continue;
+				const start = toRad(heading + zone.startBearing);
+				const end = toRad(heading + zone.endBearing + (zone.endBearing <= zone.startBearing ? 360 : 0));
+				ctx.arc(cx, cy, zone.outerRadiusMeters * scale, start, end);
+				ctx.arc(cx, cy, zone.innerRadiusMeters * scale, end, start, true);
+				ctx.closePath();
+			} else if (zone.type === 'polygon') {
+				zone.polygon.forEach((vertex, i) => {
+					const p = toScreen({
+						x: (vertex.longitude - own.position.longitude) * Math.PI / 180 * 6371008.8 * Math.cos(latRad),
+						y: (vertex.latitude - own.position.latitude) * Math.PI / 180 * 6371008.8
+					});
+					if (i === 0) ctx.moveTo(p.x, p.y); else ctx.lineTo(p.x, p.y);
+				});
+				ctx.closePath();
+			}
+			ctx.fill();
+		}
+	}
+
+	function drawOwnShip(own, palette, cx, cy, ownVelocity, vectorSeconds, scale, relative) {
+		const headingDeg = own.heading ?? own.course ?? 0;
+		drawShipSymbol(cx, cy, headingDeg, 10, palette.ownShip, true);
+
+		// In relative motion own ship is stationary; show its true vector only in true motion
+		if (!relative) {
+			ctx.strokeStyle = palette.ownShip;
+			ctx.lineWidth = 2;
+			ctx.beginPath();
+			ctx.moveTo(cx, cy);
+			ctx.lineTo(cx + ownVelocity.x * vectorSeconds * scale, cy - ownVelocity.y * vectorSeconds * scale);
+			ctx.stroke();
+			ctx.lineWidth = 1;
+		}
+	}
+
+	function drawTarget(target, palette, toScreen, ownVelocity, vectorSeconds, relative) {
+		const state = targetState(target.alertLevel);
+		const color = state ? palette.states[state] : palette.target;
+		const position = polarToXY(target.range, target.bearing);
+		const targetVelocity = velocity(target.targetCourse, target.targetSpeed);
+		const relVelocity = { x: targetVelocity.x - ownVelocity.x, y: targetVelocity.y - ownVelocity.y };
+		const vector = relative ? relVelocity : targetVelocity;
+		const p = toScreen(position);
+
+		// Velocity vector
+		const end = toScreen({ x: position.x + vector.x * vectorSeconds, y: position.y + vector.y * vectorSeconds });
+		ctx.strokeStyle = color;
+		ctx.lineWidth = state ? 2 : 1;
+		ctx.beginPath();
+		ctx.moveTo(p.x, p.y);
+		ctx.lineTo(end.x, end.y);
+		ctx.stroke();
+
+		// CPA point: relative track to the closest approach, or both vessels at TCPA in true motion
+		if (!target.diverging && target.tcpaSeconds !== null) {
+			const t = target.tcpaSeconds;
+			const cpaPoint = toScreen({ x: position.x + relVelocity.x * t, y: position.y + relVelocity.y * t });
+			ctx.setLineDash([2, 4]);
+			ctx.beginPath();
+			if (relative) {
+				ctx.moveTo(p.x, p.y);
+				ctx.lineTo(cpaPoint.x, cpaPoint.y);
+			} else {
+				const ownAtCpa = toScreen({ x: ownVelocity.x * t, y: ownVelocity.y * t });
+				const targetAtCpa = toScreen({ x: position.x + targetVelocity.x * t, y: position.y + targetVelocity.y * t });
+				ctx.moveTo(ownAtCpa.x, ownAtCpa.y);
+				ctx.lineTo(targetAtCpa.x, targetAtCpa.y);
+			}
+			ctx.stroke();
+			ctx.setLineDash([]);
+
+			const marker = relative ? cpaPoint : toScreen({ x: position.x + targetVelocity.x * t, y: position.y + targetVelocity.y * t });
+			ctx.beginPath();
+			ctx.moveTo(marker.x - 4, marker.y - 4);
+			ctx.lineTo(marker.x + 4, marker.y + 4);
+			ctx.moveTo(marker.x + 4, marker.y - 4);
+			ctx.lineTo(marker.x - 4, marker.y + 4);
+			ctx.stroke();
+		}
+		ctx.lineWidth = 1;
+
+		drawShipSymbol(p.x, p.y, target.targetCourse ?? 0, state ? 9 : 7, color, Boolean(state));
+		drawLabel(target.name || target.mmsi || target.vesselId, p, state ? color : palette.text);
+	}
+
+	function drawShipSymbol(x, y, headingDeg, size, color, filled) {
+		const h = headingDeg * Math.PI / 180;
+		ctx.save();
+		ctx.translate(x, y);
+		ctx.rotate(h);
+		ctx.beginPath();
+		ctx.moveTo(0, -size);
+		ctx.lineTo(size * 0.6, size * 0.7);
+		ctx.lineTo(-size * 0.6, size * 0.7);
+		ctx.closePath();
+		ctx.strokeStyle = color;
+		ctx.fillStyle = color;
+		if (filled) {
+			ctx.fill();
+		} else {
+			ctx.stroke();
+		}
+		ctx.restore();
+	}
+
+	function drawLabel(text, p, color) {
+		ctx.fillStyle = color;
+		ctx.textAlign = 'left';
+		ctx.fillText(String(text), p.x + 10, p.y + 4);
+	}
+
+	// ========================================================================
+	// TARGET LIST
+	// ========================================================================
+
+	function updateTable() {
+		const severity = { alert: 1, warn: 2, alarm: 3, emergency: 4 };
+		const rows = Object.values(data.targets)
+			.map(target => ({ target: target, state: targetState(target.alertLevel) }))
+			.sort((a, b) => ((severity[b.state] || 0) - (severity[a.state] || 0)) ||
+				((a.target.diverging ? Infinity : a.target.tcpaSeconds ?? Infinity) -
+				(b.target.diverging ? Infinity : b.target.tcpaSeconds ?? Infinity)) ||
+				(a.target.range - b.target.range));
+
+		targetTable.replaceChildren(...rows.map(({ target, state }) => {
+			const row = document.createElement('tr');
+			if (state) row.className = state;
+			const cells = [
+				target.name || target.mmsi || target.vesselId,
+				target.alertLevel === 'none' ? '' :
+					target.alertLevel + (data.threats[target.vesselId]?.acknowledged ? ' (ack)' : ''),
+				formatDistance(target.cpaDistance),
+				target.diverging ? 'div' : formatTime(target.tcpaSeconds),
+				formatDistance(target.range),
+				formatBearing(target.bearing)
+			];
+			for (const text of cells) {
+				const cell = document.createElement('td');
+				cell.textContent = text;
+				row.appendChild(cell);
+			}
+			return row;
+		}));
+	}
+
+	// ========================================================================
+	// POLLING
+	// ========================================================================
+
+	async function poll() {
+		try {
+			const response = await fetch(`${API_URL}/plot`, { credentials: 'include' });
+			if (!response.ok) {
+				throw new Error(response.status === 503 ? 'Plugin not running' : `HTTP ${response.status}`);
+			}
+			data = await response.json();
+			connectionStatus.textContent = `Updated ${new Date(data.timestamp).toLocaleTimeString()}`;
+			updateTable();
+		} catch (err) {
+			connectionStatus.textContent = err.message;
+		}
+		draw();
+	}
+
+	acknowledgeButton.addEventListener('click', async () => {
+		try {
+			const response = await fetch(`${API_URL}/threats/acknowledge`, { method: 'POST', credentials: 'include' });
+			if (!response.ok) throw new Error(`Acknowledge failed: HTTP ${response.status}`);
+		} catch (err) {
+			connectionStatus.textContent = err.message;
+		}
+		poll();
+	});
+	paletteButton.addEventListener('click', () => {
+		night = !night;
+		document.body.classList.toggle('night', night);
+		paletteButton.textContent = night ? 'Day' : 'Night';
+		draw();
+	});
+	for (const control of [rangeSelect, vectorSelect, relativeCheckbox]) {
+		control.addEventListener('change', draw);
+	}
+	window.addEventListener('resize', () => {
+		resizeCanvas();
+		draw();
+	});
+
+	resizeCanvas();
+	poll();
+	setInterval(poll, POLL_INTERVAL_MS);
+})();
@@ -0,0 +1,783 @@
+#!/usr/bin/env node
+/*
+ * Offline replay of recorded traffic through the CPA/TCPA detector
+ *
+ * Feeds a recorded log through the plugin with a simulated clock and reports
+ * the alarms that would have fired, their timing and the closest approach
+ * actually reached, for one or more configurations side by side.
+ *
+ * Supported log lines (formats may be mixed):
+ * - SignalK delta, one JSON object per line
+ * - SignalK server data log: <epoch ms>;<provider>;<delta or NMEA sentence>
+ * - NMEA 0183: !AIVDM/!AIVDO, $--RMC and $--HDT (own vessel), with an optional
+ *   tag block carrying the time (\c:<epoch seconds>*hh\)
+ *
+ * Usage: node replay.js <log> [--config <file|json>]... [--self <mmsi>] [--json] [--verbose]
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const createPlugin = require('./index.js');
+
+const { GEO, calculateDistance } = createPlugin;
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const REPLAY = {
+	SELF_ID: 'urn:mrn:signalk:uuid:replay-self', // Own vessel ID unless --self is given
+	MAX_POSITION_SKEW_MS: 30000,          // Own and target fixes compared for the closest range
+	DEFAULT_SAFE_PASSING_METERS: 500      // Plugin default of safePassingDistanceMeters
+};
+
+// AIS navigational status (ITU-R M.1371) as SignalK navigation.state
+const NAVIGATION_STATES = [
+	'motoring', 'anchored', 'not under command', 'restricted manouverability',
+	'constrained by draft', 'moored', 'aground', 'fishing', 'sailing',
+	'hazardous material high speed', 'hazardous material wing in ground',
+	'power-driven vessel towing astern', 'power-driven vessel pushing ahead or towing alongside',
+	'reserved', 'ais-sart', 'default'
+];
+
+const DATA_LOG_LINE = /^(\d{10,13});([^;]*);(.*)$/;
+const TAG_BLOCK = /^\\([^\\]*)\\(.*)$/;
+
+// ============================================================================
+// SIMULATED CLOCK
+// ============================================================================
+
+/**
+ * Clock replacing Date.now and the global timers while a replay runs,
+ * so sweeps and deferred re-evaluations follow log time
+ */
+function createSimulatedClock() {
+	const timers = new Map();
+	const originals = {};
+	let now = 0;
+	let nextId = 1;
+
+	function schedule(callback, delay, repeat, args) {
+		const id = nextId++;
+		const interval = Math.max(1, Number(delay) || 0);
+		timers.set(id, { due: now + interval, interval: repeat ? interval : null, callback, args });
+		return id;
+	}
+
+	function install(startTime) {
+		now = startTime;
+		originals.now = Date.now;
+		originals.setTimeout = global.setTimeout;
+		originals.setInterval = global.setInterval;
+		originals.clearTimeout = global.clearTimeout;
+		originals.clearInterval = global.clearInterval;
+
+		Date.now = () => now;
+		global.setTimeout = (callback, delay, ...args) => schedule(callback, delay, false, args);
+		global.setInterval = (callback, delay, ...args) => schedule(callback, delay, true, args);
+		global.clearTimeout = id => timers.delete(id);
+		global.clearInterval = id => timers.delete(id);
+	}
+
+	function uninstall() {
+		if (!originals.now) return;
+		Date.now = originals.now;
+		global.setTimeout = originals.setTimeout;
+		global.setInterval = originals.setInterval;
+		global.clearTimeout = originals.clearTimeout;
+		global.clearInterval = originals.clearInterval;
+		timers.clear();
+	}
+
+	/**
+	 * Move the clock forward, running due timers in order (never backwards)
+	 */
+	function advanceTo(time) {
+		for (;;) {
+			let nextTimerId = null;
+			for (const [id, timer] of timers) {
+				if (timer.due <= time && (nextTimerId === null || timer.due < timers.get(nextTimerId).due)) {
+					nextTimerId = id;
+				}
+			}
+			if (nextTimerId === null) break;
+
+			const timer = timers.get(nextTimerId);
+			now = Math.max(now, timer.due);
+			if (timer.interval) {
+				timer.due += timer.interval;
+			} else {
+				timers.delete(nextTimerId);
+			}
+			timer.callback(...timer.args);
+		}
+		now = Math.max(now, time);
+	}
+
+	return { install, uninstall, advanceTo, now: () => now };
+}
+
+// ============================================================================
+// NMEA 0183 AND AIS DECODING
+// ============================================================================
+
+/**
+ * Whether an NMEA sentence's checksum matches (sentences without one pass)
+ */
+function validNmeaChecksum(sentence) {
+	const star = sentence.lastIndexOf('*');
+	if (star < 0) return true;
+	let checksum = 0;
+	for (let i = 1; i < star; i++) {
+		checksum ^= sentence.charCodeAt(i);
+	}
+	return checksum === parseInt(sentence.slice(star + 1, star + 3), 16);
+}
+
+/**
+ * Decode an AIS payload (position reports 1-3, 18, 19 and static data 5, 24)
+ * Returns raw message fields, or null for other message types
+ */
+function decodeAisPayload(payload) {
+	const bits = [];
+	for (const char of payload) {
+		let value = char.charCodeAt(0) - 48;
+		if (value > 40) value -= 8;
+		for (let i = 5; i >= 0; i--) {
+			bits.push((value >> i) & 1);
+		}
+	}
+
+	const uint = (start, length) => {
+		let value = 0;
+		for (let i = start; i < start + length; i++) {
+			value = value * 2 + (bits[i] || 0);
+		}
+		return value;
+	};
+	const int = (start, length) => {
+		const value = uint(start, length);
+		return value >= 2 ** (length - 1) ? value - 2 ** length : value;
+	};
+	const text = (start, length) => {
+		let result = '';
+		for (let i = start; i + 6 <= start + length; i += 6) {
+			const code = uint(i, 6);
+			result += String.fromCharCode(code < 32 ? code + 64 : code);
+		}
+		return result.replace(/@.*$/, '').trim();
+	};
+	const dimensions = start => [uint(start, 9), uint(start + 9, 9), uint(start + 18, 6), uint(start + 24, 6)];
+
+	const type = uint(0, 6);
+	const message = { type: type, mmsi: String(uint(8, 30)).padStart(9, '0') };
+
+	if (type >= 1 && type <= 3) {
+		return {
+			...message,
+			aisClass: 'A',
+			navStatus: uint(38, 4),
+			rot: int(42, 8),
+			sog: uint(50, 10),
+			lon: int(61, 28),
+			lat: int(89, 27),
+			cog: uint(116, 12),
+			heading: uint(128, 9)
+		};
+	}
+	if (type === 18 || type === 19) {
+		return {
+			...message,
+			aisClass: 'B',
+			sog: uint(46, 10),
+			lon: int(57, 28),
+			lat: int(85, 27),
+			cog: uint(112, 12),
+			heading: uint(124, 9),
+			name: type === 19 ? text(143, 120) : undefined,
+			dimensions: type === 19 ? dimensions(271) : undefined
+		};
+	}
+	if (type === 5) {
+		return { ...message, aisClass: 'A', name: text(112, 120), dimensions: dimensions(240) };
+	}
+	if (type === 24) {
+		return uint(38, 2) === 0
+			? { ...message, aisClass: 'B', name: text(40, 120) }
+			: { ...message, aisClass: 'B', dimensions: dimensions(132) };
+	}
+	return null;
+}
+
+/**
+ * SignalK delta values of a decoded AIS message (SI units, "not available" omitted)
+ */
+function aisMessageValues(message) {
+	const values = [
+		{ path: '', value: { mmsi: message.mmsi } },
+		{ path: 'sensors.ais.class', value: message.aisClass }
+	];
+
+	if (message.lat !== undefined && Math.abs(message.lat) <= 90 * 600000 && Math.abs(message.lon) <= 180 * 600000) {
+		values.push({ path: 'navigation.position', value: { latitude: message.lat / 600000, longitude: message.lon / 600000 } });
+	}
+	if (message.sog !== undefined && message.sog !== 1023) {
+		values.push({ path: 'navigation.speedOverGround', value: message.sog / 10 * GEO.KNOTS_TO_MPS });
+	}
+	if (message.cog !== undefined && message.cog < 3600) {
+		values.push({ path: 'navigation.courseOverGroundTrue', value: message.cog / 10 * GEO.ANGLE_TO_RAD });
+	}
+	if (message.heading !== undefined && message.heading < 360) {
+		values.push({ path: 'navigation.headingTrue', value: message.heading * GEO.ANGLE_TO_RAD });
+	}
+	// ROT_AIS = 4.733 * sqrt(degrees per minute); +-127 means turning without a rate
+	if (message.rot !== undefined && Math.abs(message.rot) <= 126) {
+		const degreesPerMinute = Math.sign(message.rot) * (message.rot / 4.733) ** 2;
+		values.push({ path: 'navigation.rateOfTurn', value: degreesPerMinute * GEO.ANGLE_TO_RAD / 60 });
+	}
+	if (message.navStatus !== undefined) {
+		values.push({ path: 'navigation.state', value: NAVIGATION_STATES[message.navStatus] });
+	}
+	if (message.name) {
+		values.push({ path: '', value: { name: message.name } });
+	}
+	if (message.dimensions) {
+		const [toBow, toStern, toPort, toStarboard] = message.dimensions;
+		if (toBow + toStern > 0) {
+			values.push({ path: 'design.length', value: { overall: toBow + toStern } });
+			values.push({ path: 'sensors.ais.fromBow', value: toBow });
+		}
+		if (toPort + toStarboard > 0) {
+			values.push({ path: 'design.beam', value: toPort + toStarboard });
+			values.push({ path: 'sensors.ais.fromCenter', value: (toPort - toStarboard) / 2 });
+		}
+	}
+	return values;
+}
+
+/**
+ * Degrees from an NMEA ddmm.mmmm / dddmm.mmmm field and its hemisphere
+ */
+function nmeaCoordinate(field, hemisphere) {
+	const value = parseFloat(field);
+	if (isNaN(value)) return null;
+	const degrees = Math.floor(value / 100) + (value % 100) / 60;
+	return hemisphere === 'S' || hemisphere === 'W' ? -degrees : degrees;
+}
+
+// ============================================================================
+// LOG PARSING
+// ============================================================================
+
+/**
+ * Line parser for mixed delta, data log and NMEA 0183 logs
+ * Keeps multi-sentence AIS fragments and the last known time between lines.
+ */
+function createLogParser() {
+	const fragments = {};
+	let lastTime = null;
+
+	function delta(context, time, values) {
+		return {
+			context: context,
+			updates: [{ timestamp: new Date(time).toISOString(), values: values }]
+		};
+	}
+
+	/**
+	 * Deltas of one NMEA sentence; RMC also sets the time
+	 */
+	function parseNmea(sentence, time) {
+		if (!validNmeaChecksum(sentence)) return { time, deltas: [] };
+		const fields = sentence.replace(/\*[0-9A-Fa-f]{2}$/, '').split(',');
+		const type = fields[0].slice(3);
+
+		if (type === 'VDM' || type === 'VDO') {
+			const [, count, number, sequenceId, , payload] = fields;
+			const key = `${fields[0]}:${sequenceId}`;
+			if (Number(number) === 1) fragments[key] = '';
+			fragments[key] = (fragments[key] ?? '') + payload;
+			if (Number(number) < Number(count)) return { time, deltas: [] };
+
+			const message = decodeAisPayload(fragments[key]);
+			delete fragments[key];
+			if (!message || time === null) return { time, deltas: [] };
+			const context = type === 'VDO' ? 'vessels.self' : `vessels.urn:mrn:imo:mmsi:${message.mmsi}`;
+			return { time, deltas: [delta(context, time, aisMessageValues(message))] };
+		}
+
+		if (type === 'RMC') {
+			const [, clock, status, lat, latHemisphere, lon, lonHemisphere, sog, cog, date] = fields;
+			if (clock && date && date.length === 6) {
+				const year = Number(date.slice(4, 6));
+				time = Date.UTC(year < 80 ? 2000 + year : 1900 + year, Number(date.slice(2, 4)) - 1, Number(date.slice(0, 2)),
+					Number(clock.slice(0, 2)), Number(clock.slice(2, 4)), 0) + parseFloat(clock.slice(4)) * 1000;
+			}
+			if (status !== 'A' || time === null) return { time, deltas: [] };
+
+			const values = [];
+			const latitude = nmeaCoordinate(lat, latHemisphere);
+			const longitude = nmeaCoordinate(lon, lonHemisphere);
+			if (latitude !== null && longitude !== null) {
+				values.push({ path: 'navigation.position', value: { latitude, longitude } });
+			}
+			if (sog !== '' && !isNaN(parseFloat(sog))) {
+				values.push({ path: 'navigation.speedOverGround', value: parseFloat(sog) * GEO.KNOTS_TO_MPS });
+			}
+			if (cog !== '' && !isNaN(parseFloat(cog))) {
+				values.push({ path: 'navigation.courseOverGroundTrue', value: parseFloat(cog) * GEO.ANGLE_TO_RAD });
+			}
+			return { time, deltas: values.length > 0 ? [delta('vessels.self', time, values)] : [] };
+		}
+
+		if (type === 'HDT' && fields[1] !== '' && time !== null) {
+			return { time, deltas: [delta('vessels.self', time, [
+				{ path: 'navigation.headingTrue', value: parseFloat(fields[1]) * GEO.ANGLE_TO_RAD }
+			])] };
+		}
+
+		return { time, deltas: [] };
+	}
+
+	/**
+	 * Deltas of one log line with the time they happened (null while unknown)
+	 */
+	function parseLine(line) {
+		let time = lastTime;
+		let data = line.trim();
+
+		const logged = DATA_LOG_LINE.exec(data);
+		if (logged) {
+			time = logged[1].length === 13 ? Number(logged[1]) : Number(logged[1]) * 1000;
+			data = logged[3].trim();
+		}
+
+		const tagged = TAG_BLOCK.exec(data);
+		if (tagged) {
+			const tagTime = tagged[1].split(/[,*]/).find(tag => tag.startsWith('c:'));
+			if (tagTime) {
+				const value = Number(tagTime.slice(2));
+				time = value > 1e12 ? value : value * 1000;
+			}
+			data = tagged[2];
+		}
+
+		let result = { time, deltas: [] };
+		if (data.startsWith('{')) {
+			try {
+				const parsed = JSON.parse(data);
+				if (Array.isArray(parsed.updates)) {
+					const updateTime = Date.parse(parsed.updates[0]?.timestamp);
+					result = { time: isNaN(updateTime) ? time : updateTime, deltas: [parsed] };
+				}
+			} catch (_) {
+				// Not a delta
+			}
+		} else if (data.startsWith('!') || data.startsWith('$')) {
+			result = parseNmea(data, time);
+		}
+
+		if (result.time !== null) {
+			lastTime = result.time;
+		}
+		return result;
+	}
+
+	return { parseLine };
+}
+
+// ============================================================================
+// REPLAY
+// ============================================================================
+
+/**
+ * Minimal SignalK app for the plugin: data tree, subscriptions and
+ * captured per-target notifications
+ */
+function createReplayApp(selfId, dataDir, verbose) {
+	const tree = {};
+	const subscriptions = [];
+	const notifications = [];
+	const notifiedStates = {};
+	let pluginError = null;
+
+	const selfContext = `vessels.${selfId}`;
+	const normalizeContext = context => !context || context === 'vessels.self' ? selfContext : context;
+
+	const app = {
+		selfId: selfId,
+		debug: (...args) => { if (verbose) console.error(...args); },
+		error: message => console.error(`[error] ${message}`),
+		setPluginError: message => { pluginError = message; },
+		setPluginStatus: () => {},
+		getDataDirPath: () => dataDir,
+		getPath: requested => tree[requested.startsWith('vessels.self.')
+			? `${selfContext}.${requested.slice('vessels.self.'.length)}`
+			: requested],
+		handleMessage: (id, delta) => {
+			for (const update of delta.updates || []) {
+				for (const { path: valuePath, value } of update.values || []) {
+					if (!valuePath.startsWith('notifications.navigation.closestApproach.') || !value) continue;
+					const vesselId = valuePath.slice('notifications.navigation.closestApproach.'.length);
+					const level = value.threat?.alertLevel ?? 'none';
+					if (notifiedStates[vesselId] === level) continue;
+					notifiedStates[vesselId] = level;
+					notifications.push({
+						time: Date.now(),
+						vesselId: vesselId,
+						alertLevel: level,
+						state: value.state,
+						cpaDistance: value.threat?.cpaDistance,
+						tcpaMinutes: value.threat?.tcpaMinutes,
+						message: value.message
+					});
+				}
+			}
+		},
+		subscriptionmanager: {
+			subscribe: (subscription, unsubscribes, onError, callback) => {
+				const entry = { subscription, callback };
+				subscriptions.push(entry);
+				unsubscribes.push(() => subscriptions.splice(subscriptions.indexOf(entry), 1));
+			}
+		}
+	};
+
+	/**
+	 * Store a delta in the data tree and deliver it to matching subscriptions
+	 */
+	function applyDelta(delta) {
+		const context = normalizeContext(delta.context);
+		const paths = [];
+		for (const update of delta.updates || []) {
+			const timestamp = update.timestamp || new Date(Date.now()).toISOString();
+			for (const { path: valuePath, value } of update.values || []) {
+				if (valuePath === '' && value && typeof value === 'object') {
+					for (const [key, member] of Object.entries(value)) {
+						tree[`${context}.${key}`] = { value: member, timestamp };
+					}
+				} else {
+					tree[`${context}.${valuePath}`] = { value, timestamp };
+					paths.push(valuePath);
+				}
+			}
+		}
+
+		const delivered = { ...delta, context: context };
+		for (const { subscription, callback } of [...subscriptions]) {
+			const contextMatches = subscription.context === 'vessels.*' ||
+				normalizeContext(subscription.context) === context;
+			if (contextMatches && subscription.subscribe.some(entry => paths.includes(entry.path))) {
+				callback(delivered);
+			}
+		}
+		return { context, paths };
+	}
+
+	return {
+		app,
+		applyDelta,
+		notifications,
+		selfContext,
+		getPluginError: () => pluginError,
+		getValue: key => tree[key]?.value
+	};
+}
+
+/**
+ * Finished encounters written by the plugin's encounter log
+ */
+function readEncounters(dataDir) {
+	return fs.readdirSync(dataDir)
+		.filter(name => name.endsWith('.jsonl'))
+		.sort()
+		.flatMap(name => fs.readFileSync(path.join(dataDir, name), 'utf8').split('\n'))
+		.filter(line => line.trim())
+		.map(line => JSON.parse(line));
+}
+
+/**
+ * Replay a log through the plugin with one configuration
+ * Returns the log time span, per-target alert transitions, the encounters
+ * and the closest range each target actually reached.
+ */
+async function replayLog(logFile, pluginOptions, { selfMmsi = null, verbose = false } = {}) {
+	const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cpa-replay-'));
+	const selfId = selfMmsi ? `urn:mrn:imo:mmsi:${selfMmsi}` : REPLAY.SELF_ID;
+	const replayApp = createReplayApp(selfId, dataDir, verbose);
+	const clock = createSimulatedClock();
+	const parser = createLogParser();
+	const plugin = createPlugin(replayApp.app);
+
+	const positions = {};
+	const closestApproaches = {};
+	let startTime = null;
+	let endTime = null;
+	let skippedLines = 0;
+
+	// Closest range between own and target fixes taken close together in time
+	const recordRange = vesselContext => {
+		const own = positions[replayApp.selfContext];
+		const target = positions[vesselContext];
+		if (!own || !target || Math.abs(own.time - target.time) > REPLAY.MAX_POSITION_SKEW_MS) return;
+
+		const vesselId = vesselContext.slice('vessels.'.length);
+		const range = calculateDistance(own.position, target.position);
+		if (range === null) return;
+		if (!closestApproaches[vesselId] || range < closestApproaches[vesselId].distance) {
+			closestApproaches[vesselId] = {
+				distance: range,
+				time: Math.max(own.time, target.time),
+				name: replayApp.getValue(`${vesselContext}.name`) ?? null,
+				mmsi: replayApp.getValue(`${vesselContext}.mmsi`) ?? null
+			};
+		}
+	};
+
+	try {
+		const lines = readline.createInterface({ input: fs.createReadStream(logFile), crlfDelay: Infinity });
+		for await (const line of lines) {
+			const { time, deltas } = parser.parseLine(line);
+			if (deltas.length === 0) continue;
+			if (time === null) {
+				skippedLines++;
+				continue;
+			}
+
+			if (startTime === null) {
+				clock.install(time);
+				plugin.start({ ...pluginOptions, encounterLog: { ...pluginOptions.encounterLog, enabled: true } });
+				if (replayApp.getPluginError()) {
+					throw new Error(replayApp.getPluginError());
+				}
+				startTime = time;
+			}
+			clock.advanceTo(time);
+			endTime = Math.max(endTime ?? time, time);
+
+			for (const delta of deltas) {
+				const { context, paths } = replayApp.applyDelta(delta);
+				if (!paths.includes('navigation.position')) continue;
+				positions[context] = { position: replayApp.getValue(`${context}.navigation.position`), time: clock.now() };
+				if (context === replayApp.selfContext) {
+					Object.keys(positions).filter(other => other !== context).forEach(recordRange);
+				} else {
+					recordRange(context);
+				}
+			}
+		}
+
+		if (startTime !== null) {
+			// Let the encounter log finish writing before it is read back
+			await plugin.stop();
+		}
+	} finally {
+		clock.uninstall();
+	}
+
+	const encounters = readEncounters(dataDir);
+	fs.rmSync(dataDir, { recursive: true, force: true });
+
+	return {
+		startTime,
+		endTime,
+		skippedLines,
+		notifications: replayApp.notifications,
+		encounters,
+		closestApproaches
+	};
+}
+
+// ============================================================================
+// EVALUATION AND REPORT
+// ============================================================================
+
+/**
+ * Per-configuration figures for comparing runs on the same log
+ * An alarm is nuisance when the target never came inside the safe passing
+ * distance; a close pass is missed when it did without reaching alarm.
+ */
+function summarizeReplay(result, safePassingDistanceMeters) {
+	const alarmed = result.encounters.filter(encounter => encounter.alarm);
+	const alarmedVessels = new Set(alarmed.map(encounter => encounter.vesselId));
+	const leadMinutes = alarmed
+		.filter(encounter => encounter.minObservedRange)
+		.map(encounter => (Date.parse(encounter.minObservedRange.time) - Date.parse(encounter.alarm.time)) / 60000)
+		.sort((a, b) => a - b);
+
+	return {
+		encounters: result.encounters.length,
+		alerts: result.notifications.filter(notification => notification.alertLevel !== 'none').length,
+		alarms: alarmed.length,
+		nuisanceAlarms: alarmed.filter(encounter =>
+			(encounter.minObservedRange?.distance ?? Infinity) > safePassingDistanceMeters).length,
+		missedClosePasses: Object.entries(result.closestApproaches).filter(([vesselId, closest]) =>
+			closest.distance <= safePassingDistanceMeters && !alarmedVessels.has(vesselId)).length,
+		medianAlarmLeadMinutes: leadMinutes.length > 0 ? leadMinutes[Math.floor(leadMinutes.length / 2)] : null
+	};
+}
+
+function formatTime(time) {
+	return time != null ? new Date(time).toISOString().replace('T', ' ').slice(0, 19) : '-';
+}
+
+function formatDistance(meters) {
+	if (meters === undefined || meters === null) return '-';
+	if (meters < 1000) return `${meters.toFixed(0)}m`;
+	return `${(meters / GEO.NM_TO_METERS).toFixed(2)}nm`;
+}
+
+function formatMinutes(minutes) {
+	return minutes !== undefined && minutes !== null && isFinite(minutes) ? `${minutes.toFixed(1)}min` : '-';
+}
+
+/**
+ * Text report: summary side by side, then every target that alerted or
+ * passed inside the safe distance with its alarm timing per configuration
+ */
+function formatReport(logFile, runs) {
+	const lines = [];
+	const first = runs[0].result;
+	lines.push(`Log: ${logFile}`);
+	lines.push(`Time: ${formatTime(first.startTime)} - ${formatTime(first.endTime)}` +
+		(first.skippedLines > 0 ? ` (${first.skippedLines} lines before the first timestamp skipped)` : ''));
+	lines.push('');
+
+	const columns = runs.map(run => run.label);
+	const row = (label, cells) => label.padEnd(30) + cells.map(cell => String(cell).padEnd(18)).join('');
+	lines.push(row('', columns));
+	const metrics = [
+		['Encounters', 'encounters'],
+		['Alert level changes', 'alerts'],
+		['Alarms', 'alarms'],
+		['Nuisance alarms', 'nuisanceAlarms'],
+		['Missed close passes', 'missedClosePasses']
+	];
+	for (const [label, key] of metrics) {
+		lines.push(row(label, runs.map(run => run.summary[key])));
+	}
+	lines.push(row('Median alarm lead time', runs.map(run => formatMinutes(run.summary.medianAlarmLeadMinutes))));
+
+	const vesselIds = new Set(runs.flatMap(run => [
+		...run.result.encounters.map(encounter => encounter.vesselId),
+		...Object.entries(run.result.closestApproaches)
+			.filter(([, closest]) => closest.distance <= run.safePassingDistanceMeters)
+			.map(([vesselId]) => vesselId)
+	]));
+
+	for (const vesselId of vesselIds) {
+		const closest = first.closestApproaches[vesselId];
+		lines.push('');
+		lines.push(`${closest?.name || vesselId}${closest?.mmsi ? ` (${closest.mmsi})` : ''}: ` +
+			`closest ${formatDistance(closest?.distance)} at ${formatTime(closest?.time)}`);
+		for (const run of runs) {
+			const encounters = run.result.encounters.filter(encounter => encounter.vesselId === vesselId);
+			if (encounters.length === 0) {
+				lines.push(`  ${run.label}: no alert`);
+			}
+			for (const encounter of encounters) {
+				const snapshot = event => `${event.alertLevel} at ${formatTime(Date.parse(event.time))} ` +
+					`(CPA ${formatDistance(event.cpaDistance)}, TCPA ${formatMinutes(event.tcpaMinutes)})`;
+				const events = [snapshot(encounter.firstDetection)];
+				if (!encounter.alarm) {
+					events.push('no alarm');
+				} else if (encounter.alarm.time !== encounter.firstDetection.time) {
+					events.push(snapshot(encounter.alarm));
+				}
+				lines.push(`  ${run.label}: ${events.join(', ')}, ` +
+					`min range ${formatDistance(encounter.minObservedRange?.distance)}, ` +
+					`${formatMinutes(encounter.durationSeconds / 60)}`);
+			}
+		}
+	}
+	return lines.join('\n');
+}
+
+// ============================================================================
+// COMMAND LINE
+// ============================================================================
+
+/**
+ * Plugin options from a JSON file (plain options or a SignalK plugin
+ * configuration file with a "configuration" member) or an inline JSON string
+ */
+function loadConfig(source) {
+	const text = source.trim().startsWith('{') ? source : fs.readFileSync(source, 'utf8');
+	const parsed = JSON.parse(text);
+	return parsed.configuration && typeof parsed.configuration === 'object' ? parsed.configuration : parsed;
+}
+
+function parseArguments(argv) {
+	const args = { logFile: null, configs: [], selfMmsi: null, json: false, verbose: false };
+	for (let i = 0; i < argv.length; i++) {
+		const arg = argv[i];
+		if (arg === '--config') {
+			args.configs.push(argv[++i]);
+		} else if (arg === '--self') {
+			args.selfMmsi = argv[++i];
+		} else if (arg === '--json') {
+			args.json = true;
+		} else if (arg === '--verbose') {
+			args.verbose = true;
+		} else if (!arg.startsWith('--') && !args.logFile) {
+			args.logFile = arg;
+		} else {
+			throw new Error(`Unknown argument ${arg}`);
+		}
+	}
+	if (!args.logFile) {
+		throw new Error('No log file given');
+	}
+	return args;
+}
+
+async function main(argv) {
+	let args;
+	try {
+		args = parseArguments(argv);
+	} catch (err) {
+		console.error(err.message);
+		console.error('Usage: node replay.js <log> [--config <file|json>]... [--self <mmsi>] [--json] [--verbose]');
+		process.exitCode = 1;
+		return;
+	}
+
+	const sources = args.configs.length > 0 ? args.configs : ['{}'];
+	const runs = [];
+	for (const [i, source] of sources.entries()) {
+		const options = loadConfig(source);
+		const result = await replayLog(args.logFile, options, { selfMmsi: args.selfMmsi, verbose: args.verbose });
+		const safePassingDistanceMeters = options.safePassingDistanceMeters ?? REPLAY.DEFAULT_SAFE_PASSING_METERS;
+		runs.push({
+			label: sources.length > 1 ? `config ${i + 1}` : 'result',
+			config: source,
+			safePassingDistanceMeters,
+			summary: summarizeReplay(result, safePassingDistanceMeters),
+			result
+		});
+	}
+
+	if (args.json) {
+		console.log(JSON.stringify(runs, null, 2));
+	} else {
+		console.log(formatReport(args.logFile, runs));
+	}
+}
+
+if (require.main === module) {
+	main(process.argv.slice(2)).catch(err => {
+		console.error(err.message);
+		process.exitCode = 1;
+	});
+}
+
+module.exports = {
+	createSimulatedClock,
+	decodeAisPayload,
+	aisMessageValues,
+	createLogParser,
+	replayLog,
+	summarizeReplay
+};
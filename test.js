@@ -1,133 +1,71 @@
 #!/usr/bin/env node
 /**
  * Collision Detector Test Suite
- * Tests the CPA/TCPA implementation (index.js)
+ * Tests the CPA/TCPA implementation (index.js) and the replay tool (replay.js)
  */
 
 const assert = require('assert');
-
-// Pure functions copied from index.js for isolated testing
-
-// ============================================================================
-// CONSTANTS (copied from implementation)
-// ============================================================================
-
-const CONSTANTS = {
-	EARTH_RADIUS_METERS: 6371008.8,
-	DEG_TO_RAD: Math.PI / 180,
-	RAD_TO_DEG: 180 / Math.PI,
-	MIN_RELATIVE_SPEED_MPS: 0.01,
-};
-
-// ============================================================================
-// PURE FUNCTIONS (copied from index.js for testing)
-// ============================================================================
-
-function haversineDistance(from, to) {
-	const φ1 = from.latitude * CONSTANTS.DEG_TO_RAD;
-	const φ2 = to.latitude * CONSTANTS.DEG_TO_RAD;
-	const Δφ = (to.latitude - from.latitude) * CONSTANTS.DEG_TO_RAD;
-	const Δλ = (to.longitude - from.longitude) * CONSTANTS.DEG_TO_RAD;
-
-	const a = Math.sin(Δφ/2) * Math.sin(Δφ/2) +
-			  Math.cos(φ1) * Math.cos(φ2) *
-			  Math.sin(Δλ/2) * Math.sin(Δλ/2);
-	const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-
-	return CONSTANTS.EARTH_RADIUS_METERS * c;
-}
-
-function computeForwardAzimuth(origin, destination) {
-	if (!origin || !destination ||
-		typeof origin.latitude !== 'number' || typeof origin.longitude !== 'number' ||
-		typeof destination.latitude !== 'number' || typeof destination.longitude !== 'number') {
-		return null;
-	}
-
-	const originLatRad = origin.latitude * CONSTANTS.DEG_TO_RAD;
-	const destLatRad = destination.latitude * CONSTANTS.DEG_TO_RAD;
-	const lonDiffRad = (destination.longitude - origin.longitude) * CONSTANTS.DEG_TO_RAD;
-
-	const sinLonDiff = Math.sin(lonDiffRad);
-	const cosLonDiff = Math.cos(lonDiffRad);
-	const sinOriginLat = Math.sin(originLatRad);
-	const cosOriginLat = Math.cos(originLatRad);
-	const sinDestLat = Math.sin(destLatRad);
-	const cosDestLat = Math.cos(destLatRad);
-
-	const eastComponent = sinLonDiff * cosDestLat;
-	const northComponent = cosOriginLat * sinDestLat - sinOriginLat * cosDestLat * cosLonDiff;
-
-	const azimuthRad = Math.atan2(eastComponent, northComponent);
-	return ((azimuthRad * CONSTANTS.RAD_TO_DEG) + 360) % 360;
-}
-
-function calculateCPA(vessel1, vessel2) {
-	// Validate inputs - check for null, undefined, and NaN
-	if (!vessel1.position || !vessel2.position) return null;
-	if (vessel1.course === undefined || vessel1.course === null || isNaN(vessel1.course)) return null;
-	if (vessel2.course === undefined || vessel2.course === null || isNaN(vessel2.course)) return null;
-	if (vessel1.speed === undefined || vessel1.speed === null || isNaN(vessel1.speed)) return null;
-	if (vessel2.speed === undefined || vessel2.speed === null || isNaN(vessel2.speed)) return null;
-
-	// Convert to Cartesian velocities
-	const v1x = vessel1.speed * Math.sin(vessel1.course);
-	const v1y = vessel1.speed * Math.cos(vessel1.course);
-	const v2x = vessel2.speed * Math.sin(vessel2.course);
-	const v2y = vessel2.speed * Math.cos(vessel2.course);
-
-	// Relative velocity (vessel2 in vessel1's frame)
-	const relVelX = v2x - v1x;
-	const relVelY = v2y - v1y;
-	const relSpeed = Math.sqrt(relVelX * relVelX + relVelY * relVelY);
-
-	// Relative position
-	const dLon = (vessel2.position.longitude - vessel1.position.longitude) * CONSTANTS.DEG_TO_RAD;
-	const dLat = (vessel2.position.latitude - vessel1.position.latitude) * CONSTANTS.DEG_TO_RAD;
-	const avgLat = (vessel1.position.latitude + vessel2.position.latitude) / 2 * CONSTANTS.DEG_TO_RAD;
-
-	const relPosX = dLon * Math.cos(avgLat) * CONSTANTS.EARTH_RADIUS_METERS;
-	const relPosY = dLat * CONSTANTS.EARTH_RADIUS_METERS;
-
-	// Same velocity case
-	if (relSpeed < CONSTANTS.MIN_RELATIVE_SPEED_MPS) {
-		const currentDist = Math.sqrt(relPosX * relPosX + relPosY * relPosY);
-		return {
-			cpaDistance: currentDist,
-			tcpaSeconds: Infinity,
-			diverging: false,
-			relativeSpeed: 0,
-			parallelCourse: true
-		};
-	}
-
-	// TCPA calculation
-	const tcpaSeconds = -(relPosX * relVelX + relPosY * relVelY) /
-						 (relVelX * relVelX + relVelY * relVelY);
-
-	if (tcpaSeconds < 0) {
-		return {
-			cpaDistance: Infinity,
-			tcpaSeconds: 0,
-			diverging: true,
-			relativeSpeed: relSpeed,
-			parallelCourse: false
-		};
-	}
-
-	// CPA distance
-	const cpaX = relPosX + relVelX * tcpaSeconds;
-	const cpaY = relPosY + relVelY * tcpaSeconds;
-	const cpaDistance = Math.sqrt(cpaX * cpaX + cpaY * cpaY);
-
-	return {
-		cpaDistance: cpaDistance,
-		tcpaSeconds: tcpaSeconds,
-		diverging: false,
-		relativeSpeed: relSpeed,
-		parallelCourse: false
-	};
-}
+const {
+	GEO,
+	DETECTION,
+	haversineDistance,
+	computeForwardAzimuth,
+	calculateCPA,
+	calculateCurvilinearCPA,
+	hullOutline,
+	outlineDistance,
+	calculateHullCPA,
+	calculateCollisionProbability,
+	applyProbabilityCriterion,
+	projectPosition,
+	deadReckonVessel,
+	asStationaryTarget,
+	swingCircleApproach,
+	calculateTrialCPA,
+	resolveAlertLevels,
+	scaleAlertLevels,
+	classifyAlertLevel,
+	classifyProximityLevel,
+	resolveGuardZones,
+	bearingInSector,
+	pointInChartPolygon,
+	targetInGuardZone,
+	createTargetAlarmState,
+	advanceTargetAlarm,
+	checkAcknowledgementRearm,
+	namePatternMatches,
+	resolveTargetOverrides,
+	findTargetOverride,
+	parseShipTypes,
+	resolveSafetyDomains,
+	findSafetyDomain,
+	isShapedDomain,
+	shipDomainApproach,
+	classifyColregEncounter,
+	describeColregEncounter,
+	velocityClearsTarget,
+	calculateVelocityObstacles,
+	estimateMotionFromTrack,
+	createTrackFilter,
+	updateTrackFilter,
+	trackFilterMotion,
+	encounterFileName,
+	encounterFileDay,
+	appendTrackPoint,
+	selectExpiredEncounterFiles,
+	encounterMatchesQuery,
+	nmeaChecksum,
+	formatAlrSentence,
+	formatAlfSentences,
+	formatAlcSentences,
+	parseAlertResponse,
+	createAlertNumbers,
+	N2K_MAX_TEXT_LENGTH,
+	formatN2kAlert,
+	formatN2kAlertText,
+	parseN2kAlertResponse
+} = require('./index.js');
+const { decodeAisPayload, aisMessageValues, createLogParser, createSimulatedClock } = require('./replay.js');
 
 // ============================================================================
 // TEST UTILITIES
@@ -164,6 +102,148 @@ const knots2mps = (knots) => knots * 0.5144;
 const nm2meters = (nm) => nm * 1852;
 const deg2rad = (deg) => deg * Math.PI / 180;
 
+// Stub SignalK server app driving the plugin from index.js: a data tree read through
+// getPath, published deltas captured from handleMessage and subscriptions fed by report()
+const OWN_CONTEXT = 'vessels.urn:mrn:signalk:uuid:own';
+const METERS_PER_DEGREE = GEO.MEAN_RADIUS_M * GEO.ANGLE_TO_RAD;
+
+function createStubApp() {
+	const tree = {};
+	const subscriptions = [];
+	const app = {
+		selfId: 'urn:mrn:signalk:uuid:own',
+		deltas: [],
+		errors: [],
+		debug: () => {},
+		error: message => app.errors.push(message),
+		setPluginStatus: () => {},
+		setPluginError: () => {},
+		getPath: path => tree[path.replace(/^vessels\.self\./, `${OWN_CONTEXT}.`)],
+		handleMessage: (id, delta) => app.deltas.push(delta),
+		subscriptionmanager: {
+			subscribe: (subscription, unsubscribes, onError, onDelta) => subscriptions.push({ subscription, onDelta })
+		},
+		set(context, path, value) {
+			tree[`${context}.${path}`] = { value: value, timestamp: new Date(Date.now()).toISOString() };
+		},
+		report(context, path, value) {
+			app.set(context, path, value);
+			const delta = { context: context, updates: [{ values: [{ path: path, value: value }] }] };
+			subscriptions
+				.filter(({ subscription }) => (subscription.context === 'vessels.*' ||
+					subscription.context.replace('vessels.self', OWN_CONTEXT) === context) &&
+					subscription.subscribe.some(entry => entry.path === path))
+				.forEach(({ onDelta }) => onDelta(delta));
+		},
+		// Values published on a path, oldest first
+		published(path, context = 'vessels.self') {
+			return app.deltas
+				.filter(delta => delta.context === context)
+				.flatMap(delta => delta.updates.flatMap(update => update.values))
+				.filter(value => value.path === path)
+				.map(value => value.value);
+		}
+	};
+	return app;
+}
+
+// Simulated clock while a plugin runs, so consecutive reports are seconds apart
+const realDateNow = Date.now;
+let simulatedNow = 0;
+
+function advanceClock(seconds) {
+	simulatedNow += seconds * 1000;
+}
+
+// Plugin started on a stub app with the simulated clock, without the periodic sweep
+// and with raw target COG/SOG, so a repeated report gives the same evaluation
+function startPlugin(options = {}) {
+	simulatedNow = realDateNow();
+	Date.now = () => simulatedNow;
+
+	const app = createStubApp();
+	const plugin = require('./index.js')(app);
+	plugin.start({ sweepIntervalSeconds: 0, tracking: { enabled: false }, ...options });
+	return { app, plugin };
+}
+
+function stopPlugin(plugin) {
+	plugin.stop();
+	Date.now = realDateNow;
+}
+
+// Configuration errors reported by starting the plugin with the given options
+function configurationErrors(options) {
+	const { app, plugin } = startPlugin(options);
+	stopPlugin(plugin);
+	return app.errors;
+}
+
+// Express-style router stub for plugin.registerWithRouter; returns a request function
+// calling the matching handler with a response that records its status and JSON body
+function createStubRouter(plugin) {
+	const routes = [];
+	const router = {};
+	for (const method of ['get', 'post', 'delete']) {
+		router[method] = (path, handler) => {
+			const names = [];
+			const pattern = new RegExp(`^${path.replace(/:(\w+)/g, (match, name) => {
+				names.push(name);
+				return '([^/]+)';
+			})}$`);
+			routes.push({ method: method.toUpperCase(), pattern, names, handler });
+		};
+	}
+	plugin.registerWithRouter(router);
+
+	return (method, url, { body = {}, query = {} } = {}) => {
+		for (const route of routes) {
+			const match = route.method === method && url.match(route.pattern);
+			if (!match) continue;
+
+			const params = Object.fromEntries(route.names.map((name, i) => [name, decodeURIComponent(match[i + 1])]));
+			const response = {
+				statusCode: 200,
+				body: undefined,
+				status(code) {
+					this.statusCode = code;
+					return this;
+				},
+				json(value) {
+					this.body = value;
+					return this;
+				}
+			};
+			route.handler({ params, query, body }, response);
+			return response;
+		}
+		throw new Error(`No route for ${method} ${url}`);
+	};
+}
+
+// Own vessel at 60N 24E heading north at the given speed (knots), stopped by default
+function reportOwnVessel(app, speedKnots = 0) {
+	app.set(OWN_CONTEXT, 'navigation.courseOverGroundTrue', 0);
+	app.set(OWN_CONTEXT, 'navigation.speedOverGround', knots2mps(speedKnots));
+	app.report(OWN_CONTEXT, 'navigation.position', { latitude: 60, longitude: 24 });
+}
+
+// Target report at meters north/east of own vessel, with course (degrees) and speed (knots)
+function reportTarget(app, mmsi, north, east, courseDegrees, speedKnots, extra = {}) {
+	const context = `vessels.urn:mrn:imo:mmsi:${mmsi}`;
+	app.set(context, 'mmsi', String(mmsi));
+	app.set(context, 'navigation.courseOverGroundTrue', deg2rad(courseDegrees));
+	app.set(context, 'navigation.speedOverGround', knots2mps(speedKnots));
+	for (const [path, value] of Object.entries(extra)) {
+		app.set(context, path, value);
+	}
+	app.report(context, 'navigation.position', {
+		latitude: 60 + north / METERS_PER_DEGREE,
+		longitude: 24 + east / (METERS_PER_DEGREE * Math.cos(60 * GEO.ANGLE_TO_RAD))
+	});
+	return context;
+}
+
 // ============================================================================
 // TEST SUITE
 // ============================================================================
@@ -497,6 +577,1700 @@ test('4.3 Scenario: High latitude (75°N)', () => {
 	assertApprox(cpa.cpaDistance, currentDist, 100, 'CPA distance accurate at high latitude');
 });
 
+// ----------------------------------------------------------------------------
+// 5. Per-target Notification Tests
+// ----------------------------------------------------------------------------
+
+console.log('\n--- 5. Per-target Notification Tests ---');
+
+test('5.1 Notification created, updated on change and cleared per target', () => {
+	const { app, plugin } = startPlugin();
+	const path = 'notifications.navigation.closestApproach.urn:mrn:imo:mmsi:230000001';
+	reportOwnVessel(app);
+
+	// Head-on 4000m ahead at 20 knots: CPA 0 in ~6.5 minutes
+	reportTarget(app, 230000001, 4000, 0, 180, 20);
+	const created = app.published(path);
+	assert.strictEqual(created.length, 1);
+	assert.strictEqual(created[0].state, 'alarm');
+	assert.deepStrictEqual(created[0].method, ['visual', 'sound']);
+	assert.strictEqual(created[0].threat.vesselId, 'urn:mrn:imo:mmsi:230000001');
+
+	// Same report again: nothing changed, nothing sent
+	advanceClock(10);
+	reportTarget(app, 230000001, 4000, 0, 180, 20);
+	assert.strictEqual(app.published(path).length, 1, 'Unchanged notification not resent');
+
+	// Closer: message updated, same since
+	advanceClock(10);
+	reportTarget(app, 230000001, 4000 - knots2mps(20) * 20, 0, 180, 20);
+	const updated = app.published(path);
+	assert.strictEqual(updated.length, 2);
+	assert.notStrictEqual(updated[1].message, created[0].message);
+	assert.strictEqual(updated[1].since, created[0].since);
+
+	// Turned away: diverging, cleared to normal
+	advanceClock(10);
+	reportTarget(app, 230000001, 3800, 0, 0, 20);
+	const cleared = app.published(path).pop();
+	assert.strictEqual(cleared.state, 'normal');
+	assert.strictEqual(cleared.threat, undefined);
+
+	// No further updates once cleared
+	const count = app.published(path).length;
+	advanceClock(10);
+	reportTarget(app, 230000001, 3900, 0, 0, 20);
+	assert.strictEqual(app.published(path).length, count);
+	stopPlugin(plugin);
+});
+
+test('5.2 Summary notification published when the set of threats changes', () => {
+	const { app, plugin } = startPlugin();
+	reportOwnVessel(app);
+
+	reportTarget(app, 230000001, 4000, 0, 180, 20);
+	reportTarget(app, 230000002, 3000, 100, 180, 20);
+	const summaries = app.published('notifications.danger.collision');
+	assert.strictEqual(summaries.length, 2, 'Published for each new threat');
+	assert.strictEqual(summaries[1].state, 'alarm');
+	assert.deepStrictEqual(Object.keys(summaries[1].threats).sort(),
+		['urn:mrn:imo:mmsi:230000001', 'urn:mrn:imo:mmsi:230000002']);
+
+	// Threat still approaching: same threats, summary not republished
+	advanceClock(10);
+	reportTarget(app, 230000001, 4000 - knots2mps(20) * 10, 0, 180, 20);
+	assert.strictEqual(app.published('notifications.danger.collision').length, 2);
+
+	advanceClock(10);
+	reportTarget(app, 230000001, 3900, 0, 0, 20);
+	assert.deepStrictEqual(Object.keys(app.published('notifications.danger.collision').pop().threats),
+		['urn:mrn:imo:mmsi:230000002']);
+
+	advanceClock(10);
+	reportTarget(app, 230000002, 2900, 100, 0, 20);
+	assert.strictEqual(app.published('notifications.danger.collision').pop().state, 'normal');
+	stopPlugin(plugin);
+});
+
+test('5.3 Notifications cleared when the plugin stops', () => {
+	const { app, plugin } = startPlugin({ publishSummaryNotification: false });
+	reportOwnVessel(app);
+	reportTarget(app, 230000001, 4000, 0, 180, 20);
+	stopPlugin(plugin);
+
+	assert.strictEqual(app.published('notifications.navigation.closestApproach.urn:mrn:imo:mmsi:230000001').pop().state, 'normal');
+	assert.strictEqual(app.published('notifications.danger.collision').length, 0, 'Summary disabled');
+});
+
+test('5.4 Notification and summary follow the alert level of a threat', () => {
+	const { app, plugin } = startPlugin();
+	const path = 'notifications.navigation.closestApproach.urn:mrn:imo:mmsi:230000001';
+	reportOwnVessel(app);
+
+	// Head-on 8000m ahead at 20 knots: CPA 0 in ~13 minutes
+	reportTarget(app, 230000001, 8000, 0, 180, 20);
+	const created = app.published(path);
+	assert.strictEqual(created[0].state, 'warn', 'Warning level');
+	assert.ok(created[0].message.startsWith('WARNING: '));
+	assert.deepStrictEqual(created[0].method, ['visual']);
+
+	// 400s later, within the alarm time window, same since
+	advanceClock(400);
+	reportTarget(app, 230000001, 8000 - knots2mps(20) * 400, 0, 180, 20);
+	const escalated = app.published(path).pop();
+	assert.strictEqual(escalated.state, 'alarm');
+	assert.deepStrictEqual(escalated.method, ['visual', 'sound']);
+	assert.strictEqual(escalated.since, created[0].since);
+
+	// Same single threat at a higher level: summary republished
+	assert.deepStrictEqual(app.published('notifications.danger.collision').map(summary => summary.state), ['warn', 'alarm']);
+	stopPlugin(plugin);
+});
+
+// ----------------------------------------------------------------------------
+// 6. Target closestApproach Tests
+// ----------------------------------------------------------------------------
+
+console.log('\n--- 6. Target closestApproach Tests ---');
+
+test('6.1 closestApproach published into each target, throttled', () => {
+	const { app, plugin } = startPlugin();
+	reportOwnVessel(app);
+	const threat = reportTarget(app, 230000001, 4000, 0, 180, 20);
+	const passing = reportTarget(app, 230000002, 0, 3000, 0, 5);
+
+	const [value] = app.published('navigation.closestApproach', threat);
+	assertApprox(value.distance, 0, 0.01, 'Head-on CPA');
+	assertApprox(value.timeTo, 4000 / knots2mps(20), 0.5, 'TCPA');
+
+	// Not a threat, still published: moving away from a stopped own vessel, closest now
+	const [opening] = app.published('navigation.closestApproach', passing);
+	assertApprox(opening.distance, 3000, 0.01, 'Diverging: current range');
+	assertApprox(opening.timeTo, 0, 0.001, 'Diverging: now');
+
+	// Within minPeriodSeconds of the last publish: not published again
+	advanceClock(2);
+	reportTarget(app, 230000001, 4000 - knots2mps(20) * 2, 0, 180, 20);
+	assert.strictEqual(app.published('navigation.closestApproach', threat).length, 1);
+	advanceClock(4);
+	reportTarget(app, 230000001, 4000 - knots2mps(20) * 6, 0, 180, 20);
+	assert.strictEqual(app.published('navigation.closestApproach', threat).length, 2);
+	stopPlugin(plugin);
+});
+
+test('6.2 closestApproach cleared out of range and on stop', () => {
+	const { app, plugin } = startPlugin({ rangeNauticalMiles: 2 });
+	reportOwnVessel(app);
+	const leaving = reportTarget(app, 230000001, 3000, 0, 0, 20);
+	const staying = reportTarget(app, 230000002, 2000, 0, 180, 20);
+
+	advanceClock(120);
+	reportTarget(app, 230000001, 3000 + knots2mps(20) * 120, 0, 0, 20);
+	assert.strictEqual(app.published('navigation.closestApproach', leaving).pop(), null, 'Cleared beyond range');
+	assert.notStrictEqual(app.published('navigation.closestApproach', staying).pop(), null);
+
+	stopPlugin(plugin);
+	assert.strictEqual(app.published('navigation.closestApproach', staying).pop(), null, 'Cleared on stop');
+});
+
+// ----------------------------------------------------------------------------
+// 7. Alert Level Tests
+// ----------------------------------------------------------------------------
+
+console.log('\n--- 7. Alert Level Tests ---');
+
+const DEFAULT_LEVELS = resolveAlertLevels([
+	{ name: 'alarm', state: 'alarm', method: ['visual', 'sound'] },
+	{ name: 'caution', state: 'alert', cpaMeters: 3704, tcpaMinutes: 30, method: ['visual'] },
+	{ name: 'emergency', state: 'emergency', cpaMeters: 200, tcpaMinutes: 3, method: ['visual', 'sound'] },
+	{ name: 'warning', state: 'warn', cpaMeters: 1852, tcpaMinutes: 20, method: ['visual'] }
+], 500, 10);
+
+test('7.1 Levels sorted by severity, limits inherited', () => {
+	assert.deepStrictEqual(DEFAULT_LEVELS.map(l => l.name), ['caution', 'warning', 'alarm', 'emergency']);
+	const alarm = DEFAULT_LEVELS[2];
+	assert.strictEqual(alarm.cpaMeters, 500, 'Alarm inherits safe passing distance');
+	assert.strictEqual(alarm.tcpaMinutes, 10, 'Alarm inherits time window');
+});
+
+test('7.2 Empty ladder falls back to single alarm level', () => {
+	const levels = resolveAlertLevels([], 500, 10);
+	assert.strictEqual(levels.length, 1);
+	assert.strictEqual(levels[0].state, 'alarm');
+	assert.strictEqual(levels[0].cpaMeters, 500);
+});
+
+test('7.3 Distant CPA is a quiet caution', () => {
+	const index = classifyAlertLevel({ cpaDistance: nm2meters(2), tcpaSeconds: 20 * 60, diverging: false }, DEFAULT_LEVELS);
+	assert.strictEqual(DEFAULT_LEVELS[index].name, 'caution');
+});
+
+test('7.4 Close CPA soon is an emergency', () => {
+	const index = classifyAlertLevel({ cpaDistance: 100, tcpaSeconds: 3 * 60, diverging: false }, DEFAULT_LEVELS);
+	assert.strictEqual(DEFAULT_LEVELS[index].name, 'emergency');
+});
+
+test('7.5 Close CPA far in future only reaches levels with long windows', () => {
+	const index = classifyAlertLevel({ cpaDistance: 100, tcpaSeconds: 15 * 60, diverging: false }, DEFAULT_LEVELS);
+	assert.strictEqual(DEFAULT_LEVELS[index].name, 'warning');
+});
+
+test('7.6 No level for safe or diverging targets', () => {
+	assert.strictEqual(classifyAlertLevel({ cpaDistance: nm2meters(3), tcpaSeconds: 60, diverging: false }, DEFAULT_LEVELS), -1);
+	assert.strictEqual(classifyAlertLevel({ cpaDistance: Infinity, tcpaSeconds: 0, diverging: true }, DEFAULT_LEVELS), -1);
+	assert.strictEqual(classifyAlertLevel(null, DEFAULT_LEVELS), -1);
+});
+
+test('7.7 Parallel course ignores TCPA limit', () => {
+	const index = classifyAlertLevel({ cpaDistance: 400, tcpaSeconds: Infinity, diverging: false, parallelCourse: true }, DEFAULT_LEVELS);
+	assert.strictEqual(DEFAULT_LEVELS[index].name, 'alarm');
+});
+
+test('7.8 CPA margin widens limits', () => {
+	const cpa = { cpaDistance: 600, tcpaSeconds: 5 * 60, diverging: false };
+	assert.strictEqual(DEFAULT_LEVELS[classifyAlertLevel(cpa, DEFAULT_LEVELS)].name, 'warning');
+	assert.strictEqual(DEFAULT_LEVELS[classifyAlertLevel(cpa, DEFAULT_LEVELS, 200)].name, 'alarm');
+});
+
+test('7.9 Proximity fallback uses doubled CPA limits', () => {
+	assert.strictEqual(DEFAULT_LEVELS[classifyProximityLevel(900, DEFAULT_LEVELS)].name, 'alarm');
+	assert.strictEqual(DEFAULT_LEVELS[classifyProximityLevel(1100, DEFAULT_LEVELS)].name, 'warning');
+	assert.strictEqual(classifyProximityLevel(10000, DEFAULT_LEVELS), -1);
+	assert.strictEqual(classifyProximityLevel(null, DEFAULT_LEVELS), -1);
+});
+
+test('7.10 Alert levels with an unknown or duplicate state rejected', () => {
+	const errors = configurationErrors({ alertLevels: [
+		{ name: 'warning', state: 'warn' },
+		{ name: 'alarm', state: 'alram' },
+		{ name: 'danger', state: 'warn' },
+		{ name: 'quiet', state: 'normal' },
+		{ name: 'unset' }
+	] });
+	assert.strictEqual(errors.length, 1, 'Plugin not started');
+	assert.ok(errors[0].includes('alertLevels[1] (alarm) state must be alert, warn, alarm or emergency'));
+	assert.ok(errors[0].includes('alertLevels[2] (danger) state is used by another level'));
+	assert.ok(errors[0].includes('alertLevels[3] (quiet) state must be'));
+	assert.ok(errors[0].includes('alertLevels[4] (unset) state must be'));
+	assert.ok(!errors[0].includes('alertLevels[0]'));
+});
+
+test('7.11 Alert levels without a name or with a duplicate name rejected', () => {
+	const errors = configurationErrors({ alertLevels: [
+		{ name: 'alarm', state: 'alarm' },
+		{ state: 'warn' },
+		{ name: '  ', state: 'alert' },
+		{ name: 'alarm', state: 'emergency' }
+	] });
+	assert.ok(errors[0].includes('alertLevels[1] name must be a non-empty string'));
+	assert.ok(errors[0].includes('alertLevels[2] (  ) name must be a non-empty string'));
+	assert.ok(errors[0].includes('alertLevels[3] (alarm) name is used by another level'));
+	assert.deepStrictEqual(configurationErrors({ alertLevels: { name: 'alarm', state: 'alarm' } }),
+		['Configuration errors: alertLevels must be a list of levels']);
+});
+
+test('7.12 Alert level limits must be positive numbers when given', () => {
+	const errors = configurationErrors({ alertLevels: [
+		{ name: 'warning', state: 'warn', cpaMeters: -100, tcpaMinutes: 'ten' },
+		{ name: 'alarm', state: 'alarm', cpaMeters: 0, tcpaMinutes: NaN }
+	] });
+	assert.ok(errors[0].includes('alertLevels[0] (warning) cpaMeters must be a positive number'));
+	assert.ok(errors[0].includes('alertLevels[0] (warning) tcpaMinutes must be a positive number'));
+	assert.ok(errors[0].includes('alertLevels[1] (alarm) cpaMeters must be a positive number'));
+	assert.ok(errors[0].includes('alertLevels[1] (alarm) tcpaMinutes must be a positive number'));
+
+	// Limits left empty inherit the safe passing distance and time window
+	assert.deepStrictEqual(configurationErrors({ alertLevels: [
+		{ name: 'warning', state: 'warn', cpaMeters: 1852, tcpaMinutes: 20 },
+		{ name: 'alarm', state: 'alarm', cpaMeters: null }
+	] }), []);
+});
+
+// ----------------------------------------------------------------------------
+// 8. Per-target Alarm State Machine Tests
+// ----------------------------------------------------------------------------
+
+console.log('\n--- 8. Per-target Alarm State Machine Tests ---');
+
+// Feed a series of [onLevel, holdLevel, timeSeconds] observations
+function runAlarm(observations, debounce) {
+	let alarmState = createTargetAlarmState();
+	const levels = [];
+	for (const [onLevel, holdLevel, t] of observations) {
+		alarmState = advanceTargetAlarm(alarmState, onLevel, holdLevel, debounce, t * 1000);
+		levels.push(alarmState.level);
+	}
+	return levels;
+}
+
+test('8.1 No debounce: level follows on-threshold immediately', () => {
+	const levels = runAlarm([[2, 2, 0], [3, 3, 10], [-1, -1, 20]], { minConsecutiveReports: 1, minDurationSeconds: 0 });
+	assert.deepStrictEqual(levels, [2, 3, -1]);
+});
+
+test('8.2 Single noisy report does not raise alarm', () => {
+	const levels = runAlarm([[2, 2, 0], [-1, -1, 10], [2, 2, 20], [2, 2, 30]], { minConsecutiveReports: 2, minDurationSeconds: 0 });
+	assert.deepStrictEqual(levels, [-1, -1, -1, 2]);
+});
+
+test('8.3 Single noisy report does not clear alarm', () => {
+	const levels = runAlarm([[2, 2, 0], [2, 2, 10], [-1, -1, 20], [2, 2, 30], [-1, -1, 40], [-1, -1, 50]],
+		{ minConsecutiveReports: 2, minDurationSeconds: 0 });
+	assert.deepStrictEqual(levels, [-1, 2, 2, 2, 2, -1]);
+});
+
+test('8.4 Hysteresis holds level between on and off thresholds', () => {
+	// onLevel drops to -1 but holdLevel (wider off-threshold) still covers level 2
+	const levels = runAlarm([[2, 2, 0], [-1, 2, 10], [-1, 2, 20], [-1, 1, 30]], { minConsecutiveReports: 1, minDurationSeconds: 0 });
+	assert.deepStrictEqual(levels, [2, 2, 2, 1]);
+});
+
+test('8.5 Escalation counts reports across rising levels', () => {
+	const levels = runAlarm([[1, 1, 0], [3, 3, 10]], { minConsecutiveReports: 2, minDurationSeconds: 0 });
+	assert.deepStrictEqual(levels, [-1, 3], 'Latest rising level committed after two reports');
+});
+
+test('8.6 Minimum duration delays change', () => {
+	const debounce = { minConsecutiveReports: 1, minDurationSeconds: 30 };
+	const levels = runAlarm([[2, 2, 0], [2, 2, 10], [2, 2, 29], [2, 2, 31]], debounce);
+	assert.deepStrictEqual(levels, [-1, -1, -1, 2]);
+});
+
+test('8.7 Direction change restarts debounce', () => {
+	const debounce = { minConsecutiveReports: 2, minDurationSeconds: 0 };
+	let alarmState = { ...createTargetAlarmState(), level: 2 };
+	alarmState = advanceTargetAlarm(alarmState, 3, 3, debounce, 0);
+	assert.strictEqual(alarmState.pending, 3);
+	alarmState = advanceTargetAlarm(alarmState, -1, -1, debounce, 10000);
+	assert.strictEqual(alarmState.pendingCount, 1, 'Falling report restarts count');
+	assert.strictEqual(alarmState.level, 2);
+});
+
+test('8.8 Re-evaluating the same report does not count as a new report', () => {
+	const debounce = { minConsecutiveReports: 2, minDurationSeconds: 0 };
+	let alarmState = advanceTargetAlarm(createTargetAlarmState(), 2, 2, debounce, 0);
+	alarmState = advanceTargetAlarm(alarmState, 2, 2, debounce, 2000, false);
+	alarmState = advanceTargetAlarm(alarmState, 2, 2, debounce, 4000, false);
+	assert.strictEqual(alarmState.level, -1, 'Own vessel re-evaluations alone do not commit');
+	alarmState = advanceTargetAlarm(alarmState, 2, 2, debounce, 10000, true);
+	assert.strictEqual(alarmState.level, 2, 'Second target report commits');
+});
+
+test('8.9 TCPA margin widens time limits', () => {
+	const cpa = { cpaDistance: 300, tcpaSeconds: 11 * 60, diverging: false };
+	assert.strictEqual(DEFAULT_LEVELS[classifyAlertLevel(cpa, DEFAULT_LEVELS)].name, 'warning');
+	assert.strictEqual(DEFAULT_LEVELS[classifyAlertLevel(cpa, DEFAULT_LEVELS, 0, 2)].name, 'alarm');
+});
+
+test('8.10 Debounce of one report by default, more on request', () => {
+	const path = 'notifications.navigation.closestApproach.urn:mrn:imo:mmsi:230000001';
+	const immediate = startPlugin();
+	reportOwnVessel(immediate.app);
+	reportTarget(immediate.app, 230000001, 4000, 0, 180, 20);
+	assert.strictEqual(immediate.app.published(path).length, 1, 'First report raises the alarm');
+	stopPlugin(immediate.plugin);
+
+	const { app, plugin } = startPlugin({ debounce: { minConsecutiveReports: 2 } });
+	reportOwnVessel(app);
+	reportTarget(app, 230000001, 4000, 0, 180, 20);
+	assert.strictEqual(app.published(path).length, 0, 'Waiting for a second report');
+	advanceClock(10);
+	reportTarget(app, 230000001, 4000 - knots2mps(20) * 10, 0, 180, 20);
+	assert.strictEqual(app.published(path)[0].state, 'alarm');
+	stopPlugin(plugin);
+});
+
+test('8.11 Debounce and hysteresis settings validated', () => {
+	for (const reports of [0, -1, 1.5, NaN, '2']) {
+		assert.deepStrictEqual(configurationErrors({ debounce: { minConsecutiveReports: reports } }),
+			['Configuration errors: debounce.minConsecutiveReports must be an integer of at least 1'], String(reports));
+	}
+	for (const seconds of [-1, NaN, '5']) {
+		assert.deepStrictEqual(configurationErrors({ debounce: { minDurationSeconds: seconds } }),
+			['Configuration errors: debounce.minDurationSeconds must be a non-negative number'], String(seconds));
+	}
+	assert.deepStrictEqual(configurationErrors({ alarmHysteresisMinutes: -2 }),
+		['Configuration errors: alarmHysteresisMinutes must be a non-negative number']);
+	assert.deepStrictEqual(configurationErrors({ debounce: { minConsecutiveReports: 3, minDurationSeconds: 0 } }), []);
+});
+
+test('8.12 Own vessel recheck interval validated', () => {
+	for (const seconds of [-2, NaN, '2']) {
+		assert.deepStrictEqual(configurationErrors({ ownVesselRecheckSeconds: seconds }),
+			['Configuration errors: ownVesselRecheckSeconds must be a non-negative number'], String(seconds));
+	}
+	assert.deepStrictEqual(configurationErrors({ ownVesselRecheckSeconds: 0 }), [], 'Disabled');
+});
+
+// ----------------------------------------------------------------------------
+// 9. Dead Reckoning Tests
+// ----------------------------------------------------------------------------
+
+console.log('\n--- 9. Dead Reckoning Tests ---');
+
+test('9.1 Project 1nm north and east', () => {
+	const start = { latitude: 60.0, longitude: 24.0 };
+	const north = projectPosition(start, deg2rad(0), knots2mps(10), 360);  // 10kn for 6 min
+	assertApprox(haversineDistance(start, north), 1852, 5, 'Northward distance');
+	assertApprox(computeForwardAzimuth(start, north), 0, 0.5, 'Northward bearing');
+
+	const east = projectPosition(start, deg2rad(90), knots2mps(10), 360);
+	assertApprox(haversineDistance(start, east), 1852, 5, 'Eastward distance');
+	assertApprox(computeForwardAzimuth(start, east), 90, 0.5, 'Eastward bearing');
+});
+
+test('9.2 Dead-reckon old report to now', () => {
+	const report = {
+		position: { latitude: 60.0, longitude: 24.0 },
+		course: deg2rad(180),
+		speed: knots2mps(10),
+		timestamp: 0
+	};
+	const now = deadReckonVessel(report, 180000);  // 3 minutes later
+	assertApprox(now.reportAgeSeconds, 180, 0.001, 'Report age');
+	assertApprox(haversineDistance(report.position, now.position), 926, 5, 'Projected distance');
+	assert.deepStrictEqual(now.reportedPosition, report.position, 'Reported position kept');
+});
+
+test('9.3 Dead-reckoning shortens TCPA by report age', () => {
+	const self = { position: { latitude: 60.0, longitude: 24.0 }, course: deg2rad(0), speed: knots2mps(10), timestamp: 60000 };
+	const target = { position: { latitude: 60.0 + (2/60), longitude: 24.0 }, course: deg2rad(180), speed: knots2mps(10), timestamp: 0 };
+	const stale = calculateCPA(self, target);
+	const current = calculateCPA(deadReckonVessel(self, 60000), deadReckonVessel(target, 60000));
+	assertApprox(stale.tcpaSeconds - current.tcpaSeconds, 30, 2, 'Target moved 1 minute at half the closing speed');
+});
+
+test('9.4 No projection without motion or for future timestamps', () => {
+	const anchored = { position: { latitude: 60.0, longitude: 24.0 }, course: null, speed: null, timestamp: 0 };
+	assert.deepStrictEqual(deadReckonVessel(anchored, 60000).position, anchored.position);
+	const future = { position: { latitude: 60.0, longitude: 24.0 }, course: 0, speed: 5, timestamp: 60000 };
+	const result = deadReckonVessel(future, 0);
+	assert.deepStrictEqual(result.position, future.position);
+	assert.strictEqual(result.reportAgeSeconds, 0);
+});
+
+test('9.5 Sweep interval is 0 or at least a second', () => {
+	for (const seconds of [0.001, 0.5, -1, NaN, '10']) {
+		assert.deepStrictEqual(configurationErrors({ sweepIntervalSeconds: seconds }),
+			['Configuration errors: sweepIntervalSeconds must be 0 (disabled) or at least 1'], String(seconds));
+	}
+	for (const seconds of [0, 1, 10]) {
+		assert.deepStrictEqual(configurationErrors({ sweepIntervalSeconds: seconds }), [], String(seconds));
+	}
+});
+
+// ----------------------------------------------------------------------------
+// 10. Curvilinear CPA Tests
+// ----------------------------------------------------------------------------
+
+console.log('\n--- 10. Curvilinear CPA Tests ---');
+
+// Target 1nm north, 300m east, heading south: straight-line CPA 300m
+const ownStraight = { position: { latitude: 60.0, longitude: 24.0 }, course: deg2rad(0), speed: knots2mps(2), rateOfTurn: 0 };
+const targetOffset = {
+	position: { latitude: 60.0 + (1/60), longitude: 24.0 + 300 / (GEO.MEAN_RADIUS_M * Math.cos(deg2rad(60))) * GEO.TO_DEGREES },
+	course: deg2rad(180),
+	speed: knots2mps(10)
+};
+
+test('10.1 Without rate of turn matches linear CPA', () => {
+	const linear = calculateCPA(ownStraight, { ...targetOffset, rateOfTurn: 0 });
+	const curved = calculateCurvilinearCPA(ownStraight, { ...targetOffset, rateOfTurn: 0 }, 1200);
+	assertApprox(curved.cpaDistance, linear.cpaDistance, 1, 'CPA distance');
+	assertApprox(curved.tcpaSeconds, linear.tcpaSeconds, 1, 'TCPA');
+	assert.strictEqual(curved.model, 'curvilinear');
+});
+
+test('10.2 Target turning towards own track closes CPA', () => {
+	// Heading south, turning to starboard (west) at 0.07°/s
+	const curved = calculateCurvilinearCPA(ownStraight, { ...targetOffset, rateOfTurn: deg2rad(0.07) }, 1200);
+	assert(!curved.diverging, 'Still converging');
+	assert(curved.cpaDistance < 200, `Curved CPA should be well below 300m, got ${curved.cpaDistance}`);
+});
+
+test('10.3 Target turning away opens CPA', () => {
+	// Heading south, turning to port (east) at 0.07°/s
+	const curved = calculateCurvilinearCPA(ownStraight, { ...targetOffset, rateOfTurn: deg2rad(-0.07) }, 1200);
+	assert(curved.cpaDistance > 400, `Curved CPA should exceed 300m, got ${curved.cpaDistance}`);
+});
+
+test('10.4 Diverging curved tracks', () => {
+	const behind = { ...targetOffset, position: { latitude: 60.0 - (1/60), longitude: 24.0 }, rateOfTurn: deg2rad(0.1) };
+	const curved = calculateCurvilinearCPA(ownStraight, behind, 600);
+	assert(curved.diverging, 'Vessels should be diverging');
+});
+
+test('10.5 Missing data returns null', () => {
+	assert.strictEqual(calculateCurvilinearCPA({ ...ownStraight, course: null }, targetOffset, 600), null);
+});
+
+// ----------------------------------------------------------------------------
+// 11. Hull-aware CPA Tests
+// ----------------------------------------------------------------------------
+
+console.log('\n--- 11. Hull-aware CPA Tests ---');
+
+test('11.1 Hull outline from antenna offsets', () => {
+	// 100m x 20m heading north, antenna 10m from bow, 5m to starboard
+	const outline = hullOutline(0, 0, 0, { length: 100, beam: 20, fromBow: 10, fromCenter: 5 });
+	const xs = outline.map(p => p.x);
+	const ys = outline.map(p => p.y);
+	assertApprox(Math.max(...ys), 10, 0.001, 'Bow');
+	assertApprox(Math.min(...ys), -90, 0.001, 'Stern');
+	assertApprox(Math.max(...xs), 5, 0.001, 'Starboard side');
+	assertApprox(Math.min(...xs), -15, 0.001, 'Port side');
+});
+
+test('11.2 Unknown length gives a point', () => {
+	assert.strictEqual(hullOutline(3, 4, 0, { length: null }).length, 1);
+});
+
+test('11.3 Outline distance: separated, overlapping and point', () => {
+	const a = hullOutline(0, 0, 0, { length: 100, beam: 20 });
+	const b = hullOutline(50, 0, 0, { length: 100, beam: 20 });
+	assertApprox(outlineDistance(a, b), 30, 0.001, 'Side by side');
+	const c = hullOutline(10, 0, Math.PI / 2, { length: 100, beam: 20 });
+	assert.strictEqual(outlineDistance(a, c), 0, 'Crossing hulls overlap');
+	assertApprox(outlineDistance([{ x: 0, y: 100 }], a), 50, 0.001, 'Point ahead of bow');
+});
+
+test('11.4 Long ship with stern antenna: hull CPA well below antenna CPA', () => {
+	const own = {
+		position: { latitude: 60.0, longitude: 24.0 },
+		course: deg2rad(90), speed: knots2mps(20), heading: deg2rad(90),
+		length: 12, beam: 4
+	};
+	// 300m ship ahead to port, slowly heading south across our track, antenna near the stern
+	const ship = {
+		position: {
+			latitude: 60.0 + 550 / GEO.MEAN_RADIUS_M * GEO.TO_DEGREES,
+			longitude: 24.0 + 2000 / (GEO.MEAN_RADIUS_M * Math.cos(deg2rad(60))) * GEO.TO_DEGREES
+		},
+		course: deg2rad(180), speed: knots2mps(1), heading: deg2rad(180),
+		length: 300, beam: 40, fromBow: 280, fromCenter: 0
+	};
+	const antenna = calculateCPA(own, ship);
+	const hull = calculateHullCPA(own, ship, 1800);
+	assert(hull !== null, 'Hull CPA should be calculated');
+	assert(hull.hullCpaDistance < antenna.cpaDistance - 100,
+		`Hull CPA ${hull.hullCpaDistance} should be well below antenna CPA ${antenna.cpaDistance}`);
+});
+
+test('11.5 Hull CPA not calculated without any length', () => {
+	const v1 = { position: { latitude: 60.0, longitude: 24.0 }, course: 0, speed: 5 };
+	const v2 = { position: { latitude: 60.01, longitude: 24.0 }, course: Math.PI, speed: 5 };
+	assert.strictEqual(calculateHullCPA(v1, v2, 600), null);
+});
+
+console.log('\n--- 12. Collision Probability Tests ---');
+
+// Deterministic uniform generator (mulberry32) so sampled probabilities are repeatable
+function seededRandom(seed) {
+	let a = seed;
+	return () => {
+		a = (a + 0x6D2B79F5) | 0;
+		let t = Math.imul(a ^ (a >>> 15), 1 | a);
+		t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+}
+
+const UNCERTAINTY_SIGMAS = { course: deg2rad(3), speed: knots2mps(0.3), position: 10 };
+
+function probabilityParams(overrides = {}) {
+	return {
+		safeDistanceMeters: 500,
+		horizonSeconds: 600,
+		samples: 400,
+		sigmas1: UNCERTAINTY_SIGMAS,
+		sigmas2: UNCERTAINTY_SIGMAS,
+		...overrides
+	};
+}
+
+const ownEast = { position: { latitude: 60.0, longitude: 24.0 }, course: deg2rad(90), speed: knots2mps(10) };
+
+test('12.1 Head-on collision course is near certain', () => {
+	const target = {
+		position: { latitude: 60.0, longitude: 24.0 + 2000 / (GEO.MEAN_RADIUS_M * Math.cos(deg2rad(60))) * GEO.TO_DEGREES },
+		course: deg2rad(270), speed: knots2mps(10)
+	};
+	const p = calculateCollisionProbability(ownEast, target, probabilityParams(), seededRandom(1));
+	assert(p > 0.95, `Probability should be near 1, got ${p}`);
+});
+
+test('12.2 Wide passing distance is near zero', () => {
+	const target = {
+		position: { latitude: 60.0 + 3000 / GEO.MEAN_RADIUS_M * GEO.TO_DEGREES, longitude: 24.05 },
+		course: deg2rad(270), speed: knots2mps(10)
+	};
+	const p = calculateCollisionProbability(ownEast, target, probabilityParams(), seededRandom(2));
+	assert(p < 0.05, `Probability should be near 0, got ${p}`);
+});
+
+test('12.3 Borderline CPA gives intermediate probability', () => {
+	// Crossing target passing close to the 500m limit
+	const target = {
+		position: {
+			latitude: 60.0 + 500 / GEO.MEAN_RADIUS_M * GEO.TO_DEGREES,
+			longitude: 24.0 + 3000 / (GEO.MEAN_RADIUS_M * Math.cos(deg2rad(60))) * GEO.TO_DEGREES
+		},
+		course: deg2rad(270), speed: knots2mps(10)
+	};
+	const p = calculateCollisionProbability(ownEast, target, probabilityParams(), seededRandom(3));
+	assert(p > 0.2 && p < 0.8, `Probability should be intermediate, got ${p}`);
+});
+
+test('12.4 Larger target uncertainty spreads probability', () => {
+	const target = {
+		position: {
+			latitude: 60.0 + 700 / GEO.MEAN_RADIUS_M * GEO.TO_DEGREES,
+			longitude: 24.0 + 3000 / (GEO.MEAN_RADIUS_M * Math.cos(deg2rad(60))) * GEO.TO_DEGREES
+		},
+		course: deg2rad(270), speed: knots2mps(10)
+	};
+	const classB = { course: deg2rad(6), speed: knots2mps(0.6), position: 20 };
+	const pA = calculateCollisionProbability(ownEast, target, probabilityParams(), seededRandom(4));
+	const pB = calculateCollisionProbability(ownEast, target, probabilityParams({ sigmas2: classB }), seededRandom(4));
+	assert(pB > pA, `Class B probability ${pB} should exceed Class A ${pA}`);
+});
+
+test('12.5 Same seed gives same probability', () => {
+	const target = { position: { latitude: 60.01, longitude: 24.0 }, course: deg2rad(180), speed: knots2mps(8) };
+	const p1 = calculateCollisionProbability(ownEast, target, probabilityParams(), seededRandom(5));
+	const p2 = calculateCollisionProbability(ownEast, target, probabilityParams(), seededRandom(5));
+	assert.strictEqual(p1, p2);
+});
+
+test('12.6 Missing course returns null', () => {
+	const target = { position: { latitude: 60.01, longitude: 24.0 }, course: null, speed: 5 };
+	assert.strictEqual(calculateCollisionProbability(ownEast, target, probabilityParams()), null);
+});
+
+test('12.7 Probability criterion raises, caps and leaves levels', () => {
+	// DEFAULT_LEVELS: caution(alert), warning(warn), alarm(alarm), emergency(emergency)
+	assert.strictEqual(applyProbabilityCriterion(0, 0.8, 0.5, DEFAULT_LEVELS), 2, 'Raised to alarm');
+	assert.strictEqual(applyProbabilityCriterion(3, 0.8, 0.5, DEFAULT_LEVELS), 3, 'Emergency kept');
+	assert.strictEqual(applyProbabilityCriterion(3, 0.2, 0.5, DEFAULT_LEVELS), 1, 'Capped below alarm');
+	assert.strictEqual(applyProbabilityCriterion(0, 0.2, 0.5, DEFAULT_LEVELS), 0, 'Caution untouched');
+	assert.strictEqual(applyProbabilityCriterion(2, null, 0.5, DEFAULT_LEVELS), 2, 'No probability');
+});
+
+// ----------------------------------------------------------------------------
+// 13. REST API Tests
+// ----------------------------------------------------------------------------
+
+console.log('\n--- 13. REST API Tests ---');
+
+test('13.1 Every endpoint answers 503 while the plugin is stopped', () => {
+	const app = createStubApp();
+	const plugin = require('./index.js')(app);
+	const request = createStubRouter(plugin);
+	for (const [method, url] of [
+		['GET', '/threats'], ['GET', '/targets'], ['GET', '/status'], ['GET', '/config'], ['GET', '/plot'],
+		['POST', '/threats/acknowledge'], ['POST', '/threats/silence'],
+		['POST', '/threats/urn:mrn:imo:mmsi:230000001/acknowledge'], ['POST', '/threats/urn:mrn:imo:mmsi:230000001/silence'],
+		['GET', '/overrides'], ['POST', '/overrides'], ['DELETE', '/overrides/230000001']
+	]) {
+		const response = request(method, url);
+		assert.strictEqual(response.statusCode, 503, `${method} ${url}`);
+		assert.deepStrictEqual(response.body, { error: 'Plugin not running' });
+	}
+});
+
+test('13.2 Threats, targets and status of the running detector', () => {
+	const { app, plugin } = startPlugin();
+	const request = createStubRouter(plugin);
+	reportOwnVessel(app);
+	reportTarget(app, 230000001, 4000, 0, 180, 20);
+	reportTarget(app, 230000002, 0, 6000, 0, 5);
+
+	const threats = request('GET', '/threats');
+	assert.strictEqual(threats.statusCode, 200);
+	assert.deepStrictEqual(Object.keys(threats.body), ['urn:mrn:imo:mmsi:230000001']);
+	assert.strictEqual(threats.body['urn:mrn:imo:mmsi:230000001'].alertLevel, 'alarm');
+
+	const targets = request('GET', '/targets').body;
+	assert.strictEqual(Object.keys(targets).length, 2, 'Every evaluated target');
+	assertApprox(targets['urn:mrn:imo:mmsi:230000002'].cpaDistance, 6000, 1, 'Passing clear: CPA now');
+
+	const status = request('GET', '/status').body;
+	assert.strictEqual(status.ownVesselId, 'urn:mrn:signalk:uuid:own');
+	assert.strictEqual(status.collisionDetails, undefined, 'Threat details served by /threats');
+	stopPlugin(plugin);
+
+	assert.strictEqual(request('GET', '/threats').statusCode, 503, 'Stopped again');
+});
+
+test('13.3 Effective configuration after defaults and level resolution', () => {
+	const { plugin } = startPlugin({ safePassingDistanceMeters: 300, alertLevels: [] });
+	const config = createStubRouter(plugin)('GET', '/config').body;
+	assert.strictEqual(config.safePassingDistanceMeters, 300);
+	assert.strictEqual(config.timeWindowMinutes, 10, 'Default');
+	assert.strictEqual(config.rangeMeters, nm2meters(10), 'Default range');
+	assert.deepStrictEqual(config.alertLevels.map(level => [level.name, level.cpaMeters]), [['alarm', 300]],
+		'Empty ladder resolved to a single alarm level');
+	assert.strictEqual(config.debounce.minConsecutiveReports, 1);
+	stopPlugin(plugin);
+});
+
+test('13.4 Plot endpoint serves every field the web app draws', () => {
+	const { app, plugin } = startPlugin({ safePassingDistanceMeters: 300 });
+	const request = createStubRouter(plugin);
+	reportOwnVessel(app, 5);
+	reportTarget(app, 230000001, 4000, 0, 180, 20);
+	reportTarget(app, 230000002, 0, 6000, 0, 5);
+
+	const plot = request('GET', '/plot');
+	assert.strictEqual(plot.statusCode, 200);
+	assert.deepStrictEqual(Object.keys(plot.body).sort(),
+		['alertLevels', 'guardZones', 'ownVessel', 'rangeMeters', 'safePassingDistanceMeters', 'targets', 'threats', 'timestamp']);
+	assert.ok(!isNaN(Date.parse(plot.body.timestamp)), 'ISO timestamp');
+	assert.strictEqual(plot.body.safePassingDistanceMeters, 300);
+	assert.strictEqual(plot.body.rangeMeters, nm2meters(10));
+	assert.deepStrictEqual(plot.body.guardZones, [], 'No zones configured');
+	for (const level of plot.body.alertLevels) {
+		assert.strictEqual(typeof level.name, 'string');
+		assert.strictEqual(typeof level.state, 'string');
+	}
+
+	const own = plot.body.ownVessel;
+	assert.deepStrictEqual(own.position, { latitude: 60, longitude: 24 });
+	assertApprox(own.course, 0, 0.01, 'Own course in degrees');
+	assertApprox(own.speed, knots2mps(5), 0.01, 'Own speed in m/s');
+
+	const target = plot.body.targets['urn:mrn:imo:mmsi:230000001'];
+	assert.strictEqual(target.vesselId, 'urn:mrn:imo:mmsi:230000001');
+	assertApprox(target.range, 4000, 1, 'Range');
+	assertApprox(target.bearing, 0, 0.1, 'Bearing in degrees');
+	assertApprox(target.targetCourse, 180, 0.1, 'Target course in degrees');
+	assertApprox(target.targetSpeed, knots2mps(20), 0.01, 'Target speed in m/s');
+	assert.strictEqual(target.diverging, false);
+	assert.strictEqual(typeof target.tcpaSeconds, 'number');
+	assert.strictEqual(typeof target.cpaDistance, 'number');
+	assert.ok(plot.body.alertLevels.some(level => level.name === target.alertLevel), 'Level drawn from the ladder');
+	assert.strictEqual(plot.body.targets['urn:mrn:imo:mmsi:230000002'].alertLevel, 'none');
+
+	const threat = plot.body.threats['urn:mrn:imo:mmsi:230000001'];
+	assert.strictEqual(threat.vesselId, 'urn:mrn:imo:mmsi:230000001');
+	assert.strictEqual(typeof threat.distance, 'number');
+	assert.strictEqual(typeof threat.bearing, 'number');
+	assert.strictEqual(threat.alertState, 'alarm');
+	stopPlugin(plugin);
+
+	assert.strictEqual(request('GET', '/plot').statusCode, 503, 'Stopped again');
+});
+
+test('13.5 Acknowledging an unknown vessel answers 404', () => {
+	const { app, plugin } = startPlugin();
+	const request = createStubRouter(plugin);
+	reportOwnVessel(app);
+	reportTarget(app, 230000001, 4000, 0, 180, 20);
+
+	const unknown = request('POST', '/threats/urn:mrn:imo:mmsi:230000009/acknowledge');
+	assert.strictEqual(unknown.statusCode, 404);
+	assert.strictEqual(request('POST', '/threats/urn:mrn:imo:mmsi:230000009/silence').statusCode, 404);
+
+	const known = request('POST', '/threats/urn:mrn:imo:mmsi:230000001/silence', { body: { minutes: 2 } });
+	assert.deepStrictEqual(known.body, { acknowledged: ['urn:mrn:imo:mmsi:230000001'] });
+	assert.strictEqual(request('GET', '/threats').body['urn:mrn:imo:mmsi:230000001'].acknowledged, true);
+	stopPlugin(plugin);
+});
+
+test('13.6 Acknowledge and silence resend the notifications once', () => {
+	const { app, plugin } = startPlugin();
+	const request = createStubRouter(plugin);
+	const path = 'notifications.navigation.closestApproach.urn:mrn:imo:mmsi:230000001';
+	reportOwnVessel(app);
+	reportTarget(app, 230000001, 4000, 0, 180, 20);
+	assert.strictEqual(app.published(path).length, 1);
+
+	request('POST', '/threats/urn:mrn:imo:mmsi:230000001/acknowledge');
+	const acknowledged = app.published(path);
+	assert.strictEqual(acknowledged.length, 2);
+	assert.deepStrictEqual(acknowledged[1].method, ['visual'], 'Sound dropped');
+	assert.ok(acknowledged[1].message.startsWith('ALARM (acknowledged): '));
+	assert.deepStrictEqual(app.published('notifications.danger.collision').pop().method, ['visual'],
+		'Summary republished with the reduced methods');
+
+	// Same report again: nothing changed, nothing sent
+	advanceClock(10);
+	reportTarget(app, 230000001, 4000, 0, 180, 20);
+	assert.strictEqual(app.published(path).length, 2, 'Unchanged notification not resent');
+
+	// Silence changes only silencedUntil, still sent
+	request('POST', '/threats/urn:mrn:imo:mmsi:230000001/silence', { body: { minutes: 2 } });
+	const silenced = app.published(path);
+	assert.strictEqual(silenced.length, 3);
+	assert.ok(silenced[2].threat.silencedUntil, 'Silence published');
+	stopPlugin(plugin);
+});
+
+console.log('\n--- 14. Acknowledgement Re-arm Tests ---');
+
+const ACK_MARGINS = { cpaMeters: 100, tcpaMinutes: 2 };
+const ACK_TIME = 1000000;
+
+function acknowledgement(overrides = {}) {
+	return { acknowledgedAt: ACK_TIME, silencedUntil: null, levelIndex: 2, cpaMeters: 400, tcpaMinutes: 8, ...overrides };
+}
+
+test('14.1 Target coming as predicted stays acknowledged', () => {
+	// 3 minutes later: TCPA counted down, CPA unchanged
+	assert.strictEqual(checkAcknowledgementRearm(acknowledgement(), 2, 390, 5, ACK_MARGINS, ACK_TIME + 180000), null);
+});
+
+test('14.2 Raised alert level re-arms', () => {
+	assert.strictEqual(checkAcknowledgementRearm(acknowledgement(), 3, 400, 8, ACK_MARGINS, ACK_TIME), 'alert level raised');
+});
+
+test('14.3 CPA worsening beyond margin re-arms', () => {
+	assert.strictEqual(checkAcknowledgementRearm(acknowledgement(), 2, 320, 8, ACK_MARGINS, ACK_TIME), null, 'Within margin');
+	assert.strictEqual(checkAcknowledgementRearm(acknowledgement(), 2, 250, 8, ACK_MARGINS, ACK_TIME), 'CPA worsened');
+});
+
+test('14.4 TCPA earlier than predicted re-arms', () => {
+	// 1 minute later the expected TCPA is 7 min; 4.5 min is 2.5 min earlier
+	assert.strictEqual(checkAcknowledgementRearm(acknowledgement(), 2, 400, 4.5, ACK_MARGINS, ACK_TIME + 60000), 'TCPA worsened');
+	assert.strictEqual(checkAcknowledgementRearm(acknowledgement(), 2, 400, 5.5, ACK_MARGINS, ACK_TIME + 60000), null);
+});
+
+test('14.5 Silence expires', () => {
+	const silenced = acknowledgement({ silencedUntil: ACK_TIME + 300000 });
+	assert.strictEqual(checkAcknowledgementRearm(silenced, 2, 400, 7, ACK_MARGINS, ACK_TIME + 60000), null);
+	assert.strictEqual(checkAcknowledgementRearm(silenced, 2, 400, 3, ACK_MARGINS, ACK_TIME + 300000), 'silence expired');
+});
+
+test('14.6 Geometric threats without CPA only re-arm on level', () => {
+	const geometric = acknowledgement({ cpaMeters: undefined, tcpaMinutes: undefined });
+	assert.strictEqual(checkAcknowledgementRearm(geometric, 2, undefined, undefined, ACK_MARGINS, ACK_TIME + 60000), null);
+	assert.strictEqual(checkAcknowledgementRearm(geometric, 3, undefined, undefined, ACK_MARGINS, ACK_TIME + 60000), 'alert level raised');
+});
+
+console.log('\n--- 15. Guard Zone Tests ---');
+
+const HARBOUR = [
+	{ latitude: 60.02, longitude: 24.02 },
+	{ latitude: 60.02, longitude: 24.04 },
+	{ latitude: 60.03, longitude: 24.04 },
+	{ latitude: 60.03, longitude: 24.02 }
+];
+const ZONES = resolveGuardZones([
+	{ name: 'close', type: 'ring', innerRadiusMeters: 100, outerRadiusMeters: 800, alertLevel: 'warning' },
+	{ name: 'ahead', type: 'sector', outerRadiusMeters: 1500, startBearing: 330, endBearing: 30, alertLevel: 'alarm' },
+	{ name: 'harbour', type: 'polygon', polygon: HARBOUR, alertLevel: 'caution' },
+	{ name: 'off', type: 'ring', outerRadiusMeters: 5000, alertLevel: 'alarm', enabled: false },
+	{ name: 'unknown', type: 'ring', outerRadiusMeters: 100, alertLevel: 'nope' }
+], DEFAULT_LEVELS);
+const zone = name => ZONES.find(z => z.name === name);
+const ANYWHERE = { latitude: 0, longitude: 0 };
+
+test('15.1 Zones resolve to alert level indices', () => {
+	assert.strictEqual(ZONES.length, 4, 'Disabled zone dropped');
+	assert.strictEqual(zone('close').levelIndex, 1);
+	assert.strictEqual(zone('ahead').levelIndex, 2);
+	assert.strictEqual(zone('harbour').levelIndex, 0);
+	assert.strictEqual(zone('unknown').levelIndex, -1);
+	assert.strictEqual(zone('ahead').innerRadiusMeters, 0, 'Inner radius defaults to 0');
+});
+
+test('15.2 Sector wraps through north', () => {
+	assert(bearingInSector(0, 330, 30));
+	assert(bearingInSector(345, 330, 30));
+	assert(bearingInSector(-10, 330, 30), 'Negative relative bearing');
+	assert(!bearingInSector(90, 330, 30));
+	assert(bearingInSector(180, 90, 270));
+	assert(bearingInSector(123, 0, 360), 'Full circle');
+});
+
+test('15.3 Ring checks inner and outer radius', () => {
+	assert(targetInGuardZone(zone('close'), 500, 200, 0, ANYWHERE));
+	assert(!targetInGuardZone(zone('close'), 50, 200, 0, ANYWHERE), 'Inside inner radius');
+	assert(!targetInGuardZone(zone('close'), 900, 200, 0, ANYWHERE), 'Beyond outer radius');
+	assert(targetInGuardZone(zone('close'), 900, 200, 0, ANYWHERE, 200), 'Within hysteresis margin');
+});
+
+test('15.4 Sector is relative to own heading', () => {
+	// Target bearing 100 true is dead ahead when heading 090
+	assert(targetInGuardZone(zone('ahead'), 1000, 100, 90, ANYWHERE));
+	assert(!targetInGuardZone(zone('ahead'), 1000, 100, 0, ANYWHERE), 'Abeam when heading north');
+	assert(!targetInGuardZone(zone('ahead'), 1000, 100, null, ANYWHERE), 'No heading');
+});
+
+test('15.5 Polygon is fixed to the chart', () => {
+	assert(targetInGuardZone(zone('harbour'), 99999, 0, 0, { latitude: 60.025, longitude: 24.03 }));
+	assert(!targetInGuardZone(zone('harbour'), 0, 0, 0, { latitude: 60.035, longitude: 24.03 }));
+	assert(!pointInChartPolygon({ latitude: 60.025, longitude: 24.05 }, HARBOUR));
+});
+
+console.log('\n--- 16. Stationary Target Tests ---');
+
+test('16.1 Anchored target becomes zero-velocity with swinging circle', () => {
+	const anchored = asStationaryTarget({ course: 1.2, speed: 0.4, length: 40, navigationState: 'anchored' }, 50);
+	assert.strictEqual(anchored.speed, 0);
+	assert.strictEqual(anchored.course, 0);
+	assert.strictEqual(anchored.stationary, true);
+	assert.strictEqual(anchored.swingRadius, 90);
+});
+
+test('16.2 Moored and aground targets get no anchor scope', () => {
+	assert.strictEqual(asStationaryTarget({ length: 40, navigationState: 'moored' }, 50).swingRadius, 40);
+	assert.strictEqual(asStationaryTarget({ navigationState: 'aground' }, 50).swingRadius, 0, 'Unknown length');
+});
+
+test('16.3 Vessels under way are unchanged', () => {
+	const underWay = { course: 1.2, speed: 4, navigationState: 'motoring' };
+	assert.strictEqual(asStationaryTarget(underWay, 50), underWay);
+	const unknown = { course: null, speed: null, navigationState: null };
+	assert.strictEqual(asStationaryTarget(unknown, 50), unknown);
+});
+
+test('16.4 CPA against an anchored target is computed from own motion', () => {
+	// Own vessel north at 6 m/s, anchored target 2000m ahead and 150m east
+	const own = { position: { latitude: 60.0, longitude: 24.0 }, course: 0, speed: 6 };
+	const target = asStationaryTarget({
+		position: {
+			latitude: 60.0 + 2000 / GEO.MEAN_RADIUS_M * GEO.TO_DEGREES,
+			longitude: 24.0 + 150 / (GEO.MEAN_RADIUS_M * Math.cos(deg2rad(60))) * GEO.TO_DEGREES
+		},
+		course: null, speed: null, length: 40, navigationState: 'anchored'
+	}, 50);
+	const result = calculateCPA(own, target);
+	assertApprox(result.cpaDistance, 150, 5, 'CPA should be the lateral offset');
+	assertApprox(result.tcpaSeconds, 2000 / 6, 5, 'TCPA from own speed');
+});
+
+test('16.5 Swinging circle shortens CPA and TCPA', () => {
+	const approach = swingCircleApproach({ cpaDistance: 150, tcpaSeconds: 300, relativeSpeed: 6, diverging: false }, 90);
+	assert.strictEqual(approach.cpaDistance, 60);
+	assert.strictEqual(approach.tcpaSeconds, 300, 'Track passes outside the circle');
+
+	const through = swingCircleApproach({ cpaDistance: 30, tcpaSeconds: 300, relativeSpeed: 6, diverging: false }, 90);
+	assert.strictEqual(through.cpaDistance, 0);
+	assertApprox(through.tcpaSeconds, 300 - Math.sqrt(90 * 90 - 30 * 30) / 6, 0.01, 'Time of entering the circle');
+});
+
+test('16.6 Swinging circle keeps diverging results diverging', () => {
+	const approach = swingCircleApproach({ cpaDistance: Infinity, tcpaSeconds: -10, relativeSpeed: 6, diverging: true }, 90);
+	assert.strictEqual(approach.diverging, true);
+	assert.strictEqual(approach.tcpaSeconds, -10);
+});
+
+console.log('\n--- 17. Derived Motion Tests ---');
+
+// Fixes every `interval` seconds along a course (degrees) at speed (m/s)
+function makeTrack(courseDeg, speed, count, interval = 10, noiseMeters = 0) {
+	const start = { latitude: 60.0, longitude: 24.0 };
+	const track = [];
+	for (let i = 0; i < count; i++) {
+		const d = speed * interval * i;
+		const noise = noiseMeters * (i % 2 === 0 ? 1 : -1);
+		track.push({
+			timestamp: 1000000 + i * interval * 1000,
+			position: {
+				latitude: start.latitude + (d * Math.cos(deg2rad(courseDeg)) + noise) / GEO.MEAN_RADIUS_M * GEO.TO_DEGREES,
+				longitude: start.longitude + d * Math.sin(deg2rad(courseDeg)) /
+					(GEO.MEAN_RADIUS_M * Math.cos(deg2rad(60))) * GEO.TO_DEGREES
+			}
+		});
+	}
+	return track;
+}
+
+test('17.1 Course and speed from a straight track', () => {
+	const motion = estimateMotionFromTrack(makeTrack(135, 5, 6), 60, 3);
+	assertApprox(motion.course * GEO.TO_DEGREES, 135, 0.5, 'Course');
+	assertApprox(motion.speed, 5, 0.05, 'Speed');
+	assert.strictEqual(motion.fixes, 6);
+});
+
+test('17.2 Least-squares fit smooths position noise', () => {
+	const motion = estimateMotionFromTrack(makeTrack(0, 3, 7, 10, 5), 60, 3);
+	assertApprox(motion.course * GEO.TO_DEGREES, 0, 3, 'Course');
+	assertApprox(motion.speed, 3, 0.2, 'Speed');
+});
+
+test('17.3 Only fixes within the window are used', () => {
+	// Turned from north to east: the last 30s are the eastbound leg
+	const north = makeTrack(0, 5, 6);
+	const last = north[north.length - 1];
+	const east = makeTrack(90, 5, 4).map((fix, i) => ({
+		timestamp: last.timestamp + (i + 1) * 10000,
+		position: {
+			latitude: last.position.latitude + fix.position.latitude - 60.0,
+			longitude: last.position.longitude + fix.position.longitude - 24.0
+		}
+	}));
+	const motion = estimateMotionFromTrack([...north, ...east], 30, 3);
+	assertApprox(motion.course * GEO.TO_DEGREES, 90, 1, 'Course');
+});
+
+test('17.4 Too few or too close fixes give no estimate', () => {
+	assert.strictEqual(estimateMotionFromTrack(makeTrack(0, 5, 2), 60, 3), null, 'Below minFixes');
+	assert.strictEqual(estimateMotionFromTrack(makeTrack(0, 5, 3, 1), 60, 3), null, 'Span below minimum');
+	assert.strictEqual(estimateMotionFromTrack([], 60), null, 'Empty track');
+	assert.strictEqual(estimateMotionFromTrack(undefined, 60), null, 'No track');
+});
+
+test('17.5 Own motion derived from own position reports alone', () => {
+	const { app, plugin } = startPlugin();
+
+	// Own GNSS without COG/SOG, heading north at 5 m/s, with no targets around
+	for (let i = 0; i < 3; i++) {
+		if (i > 0) advanceClock(10);
+		app.report(OWN_CONTEXT, 'navigation.position', { latitude: 60 + i * 50 / METERS_PER_DEGREE, longitude: 24 });
+	}
+
+	// The first target report is judged with the derived own motion
+	reportTarget(app, 230000001, 100 + 4000, 0, 180, 10);
+	const threat = app.published('notifications.navigation.closestApproach.urn:mrn:imo:mmsi:230000001').pop().threat;
+	assert.strictEqual(threat.method, 'CPA', 'Not the geometric fallback');
+	assert.deepStrictEqual(threat.derived, { ownVessel: true, target: false });
+	stopPlugin(plugin);
+});
+
+console.log('\n--- 18. Tracking Filter Tests ---');
+
+const FILTER_PARAMS = { accelerationSigma: 0.01, positionSigma: 10, speedSigma: knots2mps(0.5), courseSigma: deg2rad(10) };
+
+// Reports every 10s of a target heading west at 1 m/s, COG alternating +-40 degrees
+function noisyWestboundFixes(count) {
+	const fixes = [];
+	for (let i = 0; i < count; i++) {
+		fixes.push({
+			timestamp: 1000000 + i * 10000,
+			position: {
+				latitude: 60.0,
+				longitude: 24.0 - 10 * i / (GEO.MEAN_RADIUS_M * Math.cos(deg2rad(60))) * GEO.TO_DEGREES
+			},
+			course: deg2rad(270 + (i % 2 ? 40 : -40)),
+			speed: 1
+		});
+	}
+	return fixes;
+}
+
+test('18.1 Filter starts from reported COG/SOG', () => {
+	const filter = createTrackFilter({ position: { latitude: 60, longitude: 24 }, timestamp: 0, course: deg2rad(90), speed: 5 }, FILTER_PARAMS);
+	const motion = trackFilterMotion(filter);
+	assertApprox(motion.course * GEO.TO_DEGREES, 90, 0.01, 'Course');
+	assertApprox(motion.speed, 5, 0.01, 'Speed');
+});
+
+test('18.2 Filter without COG/SOG starts with unknown velocity', () => {
+	const filter = createTrackFilter({ position: { latitude: 60, longitude: 24 }, timestamp: 0 }, FILTER_PARAMS);
+	assert(trackFilterMotion(filter).velocitySigma >= 30, 'Velocity should be uncertain');
+});
+
+test('18.3 Jumping COG of a slow target is smoothed', () => {
+	let filter = null;
+	const courses = [];
+	for (const fix of noisyWestboundFixes(20)) {
+		filter = updateTrackFilter(filter, fix, FILTER_PARAMS);
+		courses.push(trackFilterMotion(filter).course * GEO.TO_DEGREES);
+	}
+	// Raw COG swings 80 degrees between reports; the filtered course settles near west
+	const lastSwing = Math.abs(courses[19] - courses[18]);
+	assert(lastSwing < 20, `Filtered course still swings ${lastSwing.toFixed(1)} degrees`);
+	assertApprox(courses[19], 270, 10, 'Filtered course');
+});
+
+test('18.4 Positions alone converge to the true velocity', () => {
+	let filter = null;
+	for (const fix of noisyWestboundFixes(12)) {
+		filter = updateTrackFilter(filter, { position: fix.position, timestamp: fix.timestamp }, FILTER_PARAMS);
+	}
+	const motion = trackFilterMotion(filter);
+	assertApprox(motion.course * GEO.TO_DEGREES, 270, 5, 'Course');
+	assertApprox(motion.speed, 1, 0.2, 'Speed');
+	assert(motion.velocitySigma < 1, 'Velocity should be settled');
+});
+
+test('18.5 Repeated report leaves the filter unchanged, long gap restarts it', () => {
+	const fixes = noisyWestboundFixes(3);
+	let filter = null;
+	fixes.forEach(fix => { filter = updateTrackFilter(filter, fix, FILTER_PARAMS); });
+	assert.strictEqual(updateTrackFilter(filter, fixes[2], FILTER_PARAMS), filter, 'Same timestamp');
+
+	const late = { ...fixes[2], timestamp: fixes[2].timestamp + 600000 };
+	const restarted = updateTrackFilter(filter, late, FILTER_PARAMS);
+	assert.strictEqual(restarted.origin, late.position, 'Restarted at the new fix');
+});
+
+console.log('\n--- 19. Encounter Log Tests ---');
+
+test('19.1 Daily file names round-trip to the UTC day', () => {
+	const name = encounterFileName(Date.parse('2026-03-14T23:59:00Z'));
+	assert.strictEqual(name, 'encounters-2026-03-14.jsonl');
+	assert.strictEqual(encounterFileDay(name), Date.parse('2026-03-14T00:00:00Z'));
+	assert.strictEqual(encounterFileDay('plugin-config.json'), null, 'Other files');
+});
+
+test('19.2 Track points are rate limited and thinned beyond the cap', () => {
+	const start = Date.parse('2026-01-01T12:00:00Z');
+	const point = seconds => ({ time: new Date(start + seconds * 1000).toISOString() });
+	const track = [];
+	appendTrackPoint(track, point(0), 10000);
+	appendTrackPoint(track, point(5), 10000);
+	appendTrackPoint(track, point(10), 10000);
+	assert.strictEqual(track.length, 2, 'Point 5s after the previous one skipped');
+
+	for (let i = 2; i <= DETECTION.MAX_ENCOUNTER_TRACK_POINTS; i++) {
+		appendTrackPoint(track, point(i * 10), 10000);
+	}
+	assert(track.length <= DETECTION.MAX_ENCOUNTER_TRACK_POINTS, `Track has ${track.length} points`);
+	assert.strictEqual(track[0].time, point(0).time, 'First point kept');
+	assert.strictEqual(track[track.length - 1].time, point(DETECTION.MAX_ENCOUNTER_TRACK_POINTS * 10).time, 'Newest point kept');
+});
+
+test('19.3 Retention deletes old files, then the oldest beyond the size limit', () => {
+	const now = Date.parse('2026-03-14T12:00:00Z');
+	const files = [
+		{ name: 'encounters-2026-03-14.jsonl', size: 400 },
+		{ name: 'encounters-2026-02-01.jsonl', size: 100 },
+		{ name: 'encounters-2026-03-10.jsonl', size: 300 },
+		{ name: 'encounters-2026-03-12.jsonl', size: 300 },
+		{ name: 'notes.txt', size: 5000 }
+	];
+	assert.deepStrictEqual(selectExpiredEncounterFiles(files, now, 30, 10000),
+		['encounters-2026-02-01.jsonl'], 'Older than 30 days');
+	assert.deepStrictEqual(selectExpiredEncounterFiles(files, now, 30, 800),
+		['encounters-2026-02-01.jsonl', 'encounters-2026-03-10.jsonl'], 'Oldest beyond 800 bytes');
+	assert.deepStrictEqual(selectExpiredEncounterFiles(files, now, 30, 100),
+		['encounters-2026-02-01.jsonl', 'encounters-2026-03-10.jsonl', 'encounters-2026-03-12.jsonl'],
+		'Newest file kept even above the size limit');
+});
+
+test('19.4 Query matches encounters overlapping the time range and the MMSI', () => {
+	const encounter = { mmsi: '230000001', start: '2026-03-14T10:00:00Z', end: '2026-03-14T10:20:00Z' };
+	const at = iso => Date.parse(iso);
+	assert(encounterMatchesQuery(encounter, { from: null, to: null, mmsi: null }), 'No filter');
+	assert(encounterMatchesQuery(encounter, { from: at('2026-03-14T10:10:00Z'), to: null, mmsi: '230000001' }), 'Ends after from');
+	assert(!encounterMatchesQuery(encounter, { from: at('2026-03-14T10:30:00Z'), to: null, mmsi: null }), 'Ended before from');
+	assert(!encounterMatchesQuery(encounter, { from: null, to: at('2026-03-14T09:00:00Z'), mmsi: null }), 'Started after to');
+	assert(!encounterMatchesQuery(encounter, { from: null, to: null, mmsi: '230000002' }), 'Other MMSI');
+	assert(encounterMatchesQuery({ ...encounter, end: null }, { from: at('2026-03-15T00:00:00Z'), to: null, mmsi: null }), 'Open encounter');
+});
+
+console.log('\n--- 20. Replay Tests ---');
+
+test('20.1 Decodes an AIS class A position report', () => {
+	const message = decodeAisPayload('15RTgt0PAso;90TKcjM8h6g208CQ');
+	assert.strictEqual(message.mmsi, '371798000');
+	assertApprox(message.lat / 600000, 48.38163, 0.00001, 'Latitude');
+	assertApprox(message.lon / 600000, -123.39538, 0.00001, 'Longitude');
+
+	const values = Object.fromEntries(aisMessageValues(message).filter(v => v.path).map(v => [v.path, v.value]));
+	assertApprox(values['navigation.speedOverGround'], knots2mps(12.3), 0.001, 'SOG');
+	assertApprox(values['navigation.courseOverGroundTrue'], deg2rad(224), 0.0001, 'COG');
+	assertApprox(values['navigation.headingTrue'], deg2rad(215), 0.0001, 'Heading');
+	assert.strictEqual(values['navigation.state'], 'motoring');
+	assert(!('navigation.rateOfTurn' in values), 'Turning without rate is not a rate of turn');
+});
+
+test('20.2 Joins multi-sentence static data into name and dimensions', () => {
+	const parser = createLogParser();
+	parser.parseLine('$GPRMC,120000,A,6000.000,N,02400.000,E,5.0,10.0,010526,,*2A');
+	assert.strictEqual(parser.parseLine('!AIVDM,2,1,1,A,55?MbV02;H;s<HtKR20EHE:0@T4@Dn2222222216L961O5Gf0NSQEp6ClRp8,0*1C').deltas.length, 0);
+	const { time, deltas } = parser.parseLine('!AIVDM,2,2,1,A,88888888880,2*25');
+	assert.strictEqual(time, Date.parse('2026-05-01T12:00:00Z'), 'Time of the last RMC');
+	assert.strictEqual(deltas[0].context, 'vessels.urn:mrn:imo:mmsi:351759000');
+	const values = deltas[0].updates[0].values;
+	assert.deepStrictEqual(values.find(v => v.value?.name).value, { name: 'EVER DIADEM' });
+	assert.deepStrictEqual(values.find(v => v.path === 'design.length').value, { overall: 295 });
+	assert.strictEqual(values.find(v => v.path === 'sensors.ais.fromCenter').value, -15, 'Antenna 15m to port');
+});
+
+test('20.3 Reads own vessel from RMC and times from data log lines and tag blocks', () => {
+	const parser = createLogParser();
+	const rmc = parser.parseLine('$GPRMC,123519,A,4807.038,N,01131.000,E,022.4,084.4,230394,003.1,W*6A');
+	assert.strictEqual(rmc.time, Date.parse('1994-03-23T12:35:19Z'));
+	assert.strictEqual(rmc.deltas[0].context, 'vessels.self');
+	assertApprox(rmc.deltas[0].updates[0].values[0].value.latitude, 48.1173, 0.0001, 'Latitude');
+
+	const logged = parser.parseLine('1777629600000;ais;!AIVDM,1,1,,B,15M67FC000G?ufbE`FepT@3n00Sa,0*5C');
+	assert.strictEqual(logged.time, 1777629600000, 'Data log time');
+	const tagged = parser.parseLine('\\c:1777629610*00\\!AIVDM,1,1,,B,15M67FC000G?ufbE`FepT@3n00Sa,0*5C');
+	assert.strictEqual(tagged.time, 1777629610000, 'Tag block time');
+	assert.strictEqual(parser.parseLine('!AIVDM,1,1,,B,15M67FC000G?ufbE`FepT@3n00Sa,0*00').deltas.length, 0, 'Bad checksum');
+});
+
+test('20.4 Simulated clock runs timers in log time', () => {
+	const clock = createSimulatedClock();
+	const fired = [];
+	clock.install(1000);
+	try {
+		const interval = setInterval(() => fired.push(`sweep ${Date.now()}`), 10000);
+		setTimeout(() => fired.push(`once ${Date.now()}`), 15000);
+		clock.advanceTo(31000);
+		clearInterval(interval);
+		clock.advanceTo(60000);
+		assert.strictEqual(Date.now(), 60000);
+	} finally {
+		clock.uninstall();
+	}
+	assert.deepStrictEqual(fired, ['sweep 11000', 'once 16000', 'sweep 21000', 'sweep 31000']);
+	assert(Date.now() > 1e12, 'Real clock restored');
+});
+
+console.log('\n--- 21. NMEA 0183 Alarm Sentence Tests ---');
+
+const ALERT = {
+	time: Date.parse('2026-05-01T12:03:07.250Z'),
+	number: 7,
+	identifier: 3015,
+	priority: 'A',
+	state: 'V',
+	active: true,
+	acknowledged: false,
+	revision: 2,
+	title: 'Dangerous target',
+	text: 'Closest approach to TANKER: 420m in 6m 51s'
+};
+
+const validChecksum = sentence => {
+	const star = sentence.indexOf('*');
+	return nmeaChecksum(sentence.slice(1, star)) === sentence.slice(star + 1);
+};
+
+test('21.1 Checksum matches a known sentence', () => {
+	assert.strictEqual(nmeaChecksum('GPRMC,123519,A,4807.038,N,01131.000,E,022.4,084.4,230394,003.1,W'), '6A');
+});
+
+test('21.2 ALR carries alarm number, condition and acknowledge state', () => {
+	const active = formatAlrSentence('II', ALERT);
+	assert(active.startsWith('$IIALR,120307.25,007,A,V,Closest approach to TANKER: 420m in 6m 51s*'), active);
+	assert(validChecksum(active), 'Checksum');
+
+	const cleared = formatAlrSentence('II', { ...ALERT, active: false, acknowledged: true });
+	assert(cleared.startsWith('$IIALR,120307.25,007,V,A,'), cleared);
+});
+
+test('21.3 Text is cleaned of reserved characters and fits in 80 characters', () => {
+	const sentence = formatAlrSentence('II', { ...ALERT, text: 'Closest approach to BIG, LONG*NAME!: ' + 'x'.repeat(100) });
+	assert(sentence.length <= 80, `Length ${sentence.length}`);
+	assert(!/[,*!]/.test(sentence.split(',').slice(5).join(',').split('*')[0]), sentence);
+	assert(validChecksum(sentence), 'Checksum');
+});
+
+test('21.4 ALF pairs title and description, ALC lists four alerts per sentence', () => {
+	const [title, description] = formatAlfSentences('II', ALERT, 3);
+	assert(title.startsWith('$IIALF,2,1,3,120307.25,B,A,V,,3015,7,2,0,Dangerous target*'), title);
+	assert(description.startsWith('$IIALF,2,2,3,,,,,,3015,7,,,Closest approach to TANKER'), description);
+
+	const alerts = [1, 2, 3, 4, 5].map(number => ({ ...ALERT, number: number }));
+	const list = formatAlcSentences('II', alerts, 4);
+	assert.strictEqual(list.length, 2);
+	assert(list[0].startsWith('$IIALC,2,1,4,4,,3015,1,2,,3015,2,2,,3015,3,2,,3015,4,2*'), list[0]);
+	assert(list[1].startsWith('$IIALC,2,2,4,1,,3015,5,2*'), list[1]);
+	assert(formatAlcSentences('II', [], 5)[0].startsWith('$IIALC,1,1,5,0*'), 'Empty list');
+});
+
+test('21.5 Parses ACK and ACN, rejecting bad checksums', () => {
+	const ack = `$IIACK,007*${nmeaChecksum('IIACK,007')}`;
+	assert.deepStrictEqual(parseAlertResponse(ack), { type: 'ACK', number: 7 });
+
+	const acn = `$IIACN,120400.00,,3015,7,S,C*${nmeaChecksum('IIACN,120400.00,,3015,7,S,C')}`;
+	assert.deepStrictEqual(parseAlertResponse(acn), { type: 'ACN', identifier: 3015, number: 7, command: 'S' });
+
+	assert.strictEqual(parseAlertResponse('$IIACK,007*00'), null, 'Bad checksum');
+	assert.strictEqual(parseAlertResponse(formatAlrSentence('II', ALERT)), null, 'Not a response');
+});
+
+console.log('\n--- 22. NMEA 2000 Alert Tests ---');
+
+const N2K_ALERT = {
+	id: 12,
+	occurrence: 3,
+	alertState: 'alarm',
+	active: true,
+	acknowledged: false,
+	silenced: false,
+	text: 'Closest approach to TANKER: 420m in 6m 51s',
+	location: 'TANKER'
+};
+
+test('22.1 Alert PGN reflects level, acknowledgement and silence', () => {
+	const active = formatN2kAlert(N2K_ALERT, 4);
+	assert.strictEqual(active.pgn, 126983);
+	assert.strictEqual(active.fields['Alert Type'], 'Alarm');
+	assert.strictEqual(active.fields['Alert System'], 4);
+	assert.strictEqual(active.fields['Alert ID'], 12);
+	assert.strictEqual(active.fields['Alert Occurrence Number'], 3);
+	assert.strictEqual(active.fields['Alert State'], 'Active');
+	assert.strictEqual(active.fields['Threshold Status'], 'Threshold Exceeded');
+
+	assert.strictEqual(formatN2kAlert({ ...N2K_ALERT, acknowledged: true }, 4).fields['Alert State'], 'Acknowledged');
+	const silenced = formatN2kAlert({ ...N2K_ALERT, acknowledged: true, silenced: true }, 4).fields;
+	assert.strictEqual(silenced['Alert State'], 'Silenced');
+	assert.strictEqual(silenced['Temporary Silence Status'], 'Yes');
+	assert.strictEqual(formatN2kAlert({ ...N2K_ALERT, active: false }, 4).fields['Alert State'], 'Normal');
+	assert.strictEqual(formatN2kAlert({ ...N2K_ALERT, alertState: 'emergency' }, 4).fields['Alert Type'], 'Emergency Alarm');
+});
+
+test('22.2 Alert text PGN shares the alert identity', () => {
+	const text = formatN2kAlertText({ ...N2K_ALERT, text: 'x'.repeat(100) }, 4);
+	assert.strictEqual(text.pgn, 126985);
+	assert.strictEqual(text.fields['Alert ID'], 12);
+	assert.strictEqual(text.fields['Alert Occurrence Number'], 3);
+	assert.strictEqual(text.fields['Alert Text Description'].length, N2K_MAX_TEXT_LENGTH);
+	assert.strictEqual(text.fields['Alert Location Text Description'], 'TANKER');
+});
+
+test('22.3 Alert responses for our alert system only, with either field naming', () => {
+	assert.deepStrictEqual(parseN2kAlertResponse({ pgn: 126984, fields: {
+		'Alert System': 4, 'Alert ID': 12, 'Response Command': 'Acknowledge'
+	} }, 4), { id: 12, command: 'acknowledge' });
+	assert.deepStrictEqual(parseN2kAlertResponse({ pgn: 126984, fields: {
+		alertSystem: 4, alertId: 12, responseCommand: 'Temporary Silence'
+	} }, 4), { id: 12, command: 'silence' });
+	assert.strictEqual(parseN2kAlertResponse({ pgn: 126984, fields: {
+		'Alert System': 5, 'Alert ID': 12, 'Response Command': 'Acknowledge'
+	} }, 4), null, 'Other alert system');
+	assert.strictEqual(parseN2kAlertResponse({ pgn: 126984, fields: {
+		'Alert System': 4, 'Alert ID': 12, 'Response Command': 'Test Command on'
+	} }, 4), null, 'Test command');
+	assert.strictEqual(parseN2kAlertResponse(formatN2kAlert(N2K_ALERT, 4), 4), null, 'Not a response');
+});
+
+test('22.4 Targets keep their alert number, inactive ones give it up when all are used', () => {
+	const active = new Set();
+	const numberFor = createAlertNumbers(2, vesselId => active.has(vesselId));
+	assert.strictEqual(numberFor('a'), 1);
+	assert.strictEqual(numberFor('b'), 2);
+	assert.strictEqual(numberFor('a'), 1, 'Same vessel, same number');
+
+	active.add('a');
+	assert.strictEqual(numberFor('c'), 2, 'Takes over the inactive vessel b');
+	active.add('c');
+	assert.strictEqual(numberFor('d'), null, 'All numbers in use');
+});
+
+console.log('\n--- 23. COLREG Encounter Classification Tests ---');
+
+test('23.1 Reciprocal courses dead ahead are head-on', () => {
+	const colreg = classifyColregEncounter(2, 0, 178);
+	assert.strictEqual(colreg.situation, 'head-on');
+	assert.strictEqual(colreg.responsibility, 'give-way');
+	assert.strictEqual(describeColregEncounter(colreg), 'head-on, alter course to starboard');
+
+	// Target ahead but heading well off our line: crossing, not head-on
+	assert.strictEqual(classifyColregEncounter(2, 0, 200).situation, 'crossing');
+});
+
+test('23.2 Crossing from starboard gives way, from port stands on', () => {
+	// Own vessel north, target on the starboard bow heading west
+	const starboard = classifyColregEncounter(45, 0, 270);
+	assert.strictEqual(starboard.situation, 'crossing');
+	assert.strictEqual(starboard.side, 'starboard');
+	assert.strictEqual(starboard.responsibility, 'give-way');
+	assert.strictEqual(describeColregEncounter(starboard), 'crossing from starboard, give way');
+
+	const port = classifyColregEncounter(315, 0, 90);
+	assert.strictEqual(port.side, 'port');
+	assert.strictEqual(port.responsibility, 'stand-on');
+
+	// Abaft our starboard beam but less than 22.5° is still crossing
+	assert.strictEqual(classifyColregEncounter(105, 0, 330).situation, 'crossing');
+});
+
+test('23.3 Overtaking depends on the sector abaft the beam', () => {
+	// Target ahead on the same course: we come up from its stern
+	const overtaking = classifyColregEncounter(10, 0, 5);
+	assert.strictEqual(overtaking.situation, 'overtaking');
+	assert.strictEqual(overtaking.responsibility, 'give-way');
+	assertApprox(overtaking.aspect, 185, 0.001, 'Aspect: own vessel astern of target');
+
+	// Target on our starboard quarter coming up faster
+	const overtaken = classifyColregEncounter(150, 0, 350);
+	assert.strictEqual(overtaken.situation, 'overtaken');
+	assert.strictEqual(overtaken.responsibility, 'stand-on');
+	assert.strictEqual(describeColregEncounter(overtaken), 'being overtaken on starboard side, stand on');
+});
+
+test('23.4 No classification without headings', () => {
+	assert.strictEqual(classifyColregEncounter(45, null, 270), null);
+	assert.strictEqual(classifyColregEncounter(45, 0, NaN), null);
+});
+
+console.log('\n--- 24. Trial Manoeuvre Tests ---');
+
+// Own vessel northbound, target 4000m ahead southbound, both at 10 knots
+const TRIAL_OWN = { position: { latitude: 60, longitude: 24 }, course: 0, speed: knots2mps(10) };
+const TRIAL_TARGET = {
+	position: projectPosition({ latitude: 60, longitude: 24 }, 0, 4000, 1),
+	course: Math.PI,
+	speed: knots2mps(10)
+};
+
+test('24.1 Immediate trial course and speed replace own motion', () => {
+	const current = calculateTrialCPA(TRIAL_OWN, TRIAL_TARGET, 0, knots2mps(10));
+	assertApprox(current.cpaDistance, 0, 1, 'Current course: collision');
+
+	const starboard = calculateTrialCPA(TRIAL_OWN, TRIAL_TARGET, deg2rad(30), knots2mps(10));
+	assertApprox(starboard.cpaDistance, 4000 * Math.sin(deg2rad(15)), 5, '30° to starboard opens CPA');
+	assert.strictEqual(starboard.diverging, false);
+
+	const stopped = calculateTrialCPA(TRIAL_OWN, TRIAL_TARGET, 0, 0);
+	assertApprox(stopped.tcpaSeconds, 4000 / knots2mps(10), 1, 'Stopped: target alone closes');
+});
+
+test('24.2 Delayed manoeuvre starts from the dead-reckoned positions', () => {
+	// Closing at 20 knots: 4000m in ~389s, 2 minutes delay leaves ~1530m at the turn
+	const delayed = calculateTrialCPA(TRIAL_OWN, TRIAL_TARGET, deg2rad(30), knots2mps(10), 120);
+	const immediate = calculateTrialCPA(TRIAL_OWN, TRIAL_TARGET, deg2rad(30), knots2mps(10));
+	const remaining = 4000 - 2 * knots2mps(10) * 120;
+	assertApprox(delayed.cpaDistance, remaining * Math.sin(deg2rad(15)), 5, 'Smaller CPA from a later turn');
+	assert.ok(delayed.cpaDistance < immediate.cpaDistance);
+	assert.ok(delayed.tcpaSeconds > 120, 'TCPA counted from now');
+});
+
+test('24.3 An approach before the manoeuvre counts', () => {
+	// CPA (~389s) comes before a 10 minute delay: the trial cannot change it
+	const late = calculateTrialCPA(TRIAL_OWN, TRIAL_TARGET, deg2rad(90), knots2mps(10), 600);
+	assertApprox(late.cpaDistance, 0, 1);
+	assertApprox(late.tcpaSeconds, 4000 / knots2mps(20), 1);
+
+	// Turning away from a closing target: closest at the turn, no longer diverging now
+	const away = calculateTrialCPA(TRIAL_OWN, TRIAL_TARGET, Math.PI, knots2mps(15), 60);
+	assert.strictEqual(away.diverging, false);
+	assertApprox(away.tcpaSeconds, 60, 0.001);
+	assertApprox(away.cpaDistance, 4000 - 2 * knots2mps(10) * 60, 1);
+
+	// Already diverging and turning further away stays diverging
+	const astern = { ...TRIAL_TARGET, position: projectPosition(TRIAL_OWN.position, Math.PI, 4000, 1), course: Math.PI };
+	assert.strictEqual(calculateTrialCPA(TRIAL_OWN, astern, deg2rad(10), knots2mps(10), 60).diverging, true);
+});
+
+test('24.4 Trial delay limited to the prediction horizon', () => {
+	const { app, plugin } = startPlugin();
+	const request = createStubRouter(plugin);
+	reportOwnVessel(app, 10);
+	reportTarget(app, 230000001, 4000, 0, 180, 10);
+
+	// Longest alert level TCPA (30 min caution) plus the 2 min hysteresis
+	for (const delayMinutes of ['Infinity', '1e9', '33', '-1']) {
+		const response = request('GET', '/trial', { query: { delayMinutes } });
+		assert.strictEqual(response.statusCode, 400, `delayMinutes=${delayMinutes}`);
+		assert.strictEqual(response.body.error, 'delayMinutes must be a number from 0 to 32');
+	}
+
+	const trial = request('GET', '/trial', { query: { courseDegrees: '90', delayMinutes: '32' } });
+	assert.strictEqual(trial.statusCode, 200);
+	assert.strictEqual(trial.body.delayMinutes, 32);
+	assert.ok(isFinite(trial.body.targets['urn:mrn:imo:mmsi:230000001'].trial.cpaDistance));
+	stopPlugin(plugin);
+});
+
+console.log('\n--- 25. Velocity Obstacle Tests ---');
+
+const VO_PARAMS = { horizonSeconds: 1800, maxSpeed: knots2mps(20), speedStep: knots2mps(0.1), courseStepDegrees: 1 };
+
+test('25.1 Velocity clears a target unless it passes within the safe distance in time', () => {
+	// Stationary target 4000m north, 500m safe distance
+	const target = { id: 'a', x: 0, y: 4000, vx: 0, vy: 0, safeDistance: 500 };
+	assert.strictEqual(velocityClearsTarget(0, 5, target, 1800), false, 'Straight at it');
+	assert.strictEqual(velocityClearsTarget(0, 5, target, 600), true, 'Still 1000m off at the horizon');
+	assert.strictEqual(velocityClearsTarget(5, 0, target, 1800), true, 'Heading east');
+	assert.strictEqual(velocityClearsTarget(0, -5, target, 1800), true, 'Opening');
+
+	// Already inside: only opening velocities are clear
+	const close = { ...target, y: 300 };
+	assert.strictEqual(velocityClearsTarget(0, 1, close, 1800), false);
+	assert.strictEqual(velocityClearsTarget(0, -1, close, 1800), true);
+});
+
+test('25.2 Forbidden course sector around a stationary target ahead', () => {
+	const target = { id: 'a', x: 0, y: 4000, vx: 0, vy: 0, safeDistance: 500 };
+	const result = calculateVelocityObstacles([target], { course: 0, speed: knots2mps(10) }, VO_PARAMS);
+	assert.strictEqual(result.ownVelocitySafe, false);
+	assert.strictEqual(result.forbiddenSectors.length, 1, 'Sector through north reported once');
+
+	// Half-angle asin(500/4000) ~7.2 degrees either side of north
+	const sector = result.forbiddenSectors[0];
+	assert.strictEqual(sector.startDegrees, 353);
+	assert.strictEqual(sector.endDegrees, 7);
+	assert.deepStrictEqual(sector.targets, ['a']);
+
+	// Slow enough not to cover the 3500m to its safe distance within the horizon
+	assert.strictEqual(result.safeSpeeds.length, 1);
+	assert.strictEqual(result.safeSpeeds[0].min, 0);
+	assertApprox(result.safeSpeeds[0].max, 3500 / 1800, VO_PARAMS.speedStep);
+});
+
+test('25.3 Safe speed ranges on a crossing course', () => {
+	// Target 3000m east heading west at 10 knots, crossing own northbound track
+	const target = { id: 'b', x: 3000, y: 0, vx: -knots2mps(10), vy: 0, safeDistance: 500 };
+	const result = calculateVelocityObstacles([target], { course: 0, speed: 0 }, VO_PARAMS);
+	assert.strictEqual(result.ownVelocitySafe, false, 'Stopped on its track');
+	assert.strictEqual(result.safeSpeeds.length, 1, 'Fast enough to cross ahead');
+	assert.ok(result.safeSpeeds[0].min > knots2mps(1.5), 'Slow speeds are hit');
+	assert.strictEqual(result.safeSpeeds[0].max, VO_PARAMS.speedStep * 200);
+
+	const none = calculateVelocityObstacles([], { course: 0, speed: 5 }, VO_PARAMS);
+	assert.strictEqual(none.ownVelocitySafe, true);
+	assert.deepStrictEqual(none.forbiddenSectors, []);
+	assert.strictEqual(none.safeSpeeds.length, 1);
+});
+
+test('25.4 Safe manoeuvres published as own vessel data and cleared on stop', () => {
+	const path = 'navigation.closestApproach.safeManoeuvres';
+	const clock = createSimulatedClock();
+	clock.install(realDateNow());
+	try {
+		const app = createStubApp();
+		const plugin = require('./index.js')(app);
+		plugin.start({ sweepIntervalSeconds: 0, tracking: { enabled: false }, safeManoeuvres: { publishIntervalSeconds: 10 } });
+		reportOwnVessel(app, 10);
+		reportTarget(app, 230000001, 4000, 0, 180, 10);
+
+		clock.advanceTo(clock.now() + 10000);
+		const published = app.published(path);
+		assert.strictEqual(published.length, 1, 'Published every 10s');
+		assert.strictEqual(published[0].safe, false, 'Head-on at current course and speed');
+		assert.strictEqual(published[0].forbiddenCourses.length, 1);
+
+		plugin.stop();
+		assert.strictEqual(app.published(path).pop(), null, 'Cleared on stop');
+	} finally {
+		clock.uninstall();
+	}
+});
+
+console.log('\n--- 26. Target Override Tests ---');
+
+test('26.1 Name patterns with wildcards, case-insensitive', () => {
+	assert.strictEqual(namePatternMatches('buddy*', 'Buddy Boat'), true);
+	assert.strictEqual(namePatternMatches('?ender', 'TENDER'), true);
+	assert.strictEqual(namePatternMatches('tender', 'Tender 2'), false, 'Whole name must match');
+	assert.strictEqual(namePatternMatches('a.b', 'axb'), false, 'Dot is literal');
+	assert.strictEqual(namePatternMatches('buddy*', undefined), false);
+	assert.strictEqual(namePatternMatches('', 'Buddy'), false);
+});
+
+test('26.2 Mute resolves the highest alert level by name', () => {
+	const [none, warning, unknown] = resolveTargetOverrides([
+		{ mmsi: 230000001, action: 'mute' },
+		{ mmsi: '230000002', action: 'mute', maxAlertLevel: 'warning' },
+		{ mmsi: '230000003', action: 'mute', maxAlertLevel: 'bogus' }
+	], DEFAULT_LEVELS, 500, 10);
+	assert.strictEqual(none.mmsi, '230000001', 'MMSI normalised to a string');
+	assert.strictEqual(none.maxLevelIndex, -1);
+	assert.strictEqual(warning.maxLevelIndex, 1);
+	assert.strictEqual(unknown.maxLevelIndex, undefined);
+});
+
+test('26.3 Custom overrides scale the alert levels', () => {
+	const [custom] = resolveTargetOverrides([
+		{ namePattern: 'Buddy*', action: 'custom', safePassingDistanceMeters: 100 }
+	], DEFAULT_LEVELS, 500, 10);
+	assert.strictEqual(custom.timeWindowMinutes, 10, 'Time window inherited');
+	assert.deepStrictEqual(custom.alertLevels.map(l => l.name), DEFAULT_LEVELS.map(l => l.name));
+	assertApprox(custom.alertLevels[0].cpaMeters, 3704 / 5, 0.001);
+	assertApprox(custom.alertLevels[2].cpaMeters, 100, 0.001);
+	assert.strictEqual(custom.alertLevels[0].tcpaMinutes, 30);
+
+	const scaled = scaleAlertLevels(DEFAULT_LEVELS, 1, 0.5);
+	assert.strictEqual(scaled[0].tcpaMinutes, 15);
+	assert.strictEqual(DEFAULT_LEVELS[0].tcpaMinutes, 30, 'Original levels unchanged');
+});
+
+test('26.4 MMSI overrides take precedence over name patterns', () => {
+	const overrides = resolveTargetOverrides([
+		{ namePattern: '*', action: 'mute' },
+		{ mmsi: '230000001', action: 'ignore' },
+		{ mmsi: '230000002', namePattern: 'Tender', action: 'custom' }
+	], DEFAULT_LEVELS, 500, 10);
+	assert.strictEqual(findTargetOverride(overrides, '230000001', 'Tender').action, 'ignore');
+	assert.strictEqual(findTargetOverride(overrides, 230000002, 'Other').action, 'custom');
+	assert.strictEqual(findTargetOverride(overrides, null, 'Tender').action, 'mute', 'MMSI entries do not match by name');
+	assert.strictEqual(findTargetOverride(overrides.slice(1), '230000009', 'Stranger'), null);
+});
+
+console.log('\n--- 27. Safety Domain Tests ---');
+
+test('27.1 AIS ship type codes and ranges', () => {
+	assert.deepStrictEqual(parseShipTypes('70-89, 30'), [[70, 89], [30, 30]]);
+	assert.deepStrictEqual(parseShipTypes(36), [[36, 36]]);
+	assert.strictEqual(parseShipTypes('89-70'), null, 'Reversed range');
+	assert.strictEqual(parseShipTypes('cargo'), null);
+	assert.strictEqual(parseShipTypes('100'), null, 'Codes are 0-99');
+	assert.strictEqual(parseShipTypes(''), null);
+});
+
+const DOMAIN_RULES = resolveSafetyDomains([
+	{ name: 'large ships', shipTypes: '70-89', minLengthMeters: 100, safePassingDistanceMeters: 1000, aheadFactor: 3 },
+	{ name: 'disabled', enabled: false },
+	{ name: 'fast craft', minSpeedKnots: 25, timeWindowMinutes: 20 },
+	{ maxLengthMeters: 15, safePassingDistanceMeters: 150 }
+], DEFAULT_LEVELS, 500, 10);
+
+test('27.2 Rules resolved with scaled alert levels', () => {
+	assert.deepStrictEqual(DOMAIN_RULES.map(rule => rule.name), ['large ships', 'fast craft', 'rule 4']);
+	const [large, fast, small] = DOMAIN_RULES;
+	assertApprox(large.alertLevels[2].cpaMeters, 1000, 0.001);
+	assertApprox(large.alertLevels[0].cpaMeters, 3704 * 2, 0.001);
+	assert.strictEqual(large.alertLevels[0].tcpaMinutes, 30);
+	assert.deepStrictEqual(large.domain, { ahead: 3, astern: 1, beam: 1 });
+	assert.strictEqual(isShapedDomain(large.domain), true);
+	assert.strictEqual(isShapedDomain(small.domain), false, 'Circle by default');
+	assert.strictEqual(fast.safePassingDistanceMeters, 500, 'Distance inherited');
+	assert.strictEqual(fast.alertLevels[0].tcpaMinutes, 60);
+});
+
+test('27.3 First rule matching ship type, length and speed', () => {
+	assert.strictEqual(findSafetyDomain(DOMAIN_RULES, 70, 200, 12).name, 'large ships');
+	assert.strictEqual(findSafetyDomain(DOMAIN_RULES, 70, 80, 12), null, 'Too short, not fast');
+	assert.strictEqual(findSafetyDomain(DOMAIN_RULES, 40, 30, 30).name, 'fast craft');
+	assert.strictEqual(findSafetyDomain(DOMAIN_RULES, 36, 10, 5).name, 'rule 4');
+	assert.strictEqual(findSafetyDomain(DOMAIN_RULES, null, 200, 12), null, 'Unknown ship type');
+	assert.strictEqual(findSafetyDomain(DOMAIN_RULES, 37, undefined, null), null, 'Unknown length and speed');
+	assert.strictEqual(findSafetyDomain([], 70, 200, 12), null);
+});
+
+test('27.4 Circular domain gives the straight-line CPA', () => {
+	// Own vessel 1000m east of the target's track, closing at 5 m/s
+	const circle = { ahead: 1, astern: 1, beam: 1 };
+	const approach = shipDomainApproach({ x: 1000, y: -2000 }, { x: 0, y: 5 }, 0, circle);
+	assertApprox(approach.cpaDistance, 1000, 0.001);
+	assertApprox(approach.tcpaSeconds, 400, 0.001);
+});
+
+test('27.5 Domain stretched ahead and shortened astern', () => {
+	const domain = { ahead: 2, astern: 0.5, beam: 1 };
+	// Crossing 1000m ahead of a northbound target counts as 500m
+	const ahead = shipDomainApproach({ x: -2000, y: 1000 }, { x: 5, y: 0 }, 0, domain);
+	assertApprox(ahead.cpaDistance, 500, 0.001);
+	assertApprox(ahead.tcpaSeconds, 400, 0.001);
+
+	// Crossing 1000m astern counts as 2000m
+	const astern = shipDomainApproach({ x: -2000, y: -1000 }, { x: 5, y: 0 }, 0, domain);
+	assertApprox(astern.cpaDistance, 2000, 0.001);
+
+	// Oriented on the heading: ahead of an eastbound target is east
+	const east = shipDomainApproach({ x: 1000, y: -2000 }, { x: 0, y: 5 }, Math.PI / 2, domain);
+	assertApprox(east.cpaDistance, 500, 0.001);
+	assertApprox(east.tcpaSeconds, 400, 0.001);
+});
+
+test('27.6 Track crossing the beam is judged on both sides', () => {
+	// Own vessel passing down the target's port side from ahead to astern
+	const domain = { ahead: 3, astern: 1, beam: 1 };
+	const approach = shipDomainApproach({ x: -100, y: 3000 }, { x: 0, y: -5 }, 0, domain);
+	assertApprox(approach.cpaDistance, 100, 0.001);
+	assertApprox(approach.tcpaSeconds, 600, 0.001);
+
+	// Already past and opening: closest now
+	const opening = shipDomainApproach({ x: -100, y: -500 }, { x: 0, y: -5 }, 0, domain);
+	assertApprox(opening.cpaDistance, Math.hypot(100, 500), 0.001);
+	assert.strictEqual(opening.tcpaSeconds, 0);
+});
+
+test('27.7 Hull clearance taken off in the direction of the approach', () => {
+	// 50m of hulls reaching toward each other, 1000m abeam of a domain twice as wide
+	const domain = { ahead: 1, astern: 1, beam: 2 };
+	const approach = shipDomainApproach({ x: 1000, y: -2000 }, { x: 0, y: 5 }, 0, domain, 50);
+	assertApprox(approach.cpaDistance, (1000 - 50) / 2, 0.001);
+	assertApprox(approach.tcpaSeconds, 400, 0.001);
+
+	const touching = shipDomainApproach({ x: 40, y: -2000 }, { x: 0, y: 5 }, 0, domain, 50);
+	assert.strictEqual(touching.cpaDistance, 0, 'Hulls overlap');
+});
+
+test('27.8 Safety domain rule changes a target\'s alert level', () => {
+	const cargo = { 'design.aisShipType': { id: 70, name: 'Cargo' } };
+	const judge = (rules, extra) => {
+		const { app, plugin } = startPlugin({ safetyDomains: rules });
+		reportOwnVessel(app);
+		// Passing 800m abeam of own stopped vessel in ~6.5 minutes
+		reportTarget(app, 230000001, 4000, 800, 180, 20, extra);
+		const threat = app.published('notifications.navigation.closestApproach.urn:mrn:imo:mmsi:230000001').pop()?.threat;
+		stopPlugin(plugin);
+		return threat;
+	};
+
+	const global = judge([], cargo);
+	assert.strictEqual(global.alertLevel, 'warning', 'Outside the 500m alarm limit');
+	assert.strictEqual(global.safetyDomain, undefined);
+
+	const larger = judge([{ name: 'large ships', shipTypes: '70-89', safePassingDistanceMeters: 1000 }], cargo);
+	assert.strictEqual(larger.alertLevel, 'alarm', 'Within the rule\'s 1000m');
+	assert.strictEqual(larger.safetyDomain, 'large ships');
+	assert.strictEqual(larger.domainCpaDistance, undefined, 'Circular domain');
+
+	const unmatched = judge([{ name: 'large ships', shipTypes: '70-89', safePassingDistanceMeters: 1000 }], {});
+	assert.strictEqual(unmatched.alertLevel, 'warning', 'No ship type reported');
+	assert.strictEqual(unmatched.safetyDomain, undefined);
+
+	// Domain twice as wide abeam, around a 200m x 30m hull
+	const wide = judge([{ name: 'wide', shipTypes: '70', beamFactor: 2 }],
+		{ ...cargo, 'design.length': { overall: 200 }, 'design.beam': 30 });
+	assert.strictEqual(wide.alertLevel, 'alarm');
+	assert.strictEqual(wide.safetyDomain, 'wide');
+	assert.ok(wide.hullCpaDistance < 800, 'Hull CPA still computed');
+	assertApprox(wide.domainCpaDistance, wide.hullCpaDistance / 2, 1, 'Domain around the hull');
+});
+
 // ----------------------------------------------------------------------------
 // Test Summary
 // ----------------------------------------------------------------------------